@@ -11,6 +11,7 @@ const requiredEnvVars = {
   DATABASE_URL: 'PostgreSQL database connection string',
   JWT_SECRET: 'JWT secret key for token signing',
   JWT_REFRESH_SECRET: 'JWT refresh token secret key',
+  REWARD_CODE_SECRET: 'Secret for encrypting and hashing reward voucher codes',
 };
 
 /**
@@ -22,6 +23,11 @@ const optionalEnvVars = {
   NODE_ENV: { default: 'development', description: 'Node environment' },
   JWT_EXPIRES_IN: { default: '7d', description: 'JWT token expiration' },
   JWT_REFRESH_EXPIRES_IN: { default: '30d', description: 'JWT refresh token expiration' },
+  POINTS_RECONCILIATION_AUTO_CORRECT: { default: 'false', description: 'Auto-correct drifted balances in the nightly points reconciliation' },
+  FOR_YOU_EXPLORATION_SHARE: { default: '0.15', description: 'Share of For You feed slots given to categories the user has not read (0-0.5)' },
+  REVIEW_SUBSTANTIVE_EDITS: { default: 'true', description: 'Send published articles back to pending review when a creator substantively edits them' },
+  ARTICLE_REPORT_HIDE_THRESHOLD: { default: '5', description: 'Reports from distinct users that auto-hide an article until an admin reviews it (0 disables)' },
+  ARTICLE_RETENTION_DAYS: { default: '14', description: 'Days published articles stay in feeds before the archive cron archives them, for categories without their own retentionDays (0 disables)' },
 };
 
 /**
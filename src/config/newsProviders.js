@@ -1,8 +1,23 @@
 /**
  * News Providers Configuration
  * Defines all news providers with their configurations, priorities, and category mappings
+ * API providers fetch each language in `languages` (one request per language),
+ * configured per provider via e.g. NEWSDATA_LANGUAGES=en,fr or for all via NEWS_LANGUAGES
  */
 
+const { DEFAULT_ARTICLE_LANGUAGE, parseLanguageList } = require('../utils/languages');
+
+/**
+ * Languages a provider fetches, from a comma-separated env value (defaults to English)
+ */
+function getConfiguredLanguages(value) {
+  const languages = value ? parseLanguageList(value) : null;
+  if (value && !languages) {
+    console.warn(`⚠️  Invalid news languages "${value}", using ${DEFAULT_ARTICLE_LANGUAGE}`);
+  }
+  return languages && languages.length > 0 ? languages : [DEFAULT_ARTICLE_LANGUAGE];
+}
+
 const providers = [
   // Priority 1: NewsData.io (LEGAL - Affordable API)
   // Sign up at: https://newsdata.io
@@ -17,12 +32,13 @@ const providers = [
     dailyLimit: parseInt(process.env.NEWSDATA_LIMIT) || 200,
     requestsPerCall: 10,
     supportsDateFilter: true,
+    languageParam: 'language',
+    languages: getConfiguredLanguages(process.env.NEWSDATA_LANGUAGES || process.env.NEWS_LANGUAGES),
     endpoints: {
       latest: '/news'
     },
     params: {
-      apikey: process.env.NEWSDATA_KEY || '',
-      language: 'en'
+      apikey: process.env.NEWSDATA_KEY || ''
     },
     categoryMap: {
       'DEFI': 'technology',
@@ -52,13 +68,14 @@ const providers = [
     dailyLimit: parseInt(process.env.GNEWS_LIMIT) || 100,
     requestsPerCall: 10,
     supportsDateFilter: true,
+    languageParam: 'lang',
+    languages: getConfiguredLanguages(process.env.GNEWS_LANGUAGES || process.env.NEWS_LANGUAGES),
     endpoints: {
       topHeadlines: '/top-headlines',
       search: '/search'
     },
     params: {
       token: process.env.GNEWS_API_KEY || '',
-      lang: 'en',
       country: 'us'
     },
     categoryMap: {
@@ -89,12 +106,13 @@ const providers = [
     dailyLimit: parseInt(process.env.CURRENTS_LIMIT) || 600,
     requestsPerCall: 20,
     supportsDateFilter: false,
+    languageParam: 'language',
+    languages: getConfiguredLanguages(process.env.CURRENTS_LANGUAGES || process.env.NEWS_LANGUAGES),
     endpoints: {
       latest: '/latest-news'
     },
     params: {
-      apiKey: process.env.CURRENTS_API_KEY || '',
-      language: 'en'
+      apiKey: process.env.CURRENTS_API_KEY || ''
     },
     categoryMap: {
       'DEFI': 'technology',
@@ -123,14 +141,15 @@ const providers = [
     dailyLimit: parseInt(process.env.NEWSAPI_LIMIT) || 1000,
     requestsPerCall: 100,
     supportsDateFilter: true,
+    languageParam: 'language',
+    languages: getConfiguredLanguages(process.env.NEWSAPI_LANGUAGES || process.env.NEWS_LANGUAGES),
     endpoints: {
       topHeadlines: '/top-headlines',
       everything: '/everything'
     },
     params: {
       apiKey: process.env.NEWSAPI_KEY || '',
-      sortBy: 'publishedAt',
-      language: 'en'
+      sortBy: 'publishedAt'
     },
     categoryMap: {
       'DEFI': 'technology',
@@ -172,6 +191,7 @@ const providers = [
     dailyLimit: Infinity,
     supportsDateFilter: true,
     previewOnly: true, // CRITICAL: Only show preview, not full content
+    language: 'en', // Feeds can override with their own `language`
     feeds: [
       // Cryptocurrency News (5 articles each from last 6 hours)
       // Covers Bitcoin, Ethereum, DeFi, blockchain, and all cryptocurrency news
@@ -0,0 +1,25 @@
+const multer = require('multer');
+const path = require('path');
+
+// File filter for CSV files only
+const fileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+  const mimetype = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+
+  if (extname && mimetype) {
+    return cb(null, true);
+  }
+
+  cb(new Error('Only CSV files are allowed'));
+};
+
+// Configure multer for CSV uploads (kept in memory, never written to disk)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: fileFilter
+});
+
+module.exports = csvUpload;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const idempotencyStore = require('../services/idempotencyStore');
+
+const MAX_KEY_LENGTH = 255;
+
+// Body fields left out of the fingerprint - a stored hash over a 6-digit PIN could be brute-forced
+const SECRET_FIELDS = ['password', 'pin'];
+
+// Fingerprint of the request, used to detect a key reused with a different payload
+const hashRequest = (req) => {
+  const body = { ...(req.body || {}) };
+  SECRET_FIELDS.forEach(field => delete body[field]);
+
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(body)}`)
+    .digest('hex');
+};
+
+// Honor the Idempotency-Key header on reward-granting and money-moving endpoints
+// Must run after authenticateToken (keys are scoped per user)
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_IDEMPOTENCY_KEY',
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = req.user.id;
+  const requestHash = hashRequest(req);
+
+  let reservation;
+  try {
+    reservation = await idempotencyStore.reserve(userId, key, requestHash);
+  } catch (error) {
+    console.error('Idempotency reserve error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'IDEMPOTENCY_ERROR',
+      message: 'Failed to process Idempotency-Key'
+    });
+  }
+
+  if (!reservation.reserved) {
+    const { record } = reservation;
+
+    if (!record) {
+      // Reservation expired while we were looking it up - ask the client to retry
+      return res.status(409).json({
+        success: false,
+        error: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+        message: 'A request with this Idempotency-Key is already being processed'
+      });
+    }
+
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'IDEMPOTENCY_KEY_CONFLICT',
+        message: 'Idempotency-Key was already used with a different request payload'
+      });
+    }
+
+    if (record.statusCode === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+        message: 'A request with this Idempotency-Key is already being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.statusCode).json(record.body);
+  }
+
+  // Store the first successful response before it is sent, so an immediate retry sees it.
+  // Anything else releases the key: errors had no effect, and many are worth retrying
+  // with the same key (wrong PIN, 409 conflicts, rate limits, reads too short to claim).
+  const settle = async (statusCode, body) => {
+    try {
+      if (statusCode >= 200 && statusCode < 300) {
+        await idempotencyStore.complete(userId, key, reservation.store, requestHash, statusCode, body);
+      } else {
+        await idempotencyStore.release(userId, key, reservation.store);
+      }
+    } catch (error) {
+      console.error('Idempotency store error:', error);
+      // Don't leave the key stuck in "processing" for 24h
+      await idempotencyStore.release(userId, key, reservation.store).catch(() => {});
+    }
+  };
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settle(res.statusCode, body).then(() => originalJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotency };
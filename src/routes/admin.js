@@ -4,8 +4,26 @@ const { authenticateToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
 const { deduplicateRequest, clearCachePattern } = require('../middleware/deduplication');
 const upload = require('../middleware/upload');
+const csvUpload = require('../middleware/csvUpload');
 const cacheService = require('../services/cacheService');
 const { fetchTrendingArticles, fetchFeaturedArticles } = require('../services/articleCacheHelpers');
+const { POINT_SOURCES, recordPointTransaction, getUserLedger } = require('../services/pointsLedger');
+const { parsePaginationParams } = require('../utils/pagination');
+const { DEFAULT_ARTICLE_LANGUAGE, normalizeLanguageCode } = require('../utils/languages');
+const distributedLock = require('../services/distributedLock');
+const pointsReconciliation = require('../services/pointsReconciliation');
+const { REWARD_STATUS, transitionReward } = require('../services/rewardFulfillment');
+const rewardCodePool = require('../services/rewardCodePool');
+const dailyRewardSchedule = require('../services/dailyRewardSchedule');
+const commentService = require('../services/comments');
+const readSessions = require('../services/readSessions');
+const articleScheduling = require('../services/articleScheduling');
+const articleRevisions = require('../services/articleRevisions');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const trendingScores = require('../services/trendingScores');
+const relatedArticles = require('../services/relatedArticles');
+const articleReports = require('../services/articleReports');
+const articleReview = require('../services/articleReview');
 
 const router = express.Router();
 
@@ -40,6 +58,10 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
         ];
       }
       if (role) where.role = role;
+      // Repeat offenders on article reward claims (see services/readSessions)
+      if (req.query.flagged === 'true') {
+        where.readViolationCount = { gte: readSessions.READ_VIOLATION_FLAG_THRESHOLD };
+      }
 
       const users = await prisma.user.findMany({
         where,
@@ -55,6 +77,7 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
           isActive: true,
           isVerified: true,
           kycStatus: true,
+          readViolationCount: true,
           createdAt: true,
           lastLogin: true
         },
@@ -185,7 +208,6 @@ router.put('/users/:userId', authenticateToken, requireAdmin, async (req, res) =
     const updateData = {};
     if (role !== undefined) updateData.role = role;
     if (isActive !== undefined) updateData.isActive = isActive;
-    if (points !== undefined) updateData.points = points;
     if (streakCount !== undefined) updateData.streakCount = streakCount;
     if (kycStatus !== undefined) updateData.kycStatus = kycStatus;
     if (isVerified !== undefined) updateData.isVerified = isVerified;
@@ -195,22 +217,52 @@ router.put('/users/:userId', authenticateToken, requireAdmin, async (req, res) =
       updateData.role = isCreator ? 'creator' : 'user';
     }
 
-    const updatedUser = await prisma.user.update({
-      where: { id: userId },
-      data: updateData,
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        displayName: true,
-        role: true,
-        isActive: true,
-        points: true,
-        streakCount: true,
-        kycStatus: true,
-        isVerified: true,
-        updatedAt: true
+    // Points are set as an absolute value by admins, so record the difference
+    // in the ledger within the same transaction as the update
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      let pointsDelta = 0;
+
+      if (points !== undefined) {
+        const currentUser = await tx.user.findUnique({
+          where: { id: userId },
+          select: { points: true }
+        });
+
+        if (!currentUser) {
+          throw new Error('USER_NOT_FOUND');
+        }
+
+        pointsDelta = points - currentUser.points;
+        updateData.points = points;
       }
+
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: updateData,
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          displayName: true,
+          role: true,
+          isActive: true,
+          points: true,
+          streakCount: true,
+          kycStatus: true,
+          isVerified: true,
+          updatedAt: true
+        }
+      });
+
+      await recordPointTransaction(tx, {
+        userId,
+        delta: pointsDelta,
+        sourceType: POINT_SOURCES.ADMIN_ADJUSTMENT,
+        actorId: req.user.id,
+        note: `Balance set to ${points} by admin`
+      });
+
+      return user;
     });
 
     // Write-through cache: Refresh user caches SYNCHRONOUSLY
@@ -244,6 +296,15 @@ router.put('/users/:userId', authenticateToken, requireAdmin, async (req, res) =
 
   } catch (error) {
     console.error('Update admin user error:', error);
+
+    if (error.message === 'USER_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'ADMIN_USER_UPDATE_ERROR',
@@ -356,6 +417,37 @@ router.delete('/users/:userId', authenticateToken, requireAdmin, async (req, res
   }
 });
 
+// Get user points ledger (admin)
+router.get('/users/:userId/ledger', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const pagination = parsePaginationParams(req);
+
+    const ledger = await getUserLedger(userId, pagination, {
+      sourceType: req.query.sourceType
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries: ledger.entries,
+        pagination: {
+          limit: ledger.limit,
+          nextCursor: ledger.nextCursor,
+          hasMore: ledger.hasMore
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get admin user ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'LEDGER_FETCH_ERROR',
+      message: 'Failed to fetch points ledger'
+    });
+  }
+});
+
 // Get user achievements (admin) (with write-through cache)
 router.get('/users/:userId/achievements', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -508,6 +600,15 @@ router.patch('/users/:userId/achievements/:achievementId', authenticateToken, re
           }
         }
       });
+
+      await recordPointTransaction(tx, {
+        userId,
+        delta: pointsChange,
+        sourceType: POINT_SOURCES.ACHIEVEMENT_TOGGLE,
+        sourceId: achievementId,
+        actorId: req.user.id,
+        note: isLocked ? 'Achievement locked by admin' : 'Achievement unlocked by admin'
+      });
     });
 
     // Write-through cache: Refresh user profile and achievement caches SYNCHRONOUSLY
@@ -573,10 +674,10 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
       const totalUsers = await prisma.user.count();
       
       // Get active users by time period (based on daily reward claims)
-      // Uses UTC day boundaries to match daily reward system
+      // Platform-wide stats use UTC day boundaries (users' own daily resets follow their timezone)
       const now = new Date();
       
-      // UTC day helper functions (matching daily reward logic)
+      // UTC day helper functions
       const startOfUtcDay = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
       const startOfUtcWeek = (d) => {
         const day = d.getUTCDay();
@@ -664,7 +765,14 @@ router.post('/rewards', authenticateToken, requireAdmin, async (req, res) => {
       currency,
       stock,
       imageUrl,
-      terms
+      terms,
+      lowStockThreshold,
+      startsAt,
+      endsAt,
+      maxPerUser,
+      minAccountAgeDays,
+      requiresKyc,
+      allowedRoles
     } = req.body;
 
     // Validate required fields
@@ -687,7 +795,14 @@ router.post('/rewards', authenticateToken, requireAdmin, async (req, res) => {
         currency,
         stock,
         imageUrl,
-        terms
+        terms,
+        lowStockThreshold,
+        startsAt: startsAt ? new Date(startsAt) : null,
+        endsAt: endsAt ? new Date(endsAt) : null,
+        maxPerUser,
+        minAccountAgeDays,
+        requiresKyc,
+        allowedRoles
       }
     });
 
@@ -720,7 +835,17 @@ router.post('/rewards', authenticateToken, requireAdmin, async (req, res) => {
 router.put('/rewards/:rewardId', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { rewardId } = req.params;
-    const updateData = req.body;
+    const { usesCodePool, lowStockAlertedAt, ...updateData } = req.body;
+
+    // Code pool stock is the number of unassigned codes and can't be set directly
+    const existing = await prisma.availableReward.findUnique({
+      where: { id: rewardId },
+      select: { usesCodePool: true }
+    });
+
+    if (existing && existing.usesCodePool) {
+      delete updateData.stock;
+    }
 
     const reward = await prisma.availableReward.update({
       where: { id: rewardId },
@@ -787,6 +912,1254 @@ router.delete('/rewards/:rewardId', authenticateToken, requireAdmin, async (req,
   }
 });
 
+// Upload voucher codes (CSV, one code per row) to a reward's code pool (admin)
+router.post('/rewards/:rewardId/codes', authenticateToken, requireAdmin, csvUpload.single('file'), async (req, res) => {
+  try {
+    const { rewardId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV_FILE_REQUIRED',
+        message: 'A CSV file of codes is required'
+      });
+    }
+
+    let codes;
+    try {
+      codes = rewardCodePool.parseCodesCsv(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_CODES_CSV',
+        message: 'Codes must be at most 255 characters'
+      });
+    }
+
+    if (codes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_CODES_FOUND',
+        message: 'The CSV file does not contain any codes'
+      });
+    }
+
+    const result = await rewardCodePool.addCodes(rewardId, codes, req.user.id);
+
+    // Write-through cache: Invalidate reward caches SYNCHRONOUSLY (stock changed)
+    try {
+      await cacheService.delete(`reward:${rewardId}`);
+      await cacheService.deletePattern('rewards:*');
+      await cacheService.deletePattern('availableRewards:*');
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error invalidating reward caches after code upload:', err);
+    }
+
+    res.json({
+      success: true,
+      message: `${result.added} codes added (${result.duplicates} duplicates skipped)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Upload reward codes error:', error);
+
+    if (error.message === 'REWARD_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'REWARD_NOT_FOUND',
+        message: 'Reward not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'REWARD_CODES_UPLOAD_ERROR',
+      message: 'Failed to upload reward codes'
+    });
+  }
+});
+
+// Get code pool summary for a reward (admin, counts only)
+router.get('/rewards/:rewardId/codes', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { rewardId } = req.params;
+
+    const reward = await prisma.availableReward.findUnique({
+      where: { id: rewardId },
+      select: { id: true, name: true, usesCodePool: true, lowStockThreshold: true, lowStockAlertedAt: true }
+    });
+
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: 'REWARD_NOT_FOUND',
+        message: 'Reward not found'
+      });
+    }
+
+    const pool = await rewardCodePool.getPoolSummary(rewardId);
+
+    res.json({
+      success: true,
+      data: { reward, pool }
+    });
+
+  } catch (error) {
+    console.error('Get reward code pool error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'REWARD_CODES_FETCH_ERROR',
+      message: 'Failed to fetch reward code pool'
+    });
+  }
+});
+
+// Reward Fulfillment Endpoints
+
+// Map reward transition errors to responses
+const sendRewardTransitionError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'REWARD_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'REWARD_NOT_FOUND',
+      message: 'Reward not found'
+    });
+  }
+
+  if (error.message === 'INVALID_REWARD_TRANSITION') {
+    return res.status(409).json({
+      success: false,
+      error: 'INVALID_REWARD_TRANSITION',
+      message: 'Reward cannot be moved to this status from its current status'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// Get redeemed rewards (admin)
+router.get('/redemptions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.userId) where.userId = req.query.userId;
+
+    const redemptions = await prisma.reward.findMany({
+      where,
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            email: true,
+            displayName: true
+          }
+        },
+        availableReward: {
+          select: {
+            id: true,
+            name: true,
+            category: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit
+    });
+
+    const totalCount = await prisma.reward.count({ where });
+
+    res.json({
+      success: true,
+      data: {
+        redemptions,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ADMIN_REDEMPTIONS_FETCH_ERROR',
+      message: 'Failed to fetch redemptions'
+    });
+  }
+});
+
+// Start processing a redeemed reward (admin)
+router.post('/redemptions/:rewardId/process', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const reward = await transitionReward(req.params.rewardId, REWARD_STATUS.PROCESSING, {
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Reward marked as processing',
+      data: { reward }
+    });
+
+  } catch (error) {
+    console.error('Process reward error:', error);
+    sendRewardTransitionError(res, error, 'REWARD_PROCESS_ERROR', 'Failed to process reward');
+  }
+});
+
+// Fulfill a redeemed reward with its payload (admin)
+router.post('/redemptions/:rewardId/fulfill', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { code, trackingNote } = req.body;
+
+    if (!code && !trackingNote) {
+      return res.status(400).json({
+        success: false,
+        error: 'FULFILLMENT_PAYLOAD_REQUIRED',
+        message: 'A code or tracking note is required to fulfill a reward'
+      });
+    }
+
+    const reward = await transitionReward(req.params.rewardId, REWARD_STATUS.FULFILLED, {
+      adminId: req.user.id,
+      fulfillmentCode: code,
+      fulfillmentNote: trackingNote
+    });
+
+    res.json({
+      success: true,
+      message: 'Reward fulfilled successfully',
+      data: { reward }
+    });
+
+  } catch (error) {
+    console.error('Fulfill reward error:', error);
+    sendRewardTransitionError(res, error, 'REWARD_FULFILL_ERROR', 'Failed to fulfill reward');
+  }
+});
+
+// Cancel a redeemed reward and refund the user (admin)
+router.post('/redemptions/:rewardId/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const reward = await transitionReward(req.params.rewardId, REWARD_STATUS.CANCELLED, {
+      adminId: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Reward cancelled and points refunded',
+      data: { reward }
+    });
+
+  } catch (error) {
+    console.error('Cancel reward error:', error);
+    sendRewardTransitionError(res, error, 'REWARD_CANCEL_ERROR', 'Failed to cancel reward');
+  }
+});
+
+// Points Reconciliation Endpoints
+
+// Get reconciliation runs (admin)
+router.get('/reconciliation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+
+    const runs = await prisma.reconciliationRun.findMany({
+      where,
+      orderBy: { startedAt: 'desc' },
+      skip,
+      take: limit
+    });
+
+    const totalCount = await prisma.reconciliationRun.count({ where });
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'RECONCILIATION_FETCH_ERROR',
+      message: 'Failed to fetch reconciliation runs'
+    });
+  }
+});
+
+// Get drift report for a reconciliation run (admin)
+router.get('/reconciliation/:runId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const run = await prisma.reconciliationRun.findUnique({
+      where: { id: runId }
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'RECONCILIATION_RUN_NOT_FOUND',
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    const drifts = await prisma.reconciliationDrift.findMany({
+      where: { runId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            email: true,
+            displayName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' },
+      skip,
+      take: limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        run,
+        drifts,
+        pagination: {
+          page,
+          limit,
+          total: run.driftCount,
+          pages: Math.ceil(run.driftCount / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation drifts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'RECONCILIATION_FETCH_ERROR',
+      message: 'Failed to fetch reconciliation drifts'
+    });
+  }
+});
+
+// Trigger a reconciliation run (admin)
+router.post('/reconciliation/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const autoCorrect = req.body.autoCorrect === true;
+
+    // Share the nightly job's lock so a manual run never overlaps a scheduled one
+    const lockKey = `points_reconciliation_${new Date().toISOString().split('T')[0]}`;
+    const acquired = await distributedLock.acquireLock(lockKey, 3600);
+
+    if (!acquired) {
+      return res.status(409).json({
+        success: false,
+        error: 'RECONCILIATION_IN_PROGRESS',
+        message: 'A reconciliation run is already in progress'
+      });
+    }
+
+    let run;
+    try {
+      run = await pointsReconciliation.runReconciliation({
+        trigger: 'manual',
+        autoCorrect,
+        triggeredBy: req.user.id
+      });
+    } finally {
+      await distributedLock.releaseLock(lockKey);
+    }
+
+    res.json({
+      success: true,
+      message: autoCorrect
+        ? `Reconciliation completed: ${run.driftCount} drifted, ${run.correctedCount} corrected`
+        : `Reconciliation completed: ${run.driftCount} drifted`,
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'RECONCILIATION_RUN_ERROR',
+      message: 'Failed to run reconciliation'
+    });
+  }
+});
+
+// ==================== DAILY REWARD SCHEDULE ====================
+
+// Get daily reward schedules (admin)
+router.get('/daily-rewards/schedules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const schedules = await prisma.dailyRewardSchedule.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        schedules,
+        // Applies whenever no schedule is active
+        defaultSchedule: dailyRewardSchedule.DEFAULT_SCHEDULE
+      }
+    });
+  } catch (error) {
+    console.error('Get daily reward schedules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_SCHEDULES_FETCH_ERROR',
+      message: 'Failed to fetch daily reward schedules'
+    });
+  }
+});
+
+// Create daily reward schedule (admin)
+// Body: { name, dayAmounts: [5, 10, ...], cap, milestoneBonuses: [{ day, bonus }], isActive }
+router.post('/daily-rewards/schedules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, dayAmounts, cap, milestoneBonuses, isActive } = req.body;
+
+    if (!name || dayAmounts === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'Name and dayAmounts are required'
+      });
+    }
+
+    const validationError = dailyRewardSchedule.validateSchedule({ name, dayAmounts, cap, milestoneBonuses });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+
+    const activate = isActive === true || isActive === 'true';
+
+    // Only one schedule can be active at a time
+    const schedule = await prisma.$transaction(async (tx) => {
+      if (activate) {
+        await tx.dailyRewardSchedule.updateMany({
+          where: { isActive: true },
+          data: { isActive: false }
+        });
+      }
+
+      return await tx.dailyRewardSchedule.create({
+        data: {
+          name: name.trim(),
+          dayAmounts,
+          cap: cap ?? null,
+          milestoneBonuses: milestoneBonuses || [],
+          isActive: activate,
+          createdBy: req.user.id
+        }
+      });
+    });
+
+    await dailyRewardSchedule.invalidateScheduleCache();
+
+    res.json({
+      success: true,
+      message: 'Daily reward schedule created successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Create daily reward schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_SCHEDULE_CREATE_ERROR',
+      message: 'Failed to create daily reward schedule'
+    });
+  }
+});
+
+// Update daily reward schedule (admin)
+// Setting isActive: true deactivates the other schedules
+router.put('/daily-rewards/schedules/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, dayAmounts, cap, milestoneBonuses, isActive } = req.body;
+
+    const validationError = dailyRewardSchedule.validateSchedule({ name, dayAmounts, cap, milestoneBonuses });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (dayAmounts !== undefined) updateData.dayAmounts = dayAmounts;
+    if (cap !== undefined) updateData.cap = cap;
+    if (milestoneBonuses !== undefined) updateData.milestoneBonuses = milestoneBonuses;
+    if (isActive !== undefined) updateData.isActive = isActive === true || isActive === 'true';
+
+    const schedule = await prisma.$transaction(async (tx) => {
+      if (updateData.isActive) {
+        await tx.dailyRewardSchedule.updateMany({
+          where: { isActive: true, id: { not: id } },
+          data: { isActive: false }
+        });
+      }
+
+      return await tx.dailyRewardSchedule.update({
+        where: { id },
+        data: updateData
+      });
+    });
+
+    await dailyRewardSchedule.invalidateScheduleCache();
+
+    res.json({
+      success: true,
+      message: 'Daily reward schedule updated successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Update daily reward schedule error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'DAILY_REWARD_SCHEDULE_NOT_FOUND',
+        message: 'Daily reward schedule not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_SCHEDULE_UPDATE_ERROR',
+      message: 'Failed to update daily reward schedule'
+    });
+  }
+});
+
+// Delete daily reward schedule (admin)
+// Deleting the active schedule falls back to the default schedule
+router.delete('/daily-rewards/schedules/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await prisma.dailyRewardSchedule.delete({
+      where: { id: req.params.id }
+    });
+
+    await dailyRewardSchedule.invalidateScheduleCache();
+
+    res.json({
+      success: true,
+      message: 'Daily reward schedule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete daily reward schedule error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'DAILY_REWARD_SCHEDULE_NOT_FOUND',
+        message: 'Daily reward schedule not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_SCHEDULE_DELETE_ERROR',
+      message: 'Failed to delete daily reward schedule'
+    });
+  }
+});
+
+// Get daily reward multiplier events (admin)
+router.get('/daily-rewards/multipliers', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const multipliers = await prisma.dailyRewardMultiplier.findMany({
+      orderBy: { startsAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: { multipliers }
+    });
+  } catch (error) {
+    console.error('Get daily reward multipliers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_MULTIPLIERS_FETCH_ERROR',
+      message: 'Failed to fetch daily reward multipliers'
+    });
+  }
+});
+
+// Create daily reward multiplier event (admin)
+// Body: { name, multiplier, startsAt, endsAt, isActive }
+router.post('/daily-rewards/multipliers', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, multiplier, startsAt, endsAt, isActive } = req.body;
+
+    if (!name || multiplier === undefined || !startsAt || !endsAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'Name, multiplier, startsAt and endsAt are required'
+      });
+    }
+
+    const data = {
+      multiplier: parseFloat(multiplier),
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      isActive: isActive === undefined ? true : isActive === true || isActive === 'true',
+      createdBy: req.user.id
+    };
+
+    const validationError = dailyRewardSchedule.validateMultiplier({ name, ...data });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+
+    const event = await prisma.dailyRewardMultiplier.create({
+      data: { ...data, name: name.trim() }
+    });
+
+    await dailyRewardSchedule.invalidateScheduleCache();
+
+    res.json({
+      success: true,
+      message: 'Daily reward multiplier created successfully',
+      data: { multiplier: event }
+    });
+  } catch (error) {
+    console.error('Create daily reward multiplier error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_MULTIPLIER_CREATE_ERROR',
+      message: 'Failed to create daily reward multiplier'
+    });
+  }
+});
+
+// Update daily reward multiplier event (admin)
+router.put('/daily-rewards/multipliers/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, multiplier, startsAt, endsAt, isActive } = req.body;
+
+    const existing = await prisma.dailyRewardMultiplier.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'DAILY_REWARD_MULTIPLIER_NOT_FOUND',
+        message: 'Daily reward multiplier not found'
+      });
+    }
+
+    const updateData = {};
+    if (multiplier !== undefined) updateData.multiplier = parseFloat(multiplier);
+    if (startsAt !== undefined) updateData.startsAt = new Date(startsAt);
+    if (endsAt !== undefined) updateData.endsAt = new Date(endsAt);
+    if (isActive !== undefined) updateData.isActive = isActive === true || isActive === 'true';
+
+    // Validate the resulting window, not just the fields being changed
+    const validationError = dailyRewardSchedule.validateMultiplier({
+      name,
+      multiplier: updateData.multiplier,
+      startsAt: updateData.startsAt || existing.startsAt,
+      endsAt: updateData.endsAt || existing.endsAt
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+
+    if (name !== undefined) updateData.name = name.trim();
+
+    const event = await prisma.dailyRewardMultiplier.update({
+      where: { id },
+      data: updateData
+    });
+
+    await dailyRewardSchedule.invalidateScheduleCache();
+
+    res.json({
+      success: true,
+      message: 'Daily reward multiplier updated successfully',
+      data: { multiplier: event }
+    });
+  } catch (error) {
+    console.error('Update daily reward multiplier error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_MULTIPLIER_UPDATE_ERROR',
+      message: 'Failed to update daily reward multiplier'
+    });
+  }
+});
+
+// Delete daily reward multiplier event (admin)
+router.delete('/daily-rewards/multipliers/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await prisma.dailyRewardMultiplier.delete({
+      where: { id: req.params.id }
+    });
+
+    await dailyRewardSchedule.invalidateScheduleCache();
+
+    res.json({
+      success: true,
+      message: 'Daily reward multiplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete daily reward multiplier error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'DAILY_REWARD_MULTIPLIER_NOT_FOUND',
+        message: 'Daily reward multiplier not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_MULTIPLIER_DELETE_ERROR',
+      message: 'Failed to delete daily reward multiplier'
+    });
+  }
+});
+
+// Preview the 30-day payout curve (admin)
+// Query: scheduleId (defaults to the schedule claims currently use), startDate (day 1, defaults to now)
+router.get('/daily-rewards/preview', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { scheduleId } = req.query;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date();
+
+    if (isNaN(startDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: 'startDate must be a valid date'
+      });
+    }
+
+    const config = await dailyRewardSchedule.getScheduleConfig();
+    let schedule = config.schedule;
+
+    if (scheduleId) {
+      schedule = await prisma.dailyRewardSchedule.findUnique({
+        where: { id: scheduleId }
+      });
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'DAILY_REWARD_SCHEDULE_NOT_FOUND',
+          message: 'Daily reward schedule not found'
+        });
+      }
+    }
+
+    const curve = dailyRewardSchedule.buildPayoutPreview(schedule, config.multipliers, startDate, dailyRewardSchedule.PREVIEW_DAYS);
+
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        curve,
+        totalPayout: curve.length > 0 ? curve[curve.length - 1].cumulative : 0
+      }
+    });
+  } catch (error) {
+    console.error('Daily reward preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'DAILY_REWARD_PREVIEW_ERROR',
+      message: 'Failed to build daily reward preview'
+    });
+  }
+});
+
+// ==================== COMMENT MODERATION ====================
+
+// Map comment moderation errors to responses
+const sendCommentModerationError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'COMMENT_NOT_FOUND' || error.message === 'USER_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+      message: error.message === 'USER_NOT_FOUND' ? 'User not found' : 'Comment not found'
+    });
+  }
+
+  if (error.message === 'INVALID_COMMENT_TRANSITION') {
+    return res.status(409).json({
+      success: false,
+      error: 'INVALID_COMMENT_TRANSITION',
+      message: 'Comment was deleted by its author and cannot be moderated'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// Get comment moderation queue (admin)
+// Query: status = reported (default, most reported first) | hidden
+router.get('/comments', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = req.query.status === 'hidden' ? 'hidden' : 'reported';
+
+    const { comments, total } = await commentService.getModerationQueue({ status, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comment moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'COMMENT_QUEUE_FETCH_ERROR',
+      message: 'Failed to fetch comment moderation queue'
+    });
+  }
+});
+
+// Hide a comment and resolve its reports (admin)
+router.post('/comments/:commentId/hide', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const comment = await commentService.hideComment(req.params.commentId, {
+      adminId: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment hidden',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Hide comment error:', error);
+    sendCommentModerationError(res, error, 'COMMENT_HIDE_ERROR', 'Failed to hide comment');
+  }
+});
+
+// Restore a hidden comment, or dismiss the reports on a visible one (admin)
+router.post('/comments/:commentId/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const comment = await commentService.restoreComment(req.params.commentId, {
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment restored',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Restore comment error:', error);
+    sendCommentModerationError(res, error, 'COMMENT_RESTORE_ERROR', 'Failed to restore comment');
+  }
+});
+
+// Ban a user from commenting (admin)
+router.post('/comments/users/:userId/ban', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await commentService.setCommentBan(req.params.userId, {
+      banned: true,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User banned from commenting',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Comment ban error:', error);
+    sendCommentModerationError(res, error, 'COMMENT_BAN_ERROR', 'Failed to ban user from commenting');
+  }
+});
+
+// Lift a commenting ban (admin)
+router.delete('/comments/users/:userId/ban', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await commentService.setCommentBan(req.params.userId, { banned: false });
+
+    res.json({
+      success: true,
+      message: 'Commenting ban lifted',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Comment unban error:', error);
+    sendCommentModerationError(res, error, 'COMMENT_UNBAN_ERROR', 'Failed to lift commenting ban');
+  }
+});
+
+// ==================== ARTICLE REPORTS ====================
+
+// Map article report moderation errors to responses
+const sendArticleReportError = (res, error, fallbackCode, fallbackMessage) => {
+  const clientErrors = {
+    ARTICLE_NOT_FOUND: [404, 'Article not found'],
+    NO_OPEN_REPORTS: [409, 'Article has no open reports'],
+    INVALID_STATUS: [409, 'Only published or report-hidden articles can be unpublished or rejected from the report queue']
+  };
+
+  if (clientErrors[error.message]) {
+    const [status, message] = clientErrors[error.message];
+    return res.status(status).json({
+      success: false,
+      error: error.message,
+      message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// Get the article report queue, aggregated by article (admin)
+// Query: status = open (default, most reported first) | hidden (auto-hidden, awaiting a decision)
+router.get('/reports', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = req.query.status === 'hidden' ? 'hidden' : 'open';
+
+    const { articles, total } = await articleReports.getReportQueue({ status, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        hideThreshold: articleReports.getHideThreshold(),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get article report queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'REPORT_QUEUE_FETCH_ERROR',
+      message: 'Failed to fetch article report queue'
+    });
+  }
+});
+
+// Dismiss an article's reports; an auto-hidden article goes back into the feeds (admin)
+router.post('/reports/:articleId/dismiss', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await articleReports.resolveReports(req.params.articleId, 'dismiss', {
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Reports dismissed',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Dismiss article reports error:', error);
+    sendArticleReportError(res, error, 'REPORT_DISMISS_ERROR', 'Failed to dismiss reports');
+  }
+});
+
+// Unpublish a reported article and resolve its reports (admin)
+router.post('/reports/:articleId/unpublish', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await articleReports.resolveReports(req.params.articleId, 'unpublish', {
+      adminId: req.user.id
+    });
+
+    console.log(`Reported article ${req.params.articleId} unpublished by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Article unpublished',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Unpublish reported article error:', error);
+    sendArticleReportError(res, error, 'REPORT_UNPUBLISH_ERROR', 'Failed to unpublish article');
+  }
+});
+
+// Reject a reported article with a rejection reason, as in the review flow (admin)
+router.post('/reports/:articleId/reject', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const rejectionReason = articleReview.parseRejectionReason(req.body.rejectionReason || req.body.reason);
+
+    if (!rejectionReason) {
+      return res.status(400).json({
+        success: false,
+        error: 'REJECTION_REASON_REQUIRED',
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const result = await articleReports.resolveReports(req.params.articleId, 'reject', {
+      adminId: req.user.id,
+      rejectionReason
+    });
+
+    console.log(`Reported article ${req.params.articleId} rejected by admin ${req.user.id}. Reason: ${rejectionReason}`);
+
+    res.json({
+      success: true,
+      message: 'Article rejected successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Reject reported article error:', error);
+    sendArticleReportError(res, error, 'REPORT_REJECT_ERROR', 'Failed to reject article');
+  }
+});
+
+// ==================== CATEGORIES & TAGS ====================
+
+// Response for an article language that isn't a language code
+const sendInvalidLanguageError = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'INVALID_LANGUAGE',
+    message: 'language must be a two-letter ISO 639-1 code, e.g. "en" or "fr"'
+  });
+};
+
+// Response for an unknown category or malformed tags on article create/update
+const sendTaxonomyError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: error.message,
+    message: error.message === 'INVALID_CATEGORY'
+      ? 'Unknown category. See GET /api/admin/categories for the available categories'
+      : `Tags must be a list of at most ${categoryTaxonomy.MAX_TAGS_PER_ARTICLE} names of up to 30 characters`
+  });
+};
+
+// Map category management errors to responses
+const sendCategoryError = (res, error, fallbackCode, fallbackMessage) => {
+  const clientErrors = {
+    INVALID_CATEGORY_DATA: [400, 'Category needs a slug (letters, digits, underscores) and a name; sortOrder must be an integer, isActive a boolean and retentionDays null or a whole number of days'],
+    CATEGORY_SLUG_IMMUTABLE: [400, 'Category slug cannot be changed once created'],
+    CATEGORY_NOT_FOUND: [404, 'Category not found'],
+    TAG_NOT_FOUND: [404, 'Tag not found'],
+    CATEGORY_EXISTS: [409, 'A category with this slug already exists'],
+    CATEGORY_IN_USE: [409, 'Category is used by articles - deactivate it instead']
+  };
+
+  if (clientErrors[error.message]) {
+    const [status, message] = clientErrors[error.message];
+    return res.status(status).json({
+      success: false,
+      error: error.message,
+      message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// Get all categories including inactive ones, with article counts
+router.get('/categories', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const categories = await categoryTaxonomy.listAllCategories();
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    sendCategoryError(res, error, 'CATEGORIES_FETCH_ERROR', 'Failed to fetch categories');
+  }
+});
+
+// Create a category
+router.post('/categories', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const category = await categoryTaxonomy.createCategory(req.body);
+
+    res.json({
+      success: true,
+      message: 'Category created',
+      data: { category }
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    sendCategoryError(res, error, 'CATEGORY_CREATE_ERROR', 'Failed to create category');
+  }
+});
+
+// Update a category's name, icon, sort order or active flag
+router.put('/categories/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const category = await categoryTaxonomy.updateCategory(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Category updated',
+      data: { category }
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    sendCategoryError(res, error, 'CATEGORY_UPDATE_ERROR', 'Failed to update category');
+  }
+});
+
+// Delete a category no article uses
+router.delete('/categories/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await categoryTaxonomy.deleteCategory(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Category deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    sendCategoryError(res, error, 'CATEGORY_DELETE_ERROR', 'Failed to delete category');
+  }
+});
+
+// Get tags with article counts
+router.get('/tags', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const { tags, total } = await categoryTaxonomy.listTags({
+      search: req.query.search || null,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    sendCategoryError(res, error, 'TAGS_FETCH_ERROR', 'Failed to fetch tags');
+  }
+});
+
+// Delete a tag (removes it from every article)
+router.delete('/tags/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await categoryTaxonomy.deleteTag(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    sendCategoryError(res, error, 'TAG_DELETE_ERROR', 'Failed to delete tag');
+  }
+});
+
 // Article Management Endpoints
 
 // Debug middleware to see what's being received
@@ -835,6 +2208,17 @@ router.post('/articles', authenticateToken, debugMiddleware, upload.fields([{ na
     const parsedPointsValue = parseInt(pointsValue) || 10;
     const parsedIsFeatured = isFeatured === 'true' || isFeatured === true;
 
+    let scheduledPublishAt;
+    try {
+      scheduledPublishAt = articleScheduling.parseScheduledPublishAt(req.body.scheduledPublishAt) || null;
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SCHEDULED_PUBLISH_AT',
+        message: `scheduledPublishAt must be a future date within ${articleScheduling.MAX_SCHEDULE_DAYS} days`
+      });
+    }
+
     // Handle image - prefer Cloudflare R2 URL over base64
     let finalImageUrl = null;
     let finalImageData = null;
@@ -900,16 +2284,39 @@ router.post('/articles', authenticateToken, debugMiddleware, upload.fields([{ na
       });
     }
 
+    // Language the article is written in (English unless chosen)
+    const language = req.body.language ? normalizeLanguageCode(req.body.language) : DEFAULT_ARTICLE_LANGUAGE;
+    if (!language) {
+      return sendInvalidLanguageError(res);
+    }
+
+    // Category must be a managed one; tags are optional
+    let categorySlug;
+    let tags;
+    try {
+      categorySlug = await categoryTaxonomy.resolveCategory(category);
+      tags = categoryTaxonomy.parseTags(req.body.tags);
+    } catch (error) {
+      if (error.message === 'INVALID_CATEGORY' || error.message === 'INVALID_TAGS') {
+        return sendTaxonomyError(res, error);
+      }
+      throw error;
+    }
+
     // Determine article status based on user role
-    const articleStatus = userRole === 'admin' ? 'published' : 'pending';
-    const publishedAt = userRole === 'admin' ? new Date() : null;
+    // Admin articles are approved on creation, so a publish time makes them scheduled
+    const now = new Date();
+    const { status: articleStatus, publishedAt } = userRole === 'admin'
+      ? articleScheduling.getApprovedState(scheduledPublishAt, now)
+      : { status: 'pending', publishedAt: null };
 
     // Create article
     const article = await prisma.article.create({
       data: {
         title: title.trim(),
         content: content.trim(),
-        category: category.toUpperCase(),
+        category: categorySlug,
+        language,
         sourceName: sourceName || 'BuzzNob',
         sourceUrl: sourceUrl || null,
         pointsValue: parsedPointsValue,
@@ -919,10 +2326,16 @@ router.post('/articles', authenticateToken, debugMiddleware, upload.fields([{ na
         imageType: finalImageType || null,
         status: articleStatus,
         authorId: userId,
-        publishedAt: publishedAt
+        publishedAt: publishedAt,
+        scheduledPublishAt,
+        ...(articleStatus === articleScheduling.SCHEDULED_STATUS && { reviewedBy: userId, reviewedAt: now })
       }
     });
 
+    const articleTags = tags && tags.length > 0
+      ? await categoryTaxonomy.setArticleTags(article.id, tags)
+      : [];
+
     // Write-through cache: Refresh article caches and invalidate portal caches SYNCHRONOUSLY if article is published
     if (articleStatus === 'published') {
       try {
@@ -949,7 +2362,7 @@ router.post('/articles', authenticateToken, debugMiddleware, upload.fields([{ na
     res.json({
       success: true,
       message: 'Article created successfully',
-      data: { article }
+      data: { article: { ...article, tags: articleTags } }
     });
 
   } catch (error) {
@@ -1031,6 +2444,83 @@ router.get('/articles', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Get upcoming scheduled articles (admin view)
+router.get('/articles/scheduled', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { articles, total } = await articleScheduling.getScheduledArticles({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled articles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SCHEDULED_ARTICLES_FETCH_ERROR',
+      message: 'Failed to fetch scheduled articles'
+    });
+  }
+});
+
+// Cancel an article's scheduled publish (admin only)
+// An approved article goes back to pending review
+router.delete('/articles/:id/schedule', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const article = await articleScheduling.cancelSchedule(req.params.id);
+
+    try {
+      await cacheService.deletePattern(`creator:articles:${article.authorId}:*`);
+      await cacheService.deletePattern('admin:articles:*');
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error invalidating caches after schedule cancel:', err);
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled publish cancelled',
+      data: { article }
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
+
+    if (error.message === 'ARTICLE_NOT_SCHEDULED') {
+      return res.status(400).json({
+        success: false,
+        error: 'ARTICLE_NOT_SCHEDULED',
+        message: 'Article has no upcoming scheduled publish'
+      });
+    }
+
+    console.error('Cancel scheduled article error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SCHEDULE_CANCEL_ERROR',
+      message: 'Failed to cancel scheduled publish'
+    });
+  }
+});
+
 // Get pending articles for review (admin view)
 router.get('/articles/pending', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -1116,11 +2606,31 @@ router.put('/articles/:id', authenticateToken, async (req, res) => {
       'originalAuthor'
     ];
 
+    if (req.body.language !== undefined) {
+      updateData.language = normalizeLanguageCode(req.body.language);
+      if (!updateData.language) {
+        return sendInvalidLanguageError(res);
+      }
+    }
+
+    let tags;
+    try {
+      tags = categoryTaxonomy.parseTags(req.body.tags);
+      if (req.body.category !== undefined) {
+        updateData.category = await categoryTaxonomy.resolveCategory(req.body.category);
+      }
+    } catch (error) {
+      if (error.message === 'INVALID_CATEGORY' || error.message === 'INVALID_TAGS') {
+        return sendTaxonomyError(res, error);
+      }
+      throw error;
+    }
+
     // Only update provided fields
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) {
         if (field === 'category') {
-          updateData[field] = req.body[field].toUpperCase();
+          continue; // Resolved above
         } else if (field === 'title' || field === 'content') {
           updateData[field] = req.body[field].trim();
         } else {
@@ -1129,21 +2639,46 @@ router.put('/articles/:id', authenticateToken, async (req, res) => {
       }
     }
 
-    const article = await prisma.article.update({
-      where: { id },
-      data: updateData
-    });
+    const existingArticle = await prisma.article.findUnique({ where: { id } });
+    if (!existingArticle) {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
 
-    // Write-through cache: Refresh article caches SYNCHRONOUSLY if article is published
-    if (article.status === 'published') {
+    // A creator's substantive edit to a live article (or a new points value) goes back to review
+    const wasPublished = existingArticle.status === 'published';
+    if (userRole === 'creator' && wasPublished && (
+      articleRevisions.getChangedFields(existingArticle, updateData).includes('pointsValue') ||
+      (process.env.REVIEW_SUBSTANTIVE_EDITS !== 'false' && articleRevisions.isSubstantiveEdit(existingArticle, updateData))
+    )) {
+      updateData.status = 'pending';
+      updateData.reviewedBy = null;
+      updateData.reviewedAt = null;
+    }
+
+    // Snapshots the replaced version into the revision history
+    const { article } = await articleRevisions.updateArticleWithRevision(id, updateData, req.user.id);
+
+    if (tags !== undefined) {
+      article.tags = await categoryTaxonomy.setArticleTags(id, tags);
+    }
+
+    // Write-through cache: Refresh article caches SYNCHRONOUSLY if article is (or was) published
+    if (article.status === 'published' || wasPublished) {
       try {
         await cacheService.refreshArticleCaches(
           fetchTrendingArticles,
           fetchFeaturedArticles,
           article.id
         );
+        // Edited or unpublished - its related list is stale
+        await relatedArticles.invalidateRelatedArticles(article.id);
         // Invalidate admin article caches
         await cacheService.deletePattern('admin:articles:*');
+        await cacheService.deletePattern('admin:articles:pending:*');
       } catch (err) {
         // Non-blocking: Log error but don't fail the request
         console.error('Error refreshing article caches after update:', err);
@@ -1161,14 +2696,16 @@ router.put('/articles/:id', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Article updated successfully',
+      message: article.status === 'pending' && wasPublished
+        ? 'Article updated and resubmitted for review'
+        : 'Article updated successfully',
       data: { article }
     });
 
   } catch (error) {
     console.error('Update article error:', error);
     
-    if (error.code === 'P2025') {
+    if (error.code === 'P2025' || error.message === 'ARTICLE_NOT_FOUND') {
       return res.status(404).json({
         success: false,
         error: 'ARTICLE_NOT_FOUND',
@@ -1184,7 +2721,107 @@ router.put('/articles/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get article revision history with field-level diffs (admin only)
+router.get('/articles/:id/revisions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { article, revisions, total } = await articleRevisions.getRevisions(req.params.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        article,
+        revisions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
+
+    console.error('Get article revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'REVISIONS_FETCH_ERROR',
+      message: 'Failed to fetch article revisions'
+    });
+  }
+});
+
+// Restore an article to a past revision (admin only)
+// The version being replaced is kept as a new revision, so a restore can be undone
+router.post('/articles/:id/revisions/:revisionId/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const { article, changedFields } = await articleRevisions.restoreRevision(id, revisionId, req.user.id);
+
+    console.log(`Article ${id} restored to revision ${revisionId} by admin ${req.user.id}`);
+
+    // Write-through cache: Refresh article caches SYNCHRONOUSLY if article is published
+    try {
+      if (article.status === 'published') {
+        await cacheService.refreshArticleCaches(
+          fetchTrendingArticles,
+          fetchFeaturedArticles,
+          article.id
+        );
+      }
+      await relatedArticles.invalidateRelatedArticles(article.id);
+      await cacheService.deletePattern(`creator:articles:${article.authorId}:*`);
+      await cacheService.deletePattern('admin:articles:*');
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error refreshing article caches after revision restore:', err);
+    }
+
+    res.json({
+      success: true,
+      message: 'Article restored to revision',
+      data: { article, changedFields }
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND' || error.message === 'REVISION_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+        message: error.message === 'ARTICLE_NOT_FOUND' ? 'Article not found' : 'Revision not found for this article'
+      });
+    }
+
+    if (error.message === 'REVISION_ALREADY_CURRENT') {
+      return res.status(400).json({
+        success: false,
+        error: 'REVISION_ALREADY_CURRENT',
+        message: 'Article already matches this revision'
+      });
+    }
+
+    console.error('Restore article revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'REVISION_RESTORE_ERROR',
+      message: 'Failed to restore article revision'
+    });
+  }
+});
+
 // Toggle trending status for article (admin only)
+// Manual override on top of the computed ranking (see services/trendingScores)
 router.patch('/articles/:id/trending', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
@@ -1244,6 +2881,89 @@ router.patch('/articles/:id/trending', authenticateToken, requireAdmin, async (r
   }
 });
 
+// Get articles in the running for trending with their scores and overrides (admin only)
+router.get('/articles/trending', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const { articles, total } = await trendingScores.getTrendingCandidates({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trending candidates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'TRENDING_FETCH_ERROR',
+      message: 'Failed to fetch trending articles'
+    });
+  }
+});
+
+// Pin, bury or clear the trending override for an article (admin only)
+// Pinned articles lead the trending list; buried ones never appear regardless of score or isFeatured
+router.patch('/articles/:id/trending-override', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { override = null } = req.body;
+
+    const article = await trendingScores.setTrendingOverride(req.params.id, override);
+
+    // Write-through cache: Refresh article caches SYNCHRONOUSLY after override change
+    try {
+      await cacheService.refreshArticleCaches(
+        fetchTrendingArticles,
+        fetchFeaturedArticles,
+        article.id
+      );
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error refreshing article caches after trending override:', err);
+    }
+
+    res.json({
+      success: true,
+      message: override ? `Article ${override} in trending` : 'Trending override cleared',
+      data: { article }
+    });
+
+  } catch (error) {
+    if (error.message === 'INVALID_TRENDING_OVERRIDE') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_TRENDING_OVERRIDE',
+        message: `override must be one of ${trendingScores.TRENDING_OVERRIDES.join(', ')} or null`
+      });
+    }
+
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
+
+    console.error('Set trending override error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'TRENDING_OVERRIDE_ERROR',
+      message: 'Failed to update trending override'
+    });
+  }
+});
+
 // Toggle featured article status (admin only)
 // Update manual read count for an article
 router.patch('/articles/:id/read-count', authenticateToken, requireAdmin, async (req, res) => {
@@ -1475,6 +3195,7 @@ router.delete('/articles/:id', authenticateToken, requireAdmin, async (req, res)
         fetchFeaturedArticles,
         id
       );
+      await relatedArticles.invalidateRelatedArticles(id);
       // Invalidate admin article caches
       await cacheService.deletePattern('admin:articles:*');
       await cacheService.deletePattern('admin:articles:pending:*');
@@ -1547,26 +3268,36 @@ router.patch('/articles/:id/approve', authenticateToken, requireAdmin, async (re
       });
     }
 
-    // Update article status to published
+    // Publish now, or hold as scheduled until its publish time (see scheduledPublishCron)
+    const now = new Date();
+    const { status, publishedAt } = articleScheduling.getApprovedState(article.scheduledPublishAt, now);
+    const isScheduled = status === articleScheduling.SCHEDULED_STATUS;
+
     const updatedArticle = await prisma.article.update({
       where: { id },
       data: {
-        status: 'published',
+        status,
         reviewedBy: userId,
-        reviewedAt: new Date(),
-        publishedAt: new Date()
+        reviewedAt: now,
+        // Re-approved edits of a live article keep their original publish date
+        publishedAt: (publishedAt && article.publishedAt) || publishedAt
       }
     });
 
-    console.log(`Article ${id} approved and published by admin ${userId}`);
+    console.log(isScheduled
+      ? `Article ${id} approved by admin ${userId}, scheduled for ${article.scheduledPublishAt.toISOString()}`
+      : `Article ${id} approved and published by admin ${userId}`);
 
     // Write-through cache: Refresh article caches and invalidate portal caches SYNCHRONOUSLY after publishing
     try {
-      await cacheService.refreshArticleCaches(
-        fetchTrendingArticles,
-        fetchFeaturedArticles,
-        updatedArticle.id
-      );
+      // Scheduled articles aren't in any feed yet - the cron refreshes these when it publishes
+      if (!isScheduled) {
+        await cacheService.refreshArticleCaches(
+          fetchTrendingArticles,
+          fetchFeaturedArticles,
+          updatedArticle.id
+        );
+      }
       // Invalidate creator articles cache (article now published)
       await cacheService.deletePattern(`creator:articles:${article.authorId}:*`);
       // Invalidate public articles cache (new published article)
@@ -1585,7 +3316,9 @@ router.patch('/articles/:id/approve', authenticateToken, requireAdmin, async (re
 
     res.json({
       success: true,
-      message: 'Article approved and published successfully',
+      message: isScheduled
+        ? `Article approved and scheduled for ${article.scheduledPublishAt.toISOString()}`
+        : 'Article approved and published successfully',
       data: updatedArticle
     });
 
@@ -1603,10 +3336,10 @@ router.patch('/articles/:id/approve', authenticateToken, requireAdmin, async (re
 router.patch('/articles/:id/reject', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const reason = articleReview.parseRejectionReason(req.body.reason);
     const userId = req.user.id;
 
-    if (!reason || reason.trim().length === 0) {
+    if (!reason) {
       return res.status(400).json({
         success: false,
         error: 'REJECTION_REASON_REQUIRED',
@@ -1647,36 +3380,12 @@ router.patch('/articles/:id/reject', authenticateToken, requireAdmin, async (req
     }
 
     // Update article status to rejected
-    const updatedArticle = await prisma.article.update({
-      where: { id },
-      data: {
-        status: 'rejected',
-        reviewedBy: userId,
-        reviewedAt: new Date(),
-        rejectionReason: reason.trim()
-      }
-    });
+    const updatedArticle = await articleReview.rejectArticle(id, { adminId: userId, reason });
 
     console.log(`Article ${id} rejected by admin ${userId}. Reason: ${reason}`);
 
     // Write-through cache: Invalidate article caches SYNCHRONOUSLY
-    try {
-      // Invalidate pending articles cache (article no longer pending)
-      await cacheService.deletePattern('admin:articles:pending:*');
-      // Invalidate review history cache (new review entry)
-      await cacheService.deletePattern('admin:articles:review-history:*');
-      // Invalidate admin articles cache (if article was published before)
-      await cacheService.deletePattern('admin:articles:*');
-      // Invalidate creator articles cache
-      await cacheService.deletePattern(`creator:articles:${article.authorId}:*`);
-      // Invalidate public articles cache
-      await cacheService.deletePattern(`public:articles:${article.authorId}:*`);
-      // Invalidate admin stats cache (article count changed)
-      await cacheService.delete('admin:stats');
-    } catch (err) {
-      // Non-blocking: Log error but don't fail the request
-      console.error('Error invalidating caches after reject:', err);
-    }
+    await articleReview.invalidateCachesAfterReject(article.authorId);
 
     res.json({
       success: true,
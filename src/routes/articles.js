@@ -1,93 +1,87 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { prisma } = require('../config/database');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const { deduplicateRequest } = require('../middleware/deduplication');
 const cacheService = require('../services/cacheService');
 const { refreshUserAndLeaderboardCaches } = require('../services/cacheRefreshHelpers');
+const { POINT_SOURCES, recordPointTransaction } = require('../services/pointsLedger');
 const { parsePaginationParams, buildCursorQuery, buildOffsetQuery, buildPaginationResponse, buildPaginationResponseWithTotal } = require('../utils/pagination');
+const dayBoundary = require('../utils/dayBoundary');
+const articleSearch = require('../services/articleSearch');
+const forYouFeed = require('../services/forYouFeed');
+const followingFeed = require('../services/followingFeed');
+const bookmarks = require('../services/bookmarks');
+const articleReactions = require('../services/articleReactions');
+const comments = require('../services/comments');
+const readSessions = require('../services/readSessions');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const { fetchTrendingArticles } = require('../services/articleCacheHelpers');
+const { TRENDING_RANKING_SIZE } = require('../services/trendingScores');
+const relatedArticles = require('../services/relatedArticles');
+const languages = require('../utils/languages');
+const articleArchiving = require('../services/articleArchiving');
+const articleReports = require('../services/articleReports');
+const pushNotificationService = require('../services/pushNotificationService');
 
 const router = express.Router();
 
-// Get trending articles (with write-through cache)
-router.get('/trending', optionalAuth, async (req, res) => {
-  try {
-    const pagination = parsePaginationParams(req, { defaultLimit: 10, maxLimit: 50 });
-    const cacheKey = `articles:trending:${pagination.limit}:${pagination.cursor || 'initial'}`;
+// Languages to show the caller: their saved preference, else Accept-Language (null = all)
+// ?language=fr,es overrides both; ?language=all turns the filter off
+const getReaderLanguages = async (req) => {
+  if (req.query.language === 'all') {
+    return null;
+  }
 
-    // Write-through cache: Get from cache, or fetch from DB and cache
-    const articlesWithReadCount = await cacheService.getOrSet(cacheKey, async () => {
-      // Build query with cursor support
-      const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
-      const where = {
-        isFeatured: true,
-        status: 'published',
-        ...cursorQuery.where
-      };
+  const requested = req.query.language ? languages.parseLanguageList(req.query.language) : null;
+  if (requested && requested.length > 0) {
+    return requested;
+  }
 
-      const articles = await prisma.article.findMany({
-        where,
-        orderBy: cursorQuery.orderBy,
-        take: cursorQuery.take,
-        select: {
-          id: true,
-          title: true,
-          content: true,
-          category: true,
-          sourceUrl: true,
-          sourceName: true,
-          pointsValue: true,
-          isFeatured: true,
-          manualReadCount: true,
-          imageUrl: true,
-          imageData: true,
-          imageType: true,
-          createdAt: true,
-          originalPublishedAt: true,
-          author: {
-            select: {
-              id: true,
-              username: true,
-              displayName: true,
-              role: true
-            }
-          }
-        }
-      });
+  let preferences = null;
+  if (req.user && req.user.id) {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { preferences: true }
+    });
+    preferences = user?.preferences || null;
+  }
 
-      // Get read counts for all articles (using ReadArticle for historical counts)
-      const articleIds = articles.map(a => a.id);
-      const readCountMap = new Map();
-      
-      if (articleIds.length > 0) {
-        const readCounts = await prisma.readArticle.groupBy({
-          by: ['articleId'],
-          where: {
-            articleId: { in: articleIds }
-          },
-          _count: {
-            articleId: true
-          }
-        });
+  return languages.getReaderLanguages(preferences, req.get('Accept-Language'));
+};
 
-        readCounts.forEach(item => {
-          readCountMap.set(item.articleId, item._count.articleId);
-        });
-      }
+// Get trending articles (computed ranking, with write-through cache)
+// Pinned and manually flagged articles first, then by trending score (see services/trendingScores)
+router.get('/trending', optionalAuth, async (req, res) => {
+  try {
+    const pagination = parsePaginationParams(req, { defaultLimit: 10, maxLimit: 50 });
 
-      return articles.map(article => {
-        const actualCount = readCountMap.get(article.id) || 0;
-        const readCount = article.manualReadCount !== null ? article.manualReadCount : actualCount;
-        return {
-          ...article,
-          readCount
-        };
-      });
-    }, 600); // 10 minutes TTL (write-through cache with safety net)
+    // The trending cron rewrites this list every few minutes
+    const ranking = await cacheService.getOrSet(
+      'articles:trending:ranking',
+      () => fetchTrendingArticles(TRENDING_RANKING_SIZE),
+      600 // 10 minutes TTL (write-through cache with safety net)
+    );
+
+    // Cursor is the id of the last article on the previous page; one that fell out of the ranking ends the list
+    let start = 0;
+    if (req.query.cursor) {
+      const cursorIndex = ranking.findIndex(article => article.id === req.query.cursor);
+      start = cursorIndex === -1 ? ranking.length : cursorIndex + 1;
+    }
+    const articlesWithReadCount = ranking.slice(start, start + pagination.limit);
+
+    // Bookmark and reaction state are per caller, so they're added after the shared cache
+    const articlesWithCallerState = await articleReactions.attachReactionState(
+      await bookmarks.attachBookmarkState(articlesWithReadCount, req.user?.id),
+      req.user?.id
+    );
 
     res.json({
       success: true,
-      data: { articles: articlesWithReadCount }
+      data: { articles: articlesWithCallerState }
     });
 
   } catch (error) {
@@ -176,7 +170,13 @@ router.get('/featured', optionalAuth, async (req, res) => {
       });
     }, 600); // 10 minutes TTL (write-through cache with safety net)
 
-    const paginationResponse = buildPaginationResponse(articlesWithReadCount, pagination, 'id');
+    // Bookmark and reaction state are per caller, so they're added after the shared cache
+    const articlesWithCallerState = await articleReactions.attachReactionState(
+      await bookmarks.attachBookmarkState(articlesWithReadCount, req.user?.id),
+      req.user?.id
+    );
+
+    const paginationResponse = buildPaginationResponse(articlesWithCallerState, pagination, 'id');
 
     res.json({
       success: true,
@@ -200,13 +200,17 @@ router.get('/featured', optionalAuth, async (req, res) => {
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const pagination = parsePaginationParams(req);
-    const category = req.query.category;
+    const category = categoryTaxonomy.normalizeCategorySlug(req.query.category);
+    const tag = req.query.tag;
     const featured = req.query.featured === 'true';
+    const readerLanguages = await getReaderLanguages(req);
 
     const baseWhere = {
       status: 'published' // Only show published articles to public
     };
     if (category) baseWhere.category = category;
+    if (readerLanguages) baseWhere.language = { in: readerLanguages };
+    if (tag) baseWhere.tags = { some: { tag: { slug: categoryTaxonomy.toTagSlug(tag) } } };
     if (featured) baseWhere.isFeatured = true;
 
     // Use cursor-based pagination if cursor provided, otherwise use offset
@@ -230,6 +234,7 @@ router.get('/', optionalAuth, async (req, res) => {
           title: true,
           content: true,
           category: true,
+          language: true,
           sourceUrl: true,
           sourceName: true,
           pointsValue: true,
@@ -263,6 +268,7 @@ router.get('/', optionalAuth, async (req, res) => {
           title: true,
           content: true,
           category: true,
+          language: true,
           sourceUrl: true,
           sourceName: true,
           pointsValue: true,
@@ -350,6 +356,9 @@ router.get('/', optionalAuth, async (req, res) => {
       });
     }
 
+    articlesWithReadStatus = await bookmarks.attachBookmarkState(articlesWithReadStatus, req.user?.id);
+    articlesWithReadStatus = await articleReactions.attachReactionState(articlesWithReadStatus, req.user?.id);
+
     // Build pagination response
     let paginationResponse;
     if (pagination.hasCursor || (!pagination.hasOffset && !pagination.hasCursor)) {
@@ -378,85 +387,52 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
-// Search articles
-router.get('/search', optionalAuth, async (req, res) => {
+// Get personalized "For You" feed (unread articles ranked for the current user)
+// Cursor is the id of the last article on the previous page
+router.get('/for-you', authenticateToken, async (req, res) => {
   try {
-    const { q: query, category } = req.query;
+    const userId = req.user.id;
     const pagination = parsePaginationParams(req);
 
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        error: 'SEARCH_QUERY_REQUIRED',
-        message: 'Search query is required'
-      });
-    }
-
-    const baseWhere = {
-      status: 'published', // Only search published articles
-      OR: [
-        { title: { contains: query, mode: 'insensitive' } },
-        { content: { contains: query, mode: 'insensitive' } }
-      ]
-    };
-
-    if (category) {
-      baseWhere.category = category;
+    const readerLanguages = await getReaderLanguages(req);
+    const feed = await forYouFeed.getFeed(userId, readerLanguages);
+
+    // Resume after the cursor; if it's no longer in the (rebuilt) feed, start from the top
+    let remainingItems = feed.items;
+    let start = 0;
+    if (pagination.hasCursor) {
+      const cursorIndex = feed.items.findIndex(item => item.id === String(pagination.cursor));
+      remainingItems = cursorIndex >= 0 ? feed.items.slice(cursorIndex + 1) : feed.items;
+    } else if (pagination.hasOffset) {
+      start = pagination.offset;
     }
 
-    // Use cursor-based pagination if cursor provided, otherwise use offset
-    let articles;
-    let totalCount = null;
-
-    if (pagination.hasCursor || (!pagination.hasOffset && !pagination.hasCursor)) {
-      // Cursor-based pagination (recommended)
-      const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
-      const where = {
-        ...baseWhere,
-        ...cursorQuery.where
-      };
-
-      articles = await prisma.article.findMany({
-        where,
-        orderBy: cursorQuery.orderBy,
-        take: cursorQuery.take,
+    // Drop articles read since the feed was cached
+    const readSinceCached = await prisma.readArticle.findMany({
+      where: {
+        userId,
+        articleId: { in: remainingItems.map(item => item.id) }
+      },
       select: {
-        id: true,
-        title: true,
-        content: true,
-        category: true,
-        sourceUrl: true,
-        sourceName: true,
-        pointsValue: true,
-        isFeatured: true,
-        manualReadCount: true,
-        imageUrl: true,
-        imageData: true,
-        imageType: true,
-        createdAt: true,
-        author: {
-          select: {
-            id: true,
-            username: true,
-            displayName: true,
-            role: true
-          }
-        }
+        articleId: true
       }
     });
-    } else {
-      // Offset-based pagination (backward compatibility)
-      const offsetQuery = buildOffsetQuery(pagination, 'id', 'desc');
-      articles = await prisma.article.findMany({
-        where: baseWhere,
-        orderBy: offsetQuery.orderBy,
-        skip: offsetQuery.skip,
-        take: offsetQuery.take,
+    const readIds = new Set(readSinceCached.map(ra => ra.articleId));
+    const unreadItems = remainingItems.filter(item => !readIds.has(item.id));
+
+    const pageItems = unreadItems.slice(start, start + pagination.limit);
+    const hasMore = start + pagination.limit < unreadItems.length;
+    const pageIds = pageItems.map(item => item.id);
+
+    const [articles, readCounts] = await Promise.all([
+      prisma.article.findMany({
+        where: { id: { in: pageIds }, status: 'published' },
         select: {
           id: true,
           title: true,
           content: true,
           category: true,
+          language: true,
           sourceUrl: true,
           sourceName: true,
           pointsValue: true,
@@ -476,145 +452,453 @@ router.get('/search', optionalAuth, async (req, res) => {
             }
           }
         }
-      });
-      totalCount = await prisma.article.count({ where: baseWhere });
-    }
-
-    // Get read counts for all articles (using ReadArticle for historical counts)
-    const articleIds = articles.map(a => a.id);
-    const readCounts = await prisma.readArticle.groupBy({
-      by: ['articleId'],
-      where: {
-        articleId: { in: articleIds }
-      },
-      _count: {
-        articleId: true
-      }
-    });
-
-    const readCountMap = new Map();
-    readCounts.forEach(item => {
-      readCountMap.set(item.articleId, item._count.articleId);
-    });
-
-    // Check if user has read each article and claimed reward (if authenticated)
-    let articlesWithReadStatus = articles;
-    if (req.user && req.user.id) {
-      const userReadArticles = await prisma.readArticle.findMany({
+      }),
+      prisma.readArticle.groupBy({
+        by: ['articleId'],
         where: {
-          userId: req.user.id,
-          articleId: { in: articleIds }
+          articleId: { in: pageIds }
         },
-        select: {
-          articleId: true,
-          rewardClaimedAt: true
+        _count: {
+          articleId: true
         }
-      });
-      
-      const readArticleMap = new Map();
-      userReadArticles.forEach(ra => {
-        readArticleMap.set(ra.articleId, {
-          isRead: true,
-          hasClaimedReward: !!ra.rewardClaimedAt
-        });
-      });
-      
-      articlesWithReadStatus = articles.map(article => {
-        const actualCount = readCountMap.get(article.id) || 0;
-        const readCount = article.manualReadCount !== null ? article.manualReadCount : actualCount;
-        const readInfo = readArticleMap.get(article.id);
-        return {
-          ...article,
-          isRead: readInfo?.isRead || false,
-          hasClaimedReward: readInfo?.hasClaimedReward || false,
-          readCount
-        };
-      });
-    } else {
-      // If not authenticated, all articles are unread
-      articlesWithReadStatus = articles.map(article => {
+      })
+    ]);
+
+    const articleMap = new Map(articles.map(article => [article.id, article]));
+    const readCountMap = new Map(readCounts.map(item => [item.articleId, item._count.articleId]));
+
+    // Keep feed order; drop articles unpublished since the feed was cached
+    const feedArticles = pageItems
+      .filter(item => articleMap.has(item.id))
+      .map(item => {
+        const article = articleMap.get(item.id);
         const actualCount = readCountMap.get(article.id) || 0;
-        const readCount = article.manualReadCount !== null ? article.manualReadCount : actualCount;
         return {
           ...article,
           isRead: false,
           hasClaimedReward: false,
-          readCount
+          readCount: article.manualReadCount !== null ? article.manualReadCount : actualCount,
+          feedScore: item.score,
+          feedReason: item.reason
         };
       });
-    }
+    const feedArticlesWithReactions = await articleReactions.attachReactionState(feedArticles, userId);
 
-    // Build pagination response
-    let paginationResponse;
-    if (pagination.hasCursor || (!pagination.hasOffset && !pagination.hasCursor)) {
-      // Cursor-based response
-      paginationResponse = buildPaginationResponse(articlesWithReadStatus, pagination, 'id');
-    } else {
-      // Offset-based response with total count
-      paginationResponse = buildPaginationResponseWithTotal(articlesWithReadStatus, pagination, totalCount);
-    }
+    const lastItem = pageItems.length > 0 ? pageItems[pageItems.length - 1] : null;
 
     res.json({
       success: true,
       data: {
-        articles: paginationResponse.data,
-        ...paginationResponse
+        articles: feedArticlesWithReactions,
+        data: feedArticlesWithReactions,
+        limit: pagination.limit,
+        nextCursor: hasMore && lastItem ? lastItem.id : null,
+        hasMore,
+        generatedAt: feed.generatedAt
       }
     });
 
   } catch (error) {
-    console.error('Search articles error:', error);
+    console.error('Get For You feed error:', error);
     res.status(500).json({
       success: false,
-      error: 'SEARCH_ERROR',
-      message: 'Failed to search articles'
+      error: 'FOR_YOU_FEED_ERROR',
+      message: 'Failed to fetch For You feed'
     });
   }
 });
 
-// Get articles by creator
-router.get('/creator/:creatorId', optionalAuth, async (req, res) => {
+// Get articles from creators the current user follows (newest first)
+router.get('/following', authenticateToken, async (req, res) => {
   try {
-    const { creatorId } = req.params;
+    const userId = req.user.id;
     const pagination = parsePaginationParams(req);
 
-    // Verify creator exists
-    const creator = await prisma.user.findUnique({
-      where: { id: creatorId },
-      select: { id: true, username: true, displayName: true, firstName: true, lastName: true, role: true }
-    });
+    const followedIds = await followingFeed.getFollowedCreatorIds(userId);
 
-    if (!creator) {
-      return res.status(404).json({
-        success: false,
-        error: 'CREATOR_NOT_FOUND',
-        message: 'Creator not found'
+    if (followedIds.length === 0) {
+      const emptyResponse = buildPaginationResponse([], pagination, 'id');
+      return res.json({
+        success: true,
+        data: {
+          articles: [],
+          ...emptyResponse
+        }
       });
     }
 
-    const baseWhere = {
-      authorId: creatorId,
-      status: 'published' // Only show published articles
-    };
-
-    // Use cursor-based pagination if cursor provided, otherwise use offset
-    let articles;
-    let totalCount = null;
-
-    if (pagination.hasCursor || (!pagination.hasOffset && !pagination.hasCursor)) {
-      // Cursor-based pagination (recommended)
-      const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
-      const where = {
-        ...baseWhere,
+    const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
+    const articles = await prisma.article.findMany({
+      where: {
+        status: 'published',
+        authorId: { in: followedIds },
         ...cursorQuery.where
-      };
-
-      articles = await prisma.article.findMany({
-        where,
-        orderBy: cursorQuery.orderBy,
-        take: cursorQuery.take,
-        select: {
-          id: true,
+      },
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+      select: {
+        id: true,
+        title: true,
+        content: true,
+        category: true,
+        sourceUrl: true,
+        sourceName: true,
+        pointsValue: true,
+        isFeatured: true,
+        manualReadCount: true,
+        imageUrl: true,
+        imageData: true,
+        imageType: true,
+        createdAt: true,
+        publishedAt: true,
+        originalPublishedAt: true,
+        author: {
+          select: {
+            id: true,
+            username: true,
+            displayName: true,
+            role: true
+          }
+        }
+      }
+    });
+
+    const articleIds = articles.map(a => a.id);
+    const [readCounts, userReadArticles] = await Promise.all([
+      prisma.readArticle.groupBy({
+        by: ['articleId'],
+        where: {
+          articleId: { in: articleIds }
+        },
+        _count: {
+          articleId: true
+        }
+      }),
+      prisma.readArticle.findMany({
+        where: {
+          userId,
+          articleId: { in: articleIds }
+        },
+        select: {
+          articleId: true,
+          rewardClaimedAt: true
+        }
+      })
+    ]);
+
+    const readCountMap = new Map(readCounts.map(item => [item.articleId, item._count.articleId]));
+    const readArticleMap = new Map(userReadArticles.map(ra => [ra.articleId, ra]));
+
+    const articlesWithReadStatus = articles.map(article => {
+      const actualCount = readCountMap.get(article.id) || 0;
+      const readInfo = readArticleMap.get(article.id);
+      return {
+        ...article,
+        isRead: !!readInfo,
+        hasClaimedReward: !!readInfo?.rewardClaimedAt,
+        readCount: article.manualReadCount !== null ? article.manualReadCount : actualCount
+      };
+    });
+
+    const articlesWithReactions = await articleReactions.attachReactionState(articlesWithReadStatus, userId);
+    const paginationResponse = buildPaginationResponse(articlesWithReactions, pagination, 'id');
+
+    res.json({
+      success: true,
+      data: {
+        articles: paginationResponse.data,
+        ...paginationResponse
+      }
+    });
+
+  } catch (error) {
+    console.error('Get following feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'FOLLOWING_FEED_ERROR',
+      message: 'Failed to fetch following feed'
+    });
+  }
+});
+
+// Get unread article count from followed creators (tab bar badge)
+router.get('/following/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await followingFeed.getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get following unread count error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'FOLLOWING_UNREAD_COUNT_ERROR',
+      message: 'Failed to fetch unread count'
+    });
+  }
+});
+
+// Get active categories with their published article counts
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await categoryTaxonomy.getCategoriesWithCounts();
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'CATEGORIES_FETCH_ERROR',
+      message: 'Failed to fetch categories'
+    });
+  }
+});
+
+// Search articles
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q: query, category, source } = req.query;
+    const pagination = parsePaginationParams(req);
+
+    // A repeated ?q= arrives as an array
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'SEARCH_QUERY_REQUIRED',
+        message: 'Search query is required'
+      });
+    }
+
+    // Optional publish date range (ISO dates)
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_DATE_RANGE',
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    // Cursor pagination unless offset/page is given (offset responses include the total)
+    const useCursor = pagination.hasCursor || !pagination.hasOffset;
+    const readerLanguages = await getReaderLanguages(req);
+
+    // Ranked ids + highlights from Postgres full-text search
+    // (search cursors are opaque, so use the raw query value rather than the parsed one)
+    const search = await articleSearch.searchArticles({
+      query: query.trim(),
+      category: categoryTaxonomy.normalizeCategorySlug(category),
+      source,
+      languages: readerLanguages,
+      includeArchived: req.query.includeArchived === 'true',
+      from,
+      to,
+      limit: pagination.limit,
+      cursor: useCursor ? req.query.cursor || null : null,
+      offset: useCursor ? null : pagination.offset
+    });
+
+    const matches = await prisma.article.findMany({
+      where: { id: { in: search.results.map(r => r.id) } },
+      select: {
+        id: true,
+        title: true,
+        content: true,
+        category: true,
+        language: true,
+        status: true,
+        sourceUrl: true,
+        sourceName: true,
+        pointsValue: true,
+        isFeatured: true,
+        manualReadCount: true,
+        imageUrl: true,
+        imageData: true,
+        imageType: true,
+        createdAt: true,
+        originalPublishedAt: true,
+        author: {
+          select: {
+            id: true,
+            username: true,
+            displayName: true,
+            role: true
+          }
+        }
+      }
+    });
+
+    // Keep rank order and attach relevance + highlighted snippets
+    const matchMap = new Map(matches.map(article => [article.id, article]));
+    const articles = search.results
+      .filter(result => matchMap.has(result.id))
+      .map(result => ({
+        ...matchMap.get(result.id),
+        relevance: result.score,
+        highlights: {
+          title: result.titleHighlight,
+          content: result.contentHighlight
+        }
+      }));
+
+    // Get read counts for all articles (using ReadArticle for historical counts)
+    const articleIds = articles.map(a => a.id);
+    const readCounts = await prisma.readArticle.groupBy({
+      by: ['articleId'],
+      where: {
+        articleId: { in: articleIds }
+      },
+      _count: {
+        articleId: true
+      }
+    });
+
+    const readCountMap = new Map();
+    readCounts.forEach(item => {
+      readCountMap.set(item.articleId, item._count.articleId);
+    });
+
+    // Check if user has read each article and claimed reward (if authenticated)
+    let articlesWithReadStatus = articles;
+    if (req.user && req.user.id) {
+      const userReadArticles = await prisma.readArticle.findMany({
+        where: {
+          userId: req.user.id,
+          articleId: { in: articleIds }
+        },
+        select: {
+          articleId: true,
+          rewardClaimedAt: true
+        }
+      });
+      
+      const readArticleMap = new Map();
+      userReadArticles.forEach(ra => {
+        readArticleMap.set(ra.articleId, {
+          isRead: true,
+          hasClaimedReward: !!ra.rewardClaimedAt
+        });
+      });
+      
+      articlesWithReadStatus = articles.map(article => {
+        const actualCount = readCountMap.get(article.id) || 0;
+        const readCount = article.manualReadCount !== null ? article.manualReadCount : actualCount;
+        const readInfo = readArticleMap.get(article.id);
+        return {
+          ...article,
+          isRead: readInfo?.isRead || false,
+          hasClaimedReward: readInfo?.hasClaimedReward || false,
+          readCount
+        };
+      });
+    } else {
+      // If not authenticated, all articles are unread
+      articlesWithReadStatus = articles.map(article => {
+        const actualCount = readCountMap.get(article.id) || 0;
+        const readCount = article.manualReadCount !== null ? article.manualReadCount : actualCount;
+        return {
+          ...article,
+          isRead: false,
+          hasClaimedReward: false,
+          readCount
+        };
+      });
+    }
+
+    articlesWithReadStatus = await articleReactions.attachReactionState(articlesWithReadStatus, req.user?.id);
+
+    // Build pagination response
+    let paginationResponse;
+    if (useCursor) {
+      // Cursor-based response (nextCursor is an opaque rank cursor)
+      paginationResponse = {
+        data: articlesWithReadStatus,
+        limit: pagination.limit,
+        nextCursor: search.nextCursor,
+        hasMore: search.hasMore
+      };
+    } else {
+      // Offset-based response with total count
+      paginationResponse = buildPaginationResponseWithTotal(articlesWithReadStatus, pagination, search.total);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        articles: paginationResponse.data,
+        ...paginationResponse
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_CURSOR',
+        message: 'Invalid pagination cursor'
+      });
+    }
+
+    console.error('Search articles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SEARCH_ERROR',
+      message: 'Failed to search articles'
+    });
+  }
+});
+
+// Get articles by creator
+router.get('/creator/:creatorId', optionalAuth, async (req, res) => {
+  try {
+    const { creatorId } = req.params;
+    const pagination = parsePaginationParams(req);
+
+    // Verify creator exists
+    const creator = await prisma.user.findUnique({
+      where: { id: creatorId },
+      select: { id: true, username: true, displayName: true, firstName: true, lastName: true, role: true }
+    });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        error: 'CREATOR_NOT_FOUND',
+        message: 'Creator not found'
+      });
+    }
+
+    const baseWhere = {
+      authorId: creatorId,
+      status: 'published' // Only show published articles
+    };
+
+    // Use cursor-based pagination if cursor provided, otherwise use offset
+    let articles;
+    let totalCount = null;
+
+    if (pagination.hasCursor || (!pagination.hasOffset && !pagination.hasCursor)) {
+      // Cursor-based pagination (recommended)
+      const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
+      const where = {
+        ...baseWhere,
+        ...cursorQuery.where
+      };
+
+      articles = await prisma.article.findMany({
+        where,
+        orderBy: cursorQuery.orderBy,
+        take: cursorQuery.take,
+        select: {
+          id: true,
           title: true,
           content: true,
           category: true,
@@ -698,13 +982,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const article = await prisma.article.findFirst({
       where: { 
         id,
-        status: 'published' // Only allow access to published articles
+        status: { in: articleArchiving.getReadableStatuses() } // Published articles, and archived ones stay reachable by id
       },
       select: {
         id: true,
         title: true,
         content: true,
         category: true,
+        language: true,
+        status: true,
+        archivedAt: true,
         sourceUrl: true,
         sourceName: true,
         pointsValue: true,
@@ -722,6 +1009,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
             displayName: true,
             role: true
           }
+        },
+        tags: {
+          select: {
+            tag: { select: { slug: true, name: true } }
+          }
         }
       }
     });
@@ -734,41 +1026,152 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if user has read this article and claimed reward (if authenticated)
+    // Check if user has read, claimed and bookmarked this article (if authenticated)
     let isRead = false;
     let hasClaimedReward = false;
+    let isBookmarked = false;
     if (req.user && req.user.id) {
       // Check if article was read and if reward was claimed
-      const readArticle = await prisma.readArticle.findFirst({
-        where: {
-          userId: req.user.id,
-          articleId: id
-        },
-        select: {
-          rewardClaimedAt: true
+      const [readArticle, bookmark] = await Promise.all([
+        prisma.readArticle.findFirst({
+          where: {
+            userId: req.user.id,
+            articleId: id
+          },
+          select: {
+            rewardClaimedAt: true
+          }
+        }),
+        prisma.bookmark.findFirst({
+          where: {
+            userId: req.user.id,
+            articleId: id
+          },
+          select: {
+            id: true
+          }
+        })
+      ]);
+      isRead = !!readArticle;
+      hasClaimedReward = !!readArticle?.rewardClaimedAt;
+      isBookmarked = !!bookmark;
+    }
+
+    const [articleWithReactions] = await articleReactions.attachReactionState([article], req.user?.id);
+
+    res.json({
+      success: true,
+      data: { 
+        article: {
+          ...articleWithReactions,
+          tags: article.tags.map(({ tag }) => tag),
+          isRead,
+          hasClaimedReward,
+          isBookmarked
         }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get article error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ARTICLE_FETCH_ERROR',
+      message: 'Failed to fetch article'
+    });
+  }
+});
+
+// Get related articles to read next (same category/tags, similar title, recent)
+// Signed-in readers don't get articles they've already read
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    const source = await prisma.article.findFirst({
+      where: { id, status: 'published' },
+      select: { id: true }
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
       });
-      isRead = !!readArticle;
-      hasClaimedReward = !!readArticle?.rewardClaimedAt;
     }
 
+    const relatedIds = await relatedArticles.getRelatedArticleIdsForUser(id, req.user?.id || null, limit);
+
+    const [articles, readCounts] = relatedIds.length > 0
+      ? await Promise.all([
+        prisma.article.findMany({
+          where: { id: { in: relatedIds } },
+          select: {
+            id: true,
+            title: true,
+            content: true,
+            category: true,
+            sourceUrl: true,
+            sourceName: true,
+            pointsValue: true,
+            isFeatured: true,
+            manualReadCount: true,
+            imageUrl: true,
+            imageData: true,
+            imageType: true,
+            createdAt: true,
+            originalPublishedAt: true,
+            author: {
+              select: {
+                id: true,
+                username: true,
+                displayName: true,
+                role: true
+              }
+            }
+          }
+        }),
+        prisma.readArticle.groupBy({
+          by: ['articleId'],
+          where: { articleId: { in: relatedIds } },
+          _count: { articleId: true }
+        })
+      ])
+      : [[], []];
+
+    const articleMap = new Map(articles.map(article => [article.id, article]));
+    const readCountMap = new Map(readCounts.map(item => [item.articleId, item._count.articleId]));
+
+    // Keep the related ranking order
+    const rankedArticles = relatedIds
+      .filter(relatedId => articleMap.has(relatedId))
+      .map(relatedId => {
+        const article = articleMap.get(relatedId);
+        const actualCount = readCountMap.get(article.id) || 0;
+        return {
+          ...article,
+          readCount: article.manualReadCount !== null ? article.manualReadCount : actualCount
+        };
+      });
+
+    const articlesWithCallerState = await articleReactions.attachReactionState(
+      await bookmarks.attachBookmarkState(rankedArticles, req.user?.id),
+      req.user?.id
+    );
+
     res.json({
       success: true,
-      data: { 
-        article: {
-          ...article,
-          isRead,
-          hasClaimedReward
-        }
-      }
+      data: { articles: articlesWithCallerState }
     });
 
   } catch (error) {
-    console.error('Get article error:', error);
+    console.error('Get related articles error:', error);
     res.status(500).json({
       success: false,
-      error: 'ARTICLE_FETCH_ERROR',
-      message: 'Failed to fetch article'
+      error: 'RELATED_ARTICLES_FETCH_ERROR',
+      message: 'Failed to fetch related articles'
     });
   }
 });
@@ -852,6 +1255,13 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
       console.error('Error refreshing read count cache after article read:', err);
     }
 
+    try {
+      await followingFeed.invalidateUnreadCount(userId);
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error invalidating following unread count after article read:', err);
+    }
+
     // Check if user has already claimed reward for this article
     const readArticleRecord = await prisma.readArticle.findFirst({
       where: {
@@ -865,12 +1275,16 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
 
     const hasClaimedReward = !!readArticleRecord?.rewardClaimedAt;
 
+    // Server-side start time for the reward claim's dwell check
+    const readSession = hasClaimedReward ? null : readSessions.issueReadSession(userId, article);
+
     res.json({
       success: true,
       message: 'Article marked as read',
       data: {
         hasClaimedReward,
-        canClaimReward: !hasClaimedReward
+        canClaimReward: !hasClaimedReward,
+        readSession
       }
     });
 
@@ -894,17 +1308,27 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
           articleId: req.params.id
         },
         select: {
-          rewardClaimedAt: true
+          rewardClaimedAt: true,
+          article: {
+            select: { id: true, content: true }
+          }
         }
       });
 
+      // Reopening an unclaimed article starts a new read session
+      const canClaimReward = !readArticleRecord?.rewardClaimedAt;
+      const readSession = readArticleRecord && canClaimReward
+        ? readSessions.issueReadSession(req.user.id, readArticleRecord.article)
+        : null;
+
       return res.status(400).json({
         success: false,
         error: 'ARTICLE_ALREADY_READ',
         message: 'Article has already been read',
         data: {
           hasClaimedReward: !!readArticleRecord?.rewardClaimedAt,
-          canClaimReward: !readArticleRecord?.rewardClaimedAt
+          canClaimReward,
+          readSession
         }
       });
     }
@@ -917,12 +1341,395 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
   }
 });
 
+// Bookmark an article (read-later list)
+router.post('/:id/bookmark', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookmark = await bookmarks.addBookmark(req.user.id, id);
+
+    res.json({
+      success: true,
+      message: 'Article bookmarked',
+      data: {
+        articleId: id,
+        isBookmarked: true,
+        bookmarkedAt: bookmark.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
+
+    console.error('Bookmark article error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'BOOKMARK_ERROR',
+      message: 'Failed to bookmark article'
+    });
+  }
+});
+
+// Remove an article from the read-later list
+router.delete('/:id/bookmark', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const removed = await bookmarks.removeBookmark(req.user.id, id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'BOOKMARK_NOT_FOUND',
+        message: 'Article is not bookmarked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed',
+      data: {
+        articleId: id,
+        isBookmarked: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'BOOKMARK_REMOVE_ERROR',
+      message: 'Failed to remove bookmark'
+    });
+  }
+});
+
+// React to an article (replaces the caller's previous reaction)
+router.put('/:id/reaction', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.body;
+
+    const result = await articleReactions.setReaction(req.user.id, id, type);
+
+    res.json({
+      success: true,
+      data: {
+        articleId: id,
+        myReaction: result.reaction,
+        reactionCounts: result.reactionCounts
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'INVALID_REACTION_TYPE') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_REACTION_TYPE',
+        message: `Reaction type must be one of: ${articleReactions.REACTION_TYPES.join(', ')}`
+      });
+    }
+
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
+
+    console.error('React to article error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'REACTION_ERROR',
+      message: 'Failed to react to article'
+    });
+  }
+});
+
+// Remove the caller's reaction from an article
+router.delete('/:id/reaction', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await articleReactions.removeReaction(req.user.id, id);
+
+    res.json({
+      success: true,
+      data: {
+        articleId: id,
+        myReaction: result.reaction,
+        reactionCounts: result.reactionCounts
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      });
+    }
+
+    if (error.message === 'REACTION_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'REACTION_NOT_FOUND',
+        message: 'You have not reacted to this article'
+      });
+    }
+
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'REACTION_REMOVE_ERROR',
+      message: 'Failed to remove reaction'
+    });
+  }
+});
+
+// Comment Endpoints
+
+// Per-user limit on posting, editing and reporting comments
+const commentLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 5,
+  keyGenerator: (req) => req.user.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: 'COMMENT_RATE_LIMITED',
+      message: 'You are commenting too quickly. Please wait a moment and try again.'
+    });
+  }
+});
+
+// Map comment service errors to responses
+const COMMENT_ERRORS = {
+  ARTICLE_NOT_FOUND: [404, 'Article not found'],
+  COMMENT_NOT_FOUND: [404, 'Comment not found'],
+  PARENT_COMMENT_NOT_FOUND: [404, 'The comment you are replying to was not found'],
+  USER_NOT_FOUND: [404, 'User not found'],
+  INVALID_COMMENT_CONTENT: [400, `Comments must be between 1 and ${comments.MAX_COMMENT_LENGTH} characters`],
+  COMMENTS_DISABLED: [403, 'Comments are turned off for this article'],
+  COMMENT_BANNED: [403, 'You are not allowed to comment'],
+  COMMENT_FORBIDDEN: [403, 'You can only change your own comments'],
+  COMMENT_NOT_EDITABLE: [409, 'This comment can no longer be edited'],
+  CANNOT_REPORT_OWN_COMMENT: [400, 'You cannot report your own comment'],
+  ALREADY_REPORTED: [409, 'You have already reported this comment']
+};
+
+const sendCommentError = (res, error, fallbackCode, fallbackMessage) => {
+  const known = COMMENT_ERRORS[error.message];
+  if (known) {
+    return res.status(known[0]).json({
+      success: false,
+      error: error.message,
+      message: known[1]
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// Get comments on an article (top-level comments newest first, each with its first replies)
+// Pass parentId to page through all replies to one comment (oldest first)
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const pagination = parsePaginationParams(req, { defaultLimit: 20, maxLimit: 50 });
+    const viewerId = req.user?.id || null;
+
+    const result = req.query.parentId
+      ? await comments.listReplies(id, req.query.parentId, pagination, viewerId)
+      : await comments.listComments(id, pagination, viewerId);
+
+    res.json({
+      success: true,
+      data: {
+        comments: result.comments,
+        commentsEnabled: result.commentsEnabled,
+        limit: pagination.limit,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    sendCommentError(res, error, 'COMMENTS_FETCH_ERROR', 'Failed to fetch comments');
+  }
+});
+
+// Post a comment, or a reply with parentId
+router.post('/:id/comments', authenticateToken, commentLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, parentId } = req.body;
+
+    const result = await comments.createComment({
+      articleId: id,
+      userId: req.user.id,
+      content,
+      parentId: parentId || null
+    });
+
+    if (result.notifyUserId) {
+      const replierName = result.author.displayName || result.author.username;
+      setImmediate(() => {
+        pushNotificationService.sendCommentReplyNotification(result.notifyUserId, id, result.comment.id, replierName).catch(err => {
+          console.error('Failed to send comment reply notification:', err);
+        });
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment posted',
+      data: { comment: result.comment }
+    });
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    sendCommentError(res, error, 'COMMENT_CREATE_ERROR', 'Failed to post comment');
+  }
+});
+
+// Edit own comment
+router.put('/:id/comments/:commentId', authenticateToken, commentLimiter, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const comment = await comments.editComment({
+      articleId: id,
+      commentId,
+      userId: req.user.id,
+      content: req.body.content
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    sendCommentError(res, error, 'COMMENT_UPDATE_ERROR', 'Failed to update comment');
+  }
+});
+
+// Delete own comment
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    await comments.deleteComment({
+      articleId: id,
+      commentId,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    sendCommentError(res, error, 'COMMENT_DELETE_ERROR', 'Failed to delete comment');
+  }
+});
+
+// Report a comment to moderators
+router.post('/:id/comments/:commentId/report', authenticateToken, commentLimiter, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    await comments.reportComment({
+      articleId: id,
+      commentId,
+      reporterId: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment reported. Thanks for letting us know.'
+    });
+
+  } catch (error) {
+    console.error('Report comment error:', error);
+    sendCommentError(res, error, 'COMMENT_REPORT_ERROR', 'Failed to report comment');
+  }
+});
+
+// Article Report Endpoints
+
+// Map article report errors to responses
+const ARTICLE_REPORT_ERRORS = {
+  ARTICLE_NOT_FOUND: [404, 'Article not found'],
+  INVALID_REPORT_REASON: [400, `Reason must be one of: ${articleReports.REPORT_REASONS.join(', ')}`],
+  CANNOT_REPORT_OWN_ARTICLE: [400, 'You cannot report your own article'],
+  ALREADY_REPORTED: [409, 'You have already reported this article']
+};
+
+// Report an article to moderators
+// Body: reason (misleading | spam | offensive | copyright | broken_link | other), note (optional)
+router.post('/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await articleReports.reportArticle({
+      articleId: id,
+      reporterId: req.user.id,
+      reason: req.body.reason,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Article reported. Thanks for letting us know.'
+    });
+
+  } catch (error) {
+    console.error('Report article error:', error);
+    const known = ARTICLE_REPORT_ERRORS[error.message];
+    if (known) {
+      return res.status(known[0]).json({
+        success: false,
+        error: error.message,
+        message: known[1]
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'ARTICLE_REPORT_ERROR',
+      message: 'Failed to report article'
+    });
+  }
+});
+
 // Option 1: Claim reward for an already-read article
 // Users can claim rewards for articles they've read (up to 10 rewards per day)
-router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
+router.post('/:id/claim-reward', authenticateToken, idempotency, async (req, res) => {
   try {
     const { id } = req.params;
-    const { readDuration } = req.body; // in seconds
+    const { readSessionToken } = req.body; // From POST /:id/read
     const userId = req.user.id;
 
     // Check if article exists and is published
@@ -1000,11 +1807,46 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check daily reward limit (10 rewards per day)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Start of today (local time)
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1); // Start of tomorrow
+    // Check the read session: signed by the server, for this user and article, and old enough
+    let readSession;
+    try {
+      readSession = readSessions.verifyReadSession(readSessionToken, userId, id);
+    } catch (error) {
+      if (error.message === 'READ_SESSION_INVALID' || error.message === 'READ_SESSION_TOO_SHORT') {
+        try {
+          await readSessions.recordReadViolation(userId, error.message);
+        } catch (err) {
+          // Non-blocking: Log error but still reject the claim
+          console.error('Error recording read violation:', err);
+        }
+      }
+
+      const readSessionErrors = {
+        READ_SESSION_REQUIRED: 'Open the article before claiming its reward',
+        READ_SESSION_EXPIRED: 'Your reading session has expired. Open the article again to claim its reward',
+        READ_SESSION_INVALID: 'Invalid reading session',
+        READ_SESSION_TOO_SHORT: 'Keep reading a little longer before claiming the reward'
+      };
+
+      if (!readSessionErrors[error.message]) {
+        throw error;
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        message: readSessionErrors[error.message],
+        ...(error.details && { data: error.details })
+      });
+    }
+
+    // Check daily reward limit (10 rewards per day, day boundary in the user's timezone)
+    const userPreferences = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { preferences: true }
+    });
+    const timezone = dayBoundary.getUserTimezone(userPreferences?.preferences);
+    const { start: today, end: tomorrow } = dayBoundary.getDayWindow(new Date(), timezone);
 
     const todayActivities = await prisma.userActivity.count({
       where: {
@@ -1023,7 +1865,8 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
         message: 'You have reached the daily reward limit of 10 articles. You can claim rewards for articles read today starting tomorrow.',
         data: {
           rewardsClaimedToday: todayActivities,
-          dailyLimit: 10
+          dailyLimit: 10,
+          resetsAt: tomorrow
         }
       });
     }
@@ -1101,7 +1944,8 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
           }
         },
         data: {
-          rewardClaimedAt: new Date()
+          rewardClaimedAt: new Date(),
+          readDuration: readSession.durationSeconds // Kept after the user activity is cleaned up
         }
       });
 
@@ -1111,7 +1955,7 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
           userId,
           articleId: id,
           pointsEarned: articleInTx.pointsValue, // Use pointsValue from transaction
-          readDuration: readDuration || null
+          readDuration: readSession.durationSeconds // Server-measured, not client-reported
         }
       });
 
@@ -1128,6 +1972,13 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
         }
       });
 
+      await recordPointTransaction(tx, {
+        userId,
+        delta: articleInTx.pointsValue,
+        sourceType: POINT_SOURCES.ARTICLE_REWARD,
+        sourceId: newActivity.id
+      });
+
       return { activity: newActivity, pointsEarned: articleInTx.pointsValue };
     });
 
@@ -4,6 +4,7 @@ const { prisma } = require('../config/database');
 const { generateToken, generateRefreshToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
 const pushNotificationService = require('../services/pushNotificationService');
+const { POINT_SOURCES, recordPointTransaction } = require('../services/pointsLedger');
 
 const router = express.Router();
 
@@ -382,7 +383,7 @@ router.post('/finalize-account', async (req, res) => {
           });
 
           // Create referral reward record
-          await tx.referralReward.create({
+          const referralReward = await tx.referralReward.create({
             data: {
               referrerId: referrer.id,
               refereeId: user.id,
@@ -390,6 +391,22 @@ router.post('/finalize-account', async (req, res) => {
               status: 'completed'
             }
           });
+
+          await recordPointTransaction(tx, {
+            userId: user.id,
+            delta: 100,
+            sourceType: POINT_SOURCES.REFERRAL_BONUS,
+            sourceId: referralReward.id,
+            note: 'Joined with referral code'
+          });
+
+          await recordPointTransaction(tx, {
+            userId: referrer.id,
+            delta: 50,
+            sourceType: POINT_SOURCES.REFERRAL_BONUS,
+            sourceId: referralReward.id,
+            note: 'Referred a new user'
+          });
         });
 
         // Get referrer info for logging and notifications (after transaction completes)
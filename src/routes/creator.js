@@ -4,6 +4,15 @@ const { authenticateToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
 const upload = require('../middleware/upload');
 const cacheService = require('../services/cacheService');
+const articleScheduling = require('../services/articleScheduling');
+const articleRevisions = require('../services/articleRevisions');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const creatorAnalytics = require('../services/creatorAnalytics');
+const relatedArticles = require('../services/relatedArticles');
+const articleReports = require('../services/articleReports');
+const articleArchiving = require('../services/articleArchiving');
+const { fetchTrendingArticles, fetchFeaturedArticles } = require('../services/articleCacheHelpers');
+const { DEFAULT_ARTICLE_LANGUAGE, normalizeLanguageCode } = require('../utils/languages');
 const { parsePaginationParams, buildCursorQuery, buildOffsetQuery, buildPaginationResponse, buildPaginationResponseWithTotal } = require('../utils/pagination');
 
 const router = express.Router();
@@ -20,6 +29,35 @@ const requireCreator = (req, res, next) => {
   next();
 };
 
+// Response for an unusable scheduledPublishAt
+const sendInvalidScheduleError = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'INVALID_SCHEDULED_PUBLISH_AT',
+    message: `scheduledPublishAt must be a future date within ${articleScheduling.MAX_SCHEDULE_DAYS} days`
+  });
+};
+
+// Response for an article language that isn't a language code
+const sendInvalidLanguageError = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'INVALID_LANGUAGE',
+    message: 'language must be a two-letter ISO 639-1 code, e.g. "en" or "fr"'
+  });
+};
+
+// Response for an unknown category or malformed tags
+const sendTaxonomyError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: error.message,
+    message: error.message === 'INVALID_CATEGORY'
+      ? 'Unknown category. See GET /api/articles/categories for the available categories'
+      : `Tags must be a list of at most ${categoryTaxonomy.MAX_TAGS_PER_ARTICLE} names of up to 30 characters`
+  });
+};
+
 // Submit article for review (creator)
 router.post('/articles', authenticateToken, requireCreator, upload.fields([{ name: 'image', maxCount: 1 }]), async (req, res) => {
   try {
@@ -110,12 +148,40 @@ router.post('/articles', authenticateToken, requireCreator, upload.fields([{ nam
       });
     }
 
+    // Optional publish time - the article goes live then if it's approved by that time
+    let scheduledPublishAt;
+    try {
+      scheduledPublishAt = articleScheduling.parseScheduledPublishAt(req.body.scheduledPublishAt);
+    } catch (error) {
+      return sendInvalidScheduleError(res);
+    }
+
+    // Language the article is written in (English unless chosen)
+    const language = req.body.language ? normalizeLanguageCode(req.body.language) : DEFAULT_ARTICLE_LANGUAGE;
+    if (!language) {
+      return sendInvalidLanguageError(res);
+    }
+
+    // Category must be a managed one; tags are optional
+    let categorySlug;
+    let tags;
+    try {
+      categorySlug = await categoryTaxonomy.resolveCategory(category);
+      tags = categoryTaxonomy.parseTags(req.body.tags);
+    } catch (error) {
+      if (error.message === 'INVALID_CATEGORY' || error.message === 'INVALID_TAGS') {
+        return sendTaxonomyError(res, error);
+      }
+      throw error;
+    }
+
     // Create article with pending status
     const article = await prisma.article.create({
       data: {
         title: title.trim(),
         content: content.trim(),
-        category: category.toUpperCase(),
+        category: categorySlug,
+        language,
         sourceName: sourceName || 'BuzzNob',
         sourceUrl: sourceUrl || null,
         pointsValue: parsedPointsValue,
@@ -125,10 +191,15 @@ router.post('/articles', authenticateToken, requireCreator, upload.fields([{ nam
         imageType: finalImageType || null,
         status: 'pending',
         authorId: userId,
-        originalAuthor: originalAuthor.trim()
+        originalAuthor: originalAuthor.trim(),
+        scheduledPublishAt: scheduledPublishAt || null
       }
     });
 
+    const articleTags = tags && tags.length > 0
+      ? await categoryTaxonomy.setArticleTags(article.id, tags)
+      : [];
+
     // Write-through cache: Invalidate creator articles cache SYNCHRONOUSLY (new article added)
     try {
       await cacheService.deletePattern(`creator:articles:${userId}:*`);
@@ -140,7 +211,7 @@ router.post('/articles', authenticateToken, requireCreator, upload.fields([{ nam
     res.json({
       success: true,
       message: 'Article submitted for review successfully',
-      data: { article }
+      data: { article: { ...article, tags: articleTags } }
     });
 
   } catch (error) {
@@ -251,7 +322,10 @@ router.get('/articles', authenticateToken, requireCreator, async (req, res) => {
   }
 });
 
-// Update article (creator - only rejected articles can be updated)
+// Update article (creator - rejected, published and unpublished articles can be edited; commentsEnabled and
+// scheduledPublishAt alone can be changed without resubmitting)
+// Each edit keeps the replaced version as a revision. Rejected and unpublished articles are resubmitted;
+// published ones stay live unless the edit is substantive (see services/articleRevisions)
 router.put('/articles/:id', authenticateToken, requireCreator, async (req, res) => {
   try {
     const { id } = req.params;
@@ -273,12 +347,46 @@ router.put('/articles/:id', authenticateToken, requireCreator, async (req, res)
       });
     }
 
-    // Only rejected articles can be updated
-    if (article.status !== 'rejected') {
+    const { commentsEnabled } = req.body;
+    if (commentsEnabled !== undefined && typeof commentsEnabled !== 'boolean') {
       return res.status(400).json({
         success: false,
-        error: 'ARTICLE_NOT_EDITABLE',
-        message: 'Only rejected articles can be edited and resubmitted'
+        error: 'INVALID_COMMENTS_ENABLED',
+        message: 'commentsEnabled must be true or false'
+      });
+    }
+
+    let scheduledPublishAt;
+    try {
+      scheduledPublishAt = articleScheduling.parseScheduledPublishAt(req.body.scheduledPublishAt);
+    } catch (error) {
+      return sendInvalidScheduleError(res);
+    }
+
+    const language = req.body.language !== undefined ? normalizeLanguageCode(req.body.language) : undefined;
+    if (language === null) {
+      return sendInvalidLanguageError(res);
+    }
+
+    let tags;
+    let categorySlug;
+    try {
+      tags = categoryTaxonomy.parseTags(req.body.tags);
+      if (req.body.category !== undefined) {
+        categorySlug = await categoryTaxonomy.resolveCategory(req.body.category);
+      }
+    } catch (error) {
+      if (error.message === 'INVALID_CATEGORY' || error.message === 'INVALID_TAGS') {
+        return sendTaxonomyError(res, error);
+      }
+      throw error;
+    }
+
+    if (scheduledPublishAt !== undefined && !['pending', 'rejected', articleScheduling.SCHEDULED_STATUS].includes(article.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ARTICLE_NOT_SCHEDULABLE',
+        message: 'Only unpublished articles can be scheduled'
       });
     }
 
@@ -287,38 +395,123 @@ router.put('/articles/:id', authenticateToken, requireCreator, async (req, res)
       'title',
       'content',
       'category',
+      'language',
       'sourceName',
       'sourceUrl',
       'pointsValue'
     ];
 
+    // Toggling comments, moving the publish time or retagging doesn't send the article back to review
+    const hasContentChanges = allowedFields.some(field => req.body[field] !== undefined);
+    if (!hasContentChanges && (commentsEnabled !== undefined || scheduledPublishAt !== undefined || tags !== undefined)) {
+      const settings = {};
+      if (commentsEnabled !== undefined) {
+        settings.commentsEnabled = commentsEnabled;
+      }
+
+      if (scheduledPublishAt !== undefined) {
+        settings.scheduledPublishAt = scheduledPublishAt;
+        // Clearing the time of an approved post works like cancelling it
+        if (scheduledPublishAt === null && article.status === articleScheduling.SCHEDULED_STATUS) {
+          settings.status = 'pending';
+          settings.reviewedBy = null;
+          settings.reviewedAt = null;
+        }
+      }
+
+      const updatedArticle = await prisma.article.update({
+        where: { id },
+        data: settings
+      });
+
+      if (tags !== undefined) {
+        updatedArticle.tags = await categoryTaxonomy.setArticleTags(id, tags);
+      }
+
+      try {
+        await cacheService.deletePattern(`creator:articles:${userId}:*`);
+        // Tags feed into related articles
+        if (tags !== undefined) {
+          await relatedArticles.invalidateRelatedArticles(id);
+        }
+      } catch (err) {
+        // Non-blocking: Log error but don't fail the request
+        console.error('Error invalidating creator articles cache:', err);
+      }
+
+      return res.json({
+        success: true,
+        message: 'Article settings updated',
+        data: updatedArticle
+      });
+    }
+
+    // Only rejected, published and unpublished (taken down after reports) articles can be updated
+    if (!['rejected', 'published', articleReports.UNPUBLISHED_STATUS].includes(article.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ARTICLE_NOT_EDITABLE',
+        message: 'Only rejected, published or unpublished articles can be edited'
+      });
+    }
+
+    if (commentsEnabled !== undefined) {
+      updateData.commentsEnabled = commentsEnabled;
+    }
+    if (scheduledPublishAt !== undefined) {
+      updateData.scheduledPublishAt = scheduledPublishAt;
+    }
+
     // Only update provided fields
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
         if (field === 'pointsValue') {
           updateData[field] = parseInt(req.body[field]) || 10;
         } else if (field === 'category') {
-          updateData[field] = req.body[field].toUpperCase();
+          updateData[field] = categorySlug;
+        } else if (field === 'language') {
+          updateData[field] = language;
         } else {
           updateData[field] = req.body[field];
         }
       }
     });
 
-    // Reset status to pending when article is updated
-    updateData.status = 'pending';
-    updateData.rejectionReason = null;
-    updateData.reviewedBy = null;
-    updateData.reviewedAt = null;
+    // Reset status to pending when a rejected article is updated, or a published one substantively
+    // (a new points value always goes back to review, since it changes what reading pays)
+    const wasPublished = article.status === 'published';
+    const needsReview = !wasPublished ||
+      articleRevisions.getChangedFields(article, updateData).includes('pointsValue') ||
+      (process.env.REVIEW_SUBSTANTIVE_EDITS !== 'false' && articleRevisions.isSubstantiveEdit(article, updateData));
+
+    if (needsReview) {
+      updateData.status = 'pending';
+      updateData.rejectionReason = null;
+      updateData.reviewedBy = null;
+      updateData.reviewedAt = null;
+    }
 
-    const updatedArticle = await prisma.article.update({
-      where: { id },
-      data: updateData
-    });
+    const { article: updatedArticle } = await articleRevisions.updateArticleWithRevision(id, updateData, userId);
+
+    if (tags !== undefined) {
+      updatedArticle.tags = await categoryTaxonomy.setArticleTags(id, tags);
+    }
 
     // Write-through cache: Invalidate creator articles cache SYNCHRONOUSLY (article updated)
     try {
       await cacheService.deletePattern(`creator:articles:${userId}:*`);
+      // Live article changed or left the feeds
+      if (wasPublished) {
+        await cacheService.refreshArticleCaches(
+          fetchTrendingArticles,
+          fetchFeaturedArticles,
+          id
+        );
+        await cacheService.deletePattern(`public:articles:${userId}:*`);
+        await cacheService.delete(`public:profile:${userId}`);
+        await cacheService.deletePattern('admin:articles:*');
+        await relatedArticles.invalidateRelatedArticles(id);
+      }
     } catch (err) {
       // Non-blocking: Log error but don't fail the request
       console.error('Error invalidating creator articles cache:', err);
@@ -326,7 +519,7 @@ router.put('/articles/:id', authenticateToken, requireCreator, async (req, res)
 
     res.json({
       success: true,
-      message: 'Article updated and resubmitted for review',
+      message: needsReview ? 'Article updated and resubmitted for review' : 'Article updated',
       data: updatedArticle
     });
 
@@ -340,6 +533,138 @@ router.put('/articles/:id', authenticateToken, requireCreator, async (req, res)
   }
 });
 
+// Get performance analytics across all own articles (creator)
+// ?days= sets the period (default 30, max 90)
+router.get('/analytics', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const days = creatorAnalytics.parseAnalyticsDays(req.query.days);
+    const analytics = await creatorAnalytics.getCreatorAnalytics(req.user.id, days);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    console.error('Get creator analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ANALYTICS_FETCH_ERROR',
+      message: 'Failed to fetch analytics'
+    });
+  }
+});
+
+// Get performance analytics for one own article (creator)
+router.get('/articles/:id/analytics', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const days = creatorAnalytics.parseAnalyticsDays(req.query.days);
+    const analytics = await creatorAnalytics.getArticleAnalytics(req.params.id, req.user.id, days);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found or you do not have permission to view it'
+      });
+    }
+
+    console.error('Get article analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'ANALYTICS_FETCH_ERROR',
+      message: 'Failed to fetch article analytics'
+    });
+  }
+});
+
+// Get own upcoming scheduled posts (creator)
+router.get('/articles/scheduled', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { articles, total } = await articleScheduling.getScheduledArticles({
+      authorId: req.user.id,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get creator scheduled articles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SCHEDULED_ARTICLES_FETCH_ERROR',
+      message: 'Failed to fetch scheduled articles'
+    });
+  }
+});
+
+// Cancel a scheduled post (creator)
+// An approved post goes back to pending review
+router.delete('/articles/:id/schedule', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const article = await articleScheduling.cancelSchedule(req.params.id, { authorId: userId });
+
+    try {
+      await cacheService.deletePattern(`creator:articles:${userId}:*`);
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error invalidating creator articles cache:', err);
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled publish cancelled',
+      data: { article }
+    });
+
+  } catch (error) {
+    if (error.message === 'ARTICLE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found or you do not have permission to change it'
+      });
+    }
+
+    if (error.message === 'ARTICLE_NOT_SCHEDULED') {
+      return res.status(400).json({
+        success: false,
+        error: 'ARTICLE_NOT_SCHEDULED',
+        message: 'Article has no upcoming scheduled publish'
+      });
+    }
+
+    console.error('Cancel scheduled article error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SCHEDULE_CANCEL_ERROR',
+      message: 'Failed to cancel scheduled publish'
+    });
+  }
+});
+
 // Delete article (creator - only pending or rejected articles can be deleted)
 router.delete('/articles/:id', authenticateToken, requireCreator, async (req, res) => {
   try {
@@ -362,12 +687,13 @@ router.delete('/articles/:id', authenticateToken, requireCreator, async (req, re
       });
     }
 
-    // Only pending or rejected articles can be deleted
-    if (article.status === 'published' || article.status === 'approved') {
+    // Only pending or rejected articles can be deleted (hidden ones are awaiting a report decision)
+    const undeletableStatuses = ['published', 'approved', articleScheduling.SCHEDULED_STATUS, articleReports.HIDDEN_STATUS, articleArchiving.ARCHIVED_STATUS];
+    if (undeletableStatuses.includes(article.status)) {
       return res.status(400).json({
         success: false,
         error: 'ARTICLE_NOT_DELETABLE',
-        message: 'Published or approved articles cannot be deleted'
+        message: 'Published, approved, hidden or archived articles cannot be deleted'
       });
     }
 
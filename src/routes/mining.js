@@ -2,9 +2,11 @@ const express = require('express');
 const { prisma } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const { deduplicateRequest } = require('../middleware/deduplication');
 const pushNotificationService = require('../services/pushNotificationService');
 const { refreshUserAndLeaderboardCaches } = require('../services/cacheRefreshHelpers');
+const { POINT_SOURCES, recordPointTransaction } = require('../services/pointsLedger');
 const { parsePaginationParams, buildCursorQuery, buildOffsetQuery, buildPaginationResponse, buildPaginationResponseWithTotal } = require('../utils/pagination');
 
 const router = express.Router();
@@ -560,7 +562,7 @@ router.post('/start', authenticateToken, async (req, res) => {
 });
 
 // Claim mining rewards
-router.post('/claim', authenticateToken, async (req, res) => {
+router.post('/claim', authenticateToken, idempotency, async (req, res) => {
   try {
     const userId = req.user.id;
     const claimTime = new Date(); // Use claim time as start time for next session
@@ -634,7 +636,7 @@ router.post('/claim', authenticateToken, async (req, res) => {
       });
 
       // Create mining claim record
-      await tx.miningClaim.create({
+      const miningClaim = await tx.miningClaim.create({
         data: {
           userId,
           amount: finalMinedAmount, // Keep full decimal amount
@@ -659,6 +661,13 @@ router.post('/claim', authenticateToken, async (req, res) => {
         }
       });
 
+      await recordPointTransaction(tx, {
+        userId,
+        delta: pointsToAdd,
+        sourceType: POINT_SOURCES.MINING_CLAIM,
+        sourceId: miningClaim.id
+      });
+
       // Automatically start next mining session with claim time as start time
       const nextSession = await tx.miningSession.create({
         data: {
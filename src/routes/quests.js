@@ -2,8 +2,10 @@ const express = require('express');
 const { prisma } = require('../config/database');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const cacheService = require('../services/cacheService');
 const { refreshUserAndLeaderboardCaches } = require('../services/cacheRefreshHelpers');
+const { POINT_SOURCES, recordPointTransaction } = require('../services/pointsLedger');
 
 const router = express.Router();
 
@@ -147,7 +149,7 @@ router.post('/:questId/complete', authenticateToken, async (req, res) => {
 });
 
 // Verify a quest (user verifies completion to claim reward)
-router.post('/:questId/verify', authenticateToken, async (req, res) => {
+router.post('/:questId/verify', authenticateToken, idempotency, async (req, res) => {
   try {
     const { questId } = req.params;
     const userId = req.user.id;
@@ -215,6 +217,14 @@ router.post('/:questId/verify', authenticateToken, async (req, res) => {
         }
       });
 
+      await recordPointTransaction(tx, {
+        userId,
+        delta: quest.reward,
+        sourceType: POINT_SOURCES.QUEST_REWARD,
+        sourceId: updatedCompletion.id,
+        note: `Quest "${quest.title}"`
+      });
+
       // Fetch updated user points after transaction
       const updatedUser = await tx.user.findUnique({
         where: { id: userId },
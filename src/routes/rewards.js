@@ -2,28 +2,36 @@ const express = require('express');
 const { prisma } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const { deduplicateRequest } = require('../middleware/deduplication');
 const cacheService = require('../services/cacheService');
 const { refreshUserAndLeaderboardCaches } = require('../services/cacheRefreshHelpers');
+const { POINT_SOURCES, recordPointTransaction } = require('../services/pointsLedger');
+const { REWARD_STATUS } = require('../services/rewardFulfillment');
+const rewardCodePool = require('../services/rewardCodePool');
+const rewardEligibility = require('../services/rewardEligibility');
+const dailyStreak = require('../services/dailyStreak');
+const dailyRewardSchedule = require('../services/dailyRewardSchedule');
 const { parsePaginationParams, buildPaginationResponseWithTotal } = require('../utils/pagination');
+const dayBoundary = require('../utils/dayBoundary');
 
 const router = express.Router();
 
-// Daily reward system (24-hour cooldown)
-router.post('/daily/claim', authenticateToken, async (req, res) => {
+// Daily reward system (one claim per day in the user's timezone)
+router.post('/daily/claim', authenticateToken, idempotency, async (req, res) => {
   try {
     const userId = req.user.id;
     const now = new Date();
 
-    // UTC helpers
-    const toUtcYmd = (d) => ({ y: d.getUTCFullYear(), m: d.getUTCMonth(), d: d.getUTCDate() });
-    const startOfUtcDay = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
-    const nextUtcMidnight = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1, 0, 0, 0, 0));
-    const utcDayDiff = (a, b) => {
-      const sa = startOfUtcDay(a).getTime();
-      const sb = startOfUtcDay(b).getTime();
-      return Math.round((sa - sb) / (24 * 60 * 60 * 1000)); // positive if a is after b
-    };
+    // Load user (timezone decides where their day starts)
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { streakCount: true, points: true, streakFreezes: true, preferences: true }
+    });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+    const timezone = dayBoundary.getUserTimezone(user.preferences);
 
     // Find last claim to evaluate same-day cooldown and streak continuity
     const lastClaim = await prisma.dailyReward.findFirst({
@@ -31,9 +39,9 @@ router.post('/daily/claim', authenticateToken, async (req, res) => {
       orderBy: { claimedAt: 'desc' }
     });
 
-    // Cooldown: one claim per UTC day – if already claimed today UTC, block until next UTC midnight
-    if (lastClaim && utcDayDiff(now, lastClaim.claimedAt) === 0) {
-      const nextAvail = nextUtcMidnight(now);
+    // Cooldown: one claim per local day – if already claimed today, block until the user's next midnight
+    if (lastClaim && dayBoundary.dayDiff(now, lastClaim.claimedAt, timezone) === 0) {
+      const nextAvail = dayBoundary.nextDayStart(now, timezone);
       const hoursRemaining = Math.ceil((nextAvail - now) / (1000 * 60 * 60));
       return res.status(400).json({
         success: false,
@@ -43,78 +51,70 @@ router.post('/daily/claim', authenticateToken, async (req, res) => {
       });
     }
 
-    // Load user
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { streakCount: true, points: true }
+    // Determine streak based on local day continuity
+    // Streak represents current day number (1 = first day, 2 = second day, etc.)
+    // Missed days are covered by streak freezes when the user holds enough of them
+    const streak = dailyStreak.evaluateStreak({
+      lastClaimedAt: lastClaim ? lastClaim.claimedAt : null,
+      currentStreak: user.streakCount,
+      streakFreezes: user.streakFreezes,
+      now,
+      timezone
     });
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
-    }
+    const consecutiveDays = streak.nextConsecutive;
+    console.log(`[Daily Claim] User ${userId}: Current streakCount from DB: ${user.streakCount}, days since last claim: ${streak.diffDays}`);
 
-    // Determine streak based on UTC day continuity
-    // Streak represents current day number (1 = first day, 2 = second day, etc.)
-    let consecutiveDays = user.streakCount || 0;
-    console.log(`[Daily Claim] User ${userId}: Current streakCount from DB: ${user.streakCount}`);
-    console.log(`[Daily Claim] User ${userId}: Last claim exists: ${!!lastClaim}`);
-    
-    if (lastClaim) {
-      const diffDays = utcDayDiff(now, lastClaim.claimedAt); // 1 means yesterday
-      console.log(`[Daily Claim] User ${userId}: Days since last claim: ${diffDays}`);
-      console.log(`[Daily Claim] User ${userId}: Last claim was at: ${lastClaim.claimedAt}`);
-      console.log(`[Daily Claim] User ${userId}: Current time: ${now}`);
-      
-      if (diffDays === 1) {
-        // Consecutive day - increment streak
-        consecutiveDays = consecutiveDays + 1;
-        console.log(`[Daily Claim] User ${userId}: Incrementing streak: ${consecutiveDays - 1} -> ${consecutiveDays}`);
-      } else if (diffDays >= 2) {
-        // Streak broken - reset to 1 (starting a new streak)
-        consecutiveDays = 1;
-        console.log(`[Daily Claim] User ${userId}: Streak broken (missed ${diffDays - 1} days), resetting to 1 (new streak)`);
-      } else {
-        // diffDays == 0 handled by cooldown above; negative shouldn't occur due to order
-        consecutiveDays = consecutiveDays; 
-        console.log(`[Daily Claim] User ${userId}: Same day or invalid diff (${diffDays}), keeping streak: ${consecutiveDays}`);
-      }
-    } else {
-      // First ever claim - start at day 1
-      consecutiveDays = 1;
-      console.log(`[Daily Claim] User ${userId}: First ever claim, setting streak to 1`);
+    if (streak.freezesToUse > 0) {
+      console.log(`[Daily Claim] User ${userId}: Using ${streak.freezesToUse} streak freeze(s) to cover missed days`);
+    } else if (streak.brokenStreak) {
+      console.log(`[Daily Claim] User ${userId}: Streak of ${streak.brokenStreak} broken, resetting to 1 (new streak)`);
     }
-    
+
     console.log(`[Daily Claim] User ${userId}: Final consecutiveDays: ${consecutiveDays}`);
 
-    // Reward formula: 5 + 5 * (consecutiveDays - 1), max 50
-    // Day 1 (consecutiveDays = 1): 5 + (0 * 5) = 5
-    // Day 2 (consecutiveDays = 2): 5 + (1 * 5) = 10
-    // Day 3 (consecutiveDays = 3): 5 + (2 * 5) = 15
-    // ... up to Day 10 (consecutiveDays = 10): 5 + (9 * 5) = 50
-    const computedBase = Math.min(5 + ((consecutiveDays - 1) * 5), 50);
-    const rewardPoints = Math.max(5, computedBase);
+    // Payout comes from the admin-configured schedule (same source as /daily/status)
+    const scheduleConfig = await dailyRewardSchedule.getScheduleConfig();
+    const payout = dailyRewardSchedule.calculateDailyReward(scheduleConfig, consecutiveDays, now);
+    const rewardPoints = payout.totalReward;
 
     // Use transaction to atomically persist daily reward and update user points/streakCount
     // This prevents race conditions where multiple simultaneous requests could claim twice
-    await prisma.$transaction(async (tx) => {
+    const claimRecord = await prisma.$transaction(async (tx) => {
       // Double-check cooldown within transaction to prevent race conditions
       const lastClaimInTx = await tx.dailyReward.findFirst({
         where: { userId },
         orderBy: { claimedAt: 'desc' }
       });
 
-      if (lastClaimInTx && utcDayDiff(now, lastClaimInTx.claimedAt) === 0) {
-        const nextAvail = nextUtcMidnight(now);
+      if (lastClaimInTx && dayBoundary.dayDiff(now, lastClaimInTx.claimedAt, timezone) === 0) {
+        const nextAvail = dayBoundary.nextDayStart(now, timezone);
         const hoursRemaining = Math.ceil((nextAvail - now) / (1000 * 60 * 60));
         throw new Error(`DAILY_REWARD_COOLDOWN:${nextAvail.toISOString()}:${hoursRemaining}`);
       }
 
+      // Consume the freezes only if they're still held (a concurrent claim may have used them)
+      if (streak.freezesToUse > 0) {
+        const freezeResult = await tx.user.updateMany({
+          where: { id: userId, streakFreezes: { gte: streak.freezesToUse } },
+          data: { streakFreezes: { decrement: streak.freezesToUse } }
+        });
+
+        if (freezeResult.count === 0) {
+          throw new Error('STREAK_FREEZE_CONFLICT');
+        }
+      }
+
       // Persist daily reward and update user points and streakCount atomically
-      await tx.dailyReward.create({
+      const dailyReward = await tx.dailyReward.create({
         data: {
           userId,
           pointsEarned: rewardPoints,
           streakCount: consecutiveDays,
-          streakBonus: 0
+          streakBonus: payout.streakBonus,
+          multiplier: payout.multiplier,
+          freezesUsed: streak.freezesToUse,
+          brokenStreak: streak.brokenStreak,
+          streakBrokenAt: streak.streakBrokenAt
         }
       });
 
@@ -125,6 +125,16 @@ router.post('/daily/claim', authenticateToken, async (req, res) => {
           streakCount: consecutiveDays
         }
       });
+
+      await recordPointTransaction(tx, {
+        userId,
+        delta: rewardPoints,
+        sourceType: POINT_SOURCES.DAILY_REWARD,
+        sourceId: dailyReward.id,
+        note: `Daily reward (day ${consecutiveDays})`
+      });
+
+      return dailyReward;
     });
 
     // Check for streak achievements
@@ -150,9 +160,15 @@ router.post('/daily/claim', authenticateToken, async (req, res) => {
       message: 'Daily reward claimed successfully',
       data: {
         pointsEarned: rewardPoints,
-        baseReward: rewardPoints,
-        streakBonus: 0,
+        baseReward: payout.baseReward,
+        streakBonus: payout.streakBonus,
+        multiplier: payout.multiplier,
+        multiplierEvent: payout.multiplierEvent,
         streakCount: consecutiveDays,
+        freezesUsed: streak.freezesToUse,
+        streakFreezes: (user.streakFreezes || 0) - streak.freezesToUse,
+        brokenStreak: streak.brokenStreak,
+        repairAvailableUntil: dailyStreak.getRepairDeadline(claimRecord, now),
         totalPoints: user.points + rewardPoints
       }
     });
@@ -170,6 +186,14 @@ router.post('/daily/claim', authenticateToken, async (req, res) => {
         data: { nextAvailableAt: new Date(nextAvail), hoursRemaining: parseInt(hoursRemaining) }
       });
     }
+
+    if (error.message === 'STREAK_FREEZE_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        error: 'STREAK_FREEZE_CONFLICT',
+        message: 'Your streak freezes changed while claiming. Please try again.'
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -179,7 +203,7 @@ router.post('/daily/claim', authenticateToken, async (req, res) => {
   }
 });
 
-// Get daily reward status (UTC day boundary)
+// Get daily reward status (day boundary in the user's timezone)
 router.get('/daily/status', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -187,95 +211,81 @@ router.get('/daily/status', authenticateToken, async (req, res) => {
     
     const status = await deduplicateRequest(requestKey, async () => {
       const now = new Date();
-      
-      // UTC day helper functions
-      const startOfUtcDay = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
-      const nextUtcMidnight = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1, 0, 0, 0, 0));
-      const utcDayDiff = (a, b) => {
-        const sa = startOfUtcDay(a).getTime();
-        const sb = startOfUtcDay(b).getTime();
-        return Math.round((sa - sb) / (24 * 60 * 60 * 1000));
-      };
 
       // Get user and their most recent claim (regardless of when it was)
       const user = await prisma.user.findUnique({
         where: { id: userId },
-        select: { streakCount: true }
+        select: { streakCount: true, streakFreezes: true, preferences: true }
       });
 
       if (!user) {
         throw new Error('USER_NOT_FOUND');
       }
+      const timezone = dayBoundary.getUserTimezone(user.preferences);
 
-      const lastClaim = await prisma.dailyReward.findFirst({
-        where: { userId },
-        orderBy: { claimedAt: 'desc' }
-      });
+      const [lastClaim, latestBreak] = await Promise.all([
+        prisma.dailyReward.findFirst({
+          where: { userId },
+          orderBy: { claimedAt: 'desc' }
+        }),
+        dailyStreak.findLatestBreak(prisma, userId)
+      ]);
 
       const lastClaimedAt = lastClaim ? new Date(lastClaim.claimedAt) : null;
       const currentStreak = parseInt(user.streakCount) || 0;
+      const streakFreezes = user.streakFreezes || 0;
 
-      // Calculate next consecutive day based on UTC day continuity (same logic as claim endpoint)
-      let nextConsecutive = currentStreak || 0;
-      
-      if (lastClaimedAt) {
-        const diffDays = utcDayDiff(now, lastClaimedAt);
-        console.log(`[Daily Status] User ${userId}: Current streak: ${currentStreak}, Days since last claim: ${diffDays}`);
-        
-        if (diffDays === 0) {
-          // Already claimed today UTC - next claim will be tomorrow, continuing streak
-          nextConsecutive = currentStreak + 1;
-          console.log(`[Daily Status] User ${userId}: Already claimed today, next claim will be day ${nextConsecutive}`);
-        } else if (diffDays === 1) {
-          // Last claim was yesterday UTC - next claim continues streak
-          nextConsecutive = currentStreak + 1;
-          console.log(`[Daily Status] User ${userId}: Last claim was yesterday, next claim will be day ${nextConsecutive}`);
-        } else if (diffDays >= 2) {
-          // Streak broken - next claim will reset to day 1
-          nextConsecutive = 1;
-          console.log(`[Daily Status] User ${userId}: Streak broken (missed ${diffDays - 1} days), next claim will be day 1`);
-        }
-      } else {
-        // No previous claim - next claim will be day 1
-        nextConsecutive = 1;
-        console.log(`[Daily Status] User ${userId}: No previous claim, next claim will be day 1`);
-      }
+      // Calculate next consecutive day based on local day continuity (same logic as claim endpoint)
+      const streak = dailyStreak.evaluateStreak({ lastClaimedAt, currentStreak, streakFreezes, now, timezone });
+      const nextConsecutive = streak.nextConsecutive;
+      console.log(`[Daily Status] User ${userId}: Current streak: ${currentStreak}, Days since last claim: ${streak.diffDays}`);
 
-      // Reward formula: 5 + 5 * (nextConsecutive - 1), max 50
-      // Day 1 (nextConsecutive = 1): 5 + (0 * 5) = 5
-      // Day 2 (nextConsecutive = 2): 5 + (1 * 5) = 10
-      // Day 3 (nextConsecutive = 3): 5 + (2 * 5) = 15
-      // Day 4 (nextConsecutive = 4): 5 + (3 * 5) = 20
-      // ... up to Day 10 (nextConsecutive = 10): 5 + (9 * 5) = 50
-      const computedBase = Math.min(5 + ((nextConsecutive - 1) * 5), 50);
-      const baseReward = Math.max(5, computedBase);
-      const totalReward = baseReward; // no separate streak bonus in new model
-      
-      // Check if on cooldown (already claimed today UTC)
+      // Payout comes from the admin-configured schedule (same source as the claim endpoint)
+      const scheduleConfig = await dailyRewardSchedule.getScheduleConfig();
+      const isClaimedToday = streak.diffDays === 0;
+      // While on cooldown the next claim happens at the user's next midnight
+      const nextClaimAt = isClaimedToday ? dayBoundary.nextDayStart(now, timezone) : now;
+      const payout = dailyRewardSchedule.calculateDailyReward(scheduleConfig, nextConsecutive, nextClaimAt);
+
+      // Check if on cooldown (already claimed today)
       let isOnCooldown = false;
       let nextAvailableAt = null;
       let hoursRemaining = 0;
 
-      if (lastClaimedAt) {
-        const diffDays = utcDayDiff(now, lastClaimedAt);
-        if (diffDays === 0) {
-          // Already claimed today UTC
-          isOnCooldown = true;
-          nextAvailableAt = nextUtcMidnight(now);
-          hoursRemaining = Math.ceil((nextAvailableAt - now) / (1000 * 60 * 60));
-        }
+      if (isClaimedToday) {
+        // Already claimed today
+        isOnCooldown = true;
+        nextAvailableAt = nextClaimAt;
+        hoursRemaining = Math.ceil((nextAvailableAt - now) / (1000 * 60 * 60));
       }
 
-      console.log(`[Daily Status] User ${userId}: Next reward will be ${totalReward} $BUZZ (day ${nextConsecutive})`);
+      const repairDeadline = dailyStreak.getRepairDeadline(latestBreak, now);
+
+      console.log(`[Daily Status] User ${userId}: Next reward will be ${payout.totalReward} $BUZZ (day ${nextConsecutive})`);
 
       return {
         isOnCooldown,
         nextAvailableAt,
         hoursRemaining,
-        baseReward,
-        streakBonus: 0,
-        totalReward,
-        currentStreak: currentStreak
+        timezone,
+        baseReward: payout.baseReward,
+        streakBonus: payout.streakBonus,
+        multiplier: payout.multiplier,
+        multiplierEvent: payout.multiplierEvent,
+        totalReward: payout.totalReward,
+        currentStreak: currentStreak,
+        streakFreezes,
+        maxStreakFreezes: dailyStreak.MAX_STREAK_FREEZES,
+        streakFreezeCost: dailyStreak.STREAK_FREEZE_COST,
+        // Freezes the next claim will consume, and the streak it will lose if they don't cover the gap
+        freezesToUse: streak.freezesToUse,
+        streakAtRisk: streak.brokenStreak,
+        repair: {
+          available: !!repairDeadline,
+          cost: dailyStreak.STREAK_REPAIR_COST,
+          brokenStreak: repairDeadline ? latestBreak.brokenStreak : null,
+          availableUntil: repairDeadline
+        }
       };
     });
 
@@ -300,12 +310,141 @@ router.get('/daily/status', authenticateToken, async (req, res) => {
   }
 });
 
+// Buy a streak freeze (covers one missed day, used automatically by the next claim)
+router.post('/daily/streak-freeze', authenticateToken, idempotency, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await dailyStreak.purchaseStreakFreeze(userId);
+
+    try {
+      await refreshUserAndLeaderboardCaches(userId);
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error refreshing caches after streak freeze purchase:', err);
+    }
+
+    res.json({
+      success: true,
+      message: 'Streak freeze purchased',
+      data: {
+        pointsSpent: dailyStreak.STREAK_FREEZE_COST,
+        streakFreezes: result.streakFreezes,
+        totalPoints: result.points
+      }
+    });
+  } catch (error) {
+    if (error.message === 'USER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    if (error.message === 'STREAK_FREEZE_LIMIT_REACHED') {
+      return res.status(400).json({
+        success: false,
+        error: 'STREAK_FREEZE_LIMIT_REACHED',
+        message: `You can hold at most ${dailyStreak.MAX_STREAK_FREEZES} streak freezes`
+      });
+    }
+
+    if (error.message === 'INSUFFICIENT_POINTS') {
+      return res.status(400).json({
+        success: false,
+        error: 'INSUFFICIENT_POINTS',
+        message: `A streak freeze costs ${dailyStreak.STREAK_FREEZE_COST} points`
+      });
+    }
+
+    console.error('Streak freeze purchase error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'STREAK_FREEZE_ERROR',
+      message: 'Failed to purchase streak freeze'
+    });
+  }
+});
+
+// Repair the most recently broken streak (within 48 hours of the break)
+router.post('/daily/streak-repair', authenticateToken, idempotency, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await dailyStreak.repairStreak(userId);
+
+    try {
+      await refreshUserAndLeaderboardCaches(userId);
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the request
+      console.error('Error refreshing caches after streak repair:', err);
+    }
+
+    res.json({
+      success: true,
+      message: 'Streak repaired',
+      data: {
+        pointsSpent: dailyStreak.STREAK_REPAIR_COST,
+        restoredStreak: result.restoredStreak,
+        streakCount: result.streakCount,
+        totalPoints: result.points
+      }
+    });
+  } catch (error) {
+    if (error.message === 'USER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    if (error.message === 'STREAK_NOT_REPAIRABLE') {
+      return res.status(400).json({
+        success: false,
+        error: 'STREAK_NOT_REPAIRABLE',
+        message: `No broken streak to repair. Repairs are available for ${dailyStreak.STREAK_REPAIR_WINDOW_HOURS} hours after a streak breaks.`
+      });
+    }
+
+    if (error.message === 'INSUFFICIENT_POINTS') {
+      return res.status(400).json({
+        success: false,
+        error: 'INSUFFICIENT_POINTS',
+        message: `A streak repair costs ${dailyStreak.STREAK_REPAIR_COST} points`
+      });
+    }
+
+    console.error('Streak repair error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'STREAK_REPAIR_ERROR',
+      message: 'Failed to repair streak'
+    });
+  }
+});
+
 // Get available rewards
 router.get('/available', authenticateToken, async (req, res) => {
   try {
-    const rewards = await prisma.availableReward.findMany({
-      where: { isActive: true },
-      orderBy: { pointsRequired: 'asc' }
+    const userId = req.user.id;
+
+    const [catalog, user, redeemedCounts] = await Promise.all([
+      prisma.availableReward.findMany({
+        where: { isActive: true },
+        orderBy: { pointsRequired: 'asc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: rewardEligibility.ELIGIBILITY_USER_SELECT
+      }),
+      rewardEligibility.countUserRedemptionsByReward(prisma, userId)
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    // Annotate each item with whether this user can redeem it right now
+    const now = new Date();
+    const rewards = catalog.map((reward) => {
+      const blockedReason = rewardEligibility.getBlockedReason(reward, user, redeemedCounts.get(reward.id) || 0, now);
+      return {
+        ...reward,
+        canRedeem: blockedReason === null,
+        blockedReason
+      };
     });
 
     res.json({
@@ -324,7 +463,7 @@ router.get('/available', authenticateToken, async (req, res) => {
 });
 
 // Redeem reward
-router.post('/redeem', authenticateToken, async (req, res) => {
+router.post('/redeem', authenticateToken, idempotency, async (req, res) => {
   try {
     const { rewardId } = req.body;
     const userId = req.user.id;
@@ -371,10 +510,14 @@ router.post('/redeem', authenticateToken, async (req, res) => {
     // Use transaction to atomically create reward, deduct points, and update stock
     // This prevents race conditions where user could overspend points or oversell stock
     const reward = await prisma.$transaction(async (tx) => {
+      // Lock the user row so concurrent redemptions by the same user are serialized
+      // (keeps the points and maxPerUser checks below accurate)
+      await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+
       // Re-fetch user and reward within transaction to get latest values
       const userInTx = await tx.user.findUnique({
         where: { id: userId },
-        select: { points: true }
+        select: rewardEligibility.ELIGIBILITY_USER_SELECT
       });
 
       const availableRewardInTx = await tx.availableReward.findUnique({
@@ -385,27 +528,29 @@ router.post('/redeem', authenticateToken, async (req, res) => {
         throw new Error('USER_NOT_FOUND');
       }
 
-      if (!availableRewardInTx || !availableRewardInTx.isActive) {
+      if (!availableRewardInTx) {
         throw new Error('REWARD_NOT_AVAILABLE');
       }
 
-      // Check stock within transaction
-      if (availableRewardInTx.stock !== null && availableRewardInTx.stock <= 0) {
-        throw new Error('REWARD_OUT_OF_STOCK');
-      }
+      // Check availability window, stock, limits, gating and points within transaction
+      const redeemedCount = await rewardEligibility.countUserRedemptions(tx, userId, rewardId);
+      const blockedReason = rewardEligibility.getBlockedReason(availableRewardInTx, userInTx, redeemedCount);
 
-      // Check points within transaction
-      if (userInTx.points < availableRewardInTx.pointsRequired) {
-        throw new Error('INSUFFICIENT_POINTS');
+      if (blockedReason) {
+        throw new Error(`REWARD_BLOCKED:${blockedReason}`);
       }
 
       // Create reward record
+      // Code pool rewards are delivered immediately, so they start out fulfilled
       const newReward = await tx.reward.create({
         data: {
           userId,
           rewardType: availableRewardInTx.type,
           rewardValue: availableRewardInTx.value,
-          status: 'pending',
+          status: availableRewardInTx.usesCodePool ? REWARD_STATUS.FULFILLED : REWARD_STATUS.PENDING,
+          availableRewardId: availableRewardInTx.id,
+          pointsSpent: availableRewardInTx.pointsRequired,
+          fulfilledAt: availableRewardInTx.usesCodePool ? new Date() : null,
           expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
         }
       });
@@ -420,8 +565,19 @@ router.post('/redeem', authenticateToken, async (req, res) => {
         }
       });
 
-      // Update stock if applicable
-      if (availableRewardInTx.stock !== null) {
+      await recordPointTransaction(tx, {
+        userId,
+        delta: -availableRewardInTx.pointsRequired,
+        sourceType: POINT_SOURCES.REWARD_REDEMPTION,
+        sourceId: newReward.id,
+        note: `Redeemed "${availableRewardInTx.name}"`
+      });
+
+      // Assign a unique code from the pool (stock follows the pool size)
+      // or update stock if applicable
+      if (availableRewardInTx.usesCodePool) {
+        await rewardCodePool.assignCode(tx, availableRewardInTx.id, newReward.id);
+      } else if (availableRewardInTx.stock !== null) {
         await tx.availableReward.update({
           where: { id: rewardId },
           data: {
@@ -435,6 +591,14 @@ router.post('/redeem', authenticateToken, async (req, res) => {
       return newReward;
     });
 
+    if (availableReward.usesCodePool) {
+      setImmediate(() => {
+        rewardCodePool.checkLowStock(rewardId).catch(err => {
+          console.error('Failed to check reward code pool stock:', err);
+        });
+      });
+    }
+
     // Write-through cache: Refresh user profile cache SYNCHRONOUSLY after transaction
     // This ensures cache is updated before response is sent, preventing stale data window
     // Note: Leaderboard cache is time-based (10 min TTL) and will update automatically
@@ -462,6 +626,33 @@ router.post('/redeem', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Redeem reward error:', error);
+
+    // Handle errors thrown inside the transaction
+    const transactionErrors = {
+      USER_NOT_FOUND: { status: 404, message: 'User not found' },
+      REWARD_NOT_AVAILABLE: { status: 400, message: 'Reward is no longer available' },
+      REWARD_OUT_OF_STOCK: { status: 400, message: 'Reward is out of stock' }
+    };
+
+    if (error.message && error.message.startsWith('REWARD_BLOCKED:')) {
+      const [, blockedReason] = error.message.split(':');
+      return res.status(400).json({
+        success: false,
+        error: 'REWARD_NOT_REDEEMABLE',
+        message: 'You cannot redeem this reward',
+        data: { blockedReason }
+      });
+    }
+
+    if (transactionErrors[error.message]) {
+      const { status, message } = transactionErrors[error.message];
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'REWARD_REDEEM_ERROR',
@@ -475,16 +666,27 @@ router.get('/my-rewards', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const skip = (page - 1) * limit;
 
-    const rewards = await prisma.reward.findMany({
+    const userRewards = await prisma.reward.findMany({
       where: { userId },
+      include: {
+        rewardCode: {
+          select: { id: true, encryptedCode: true, iv: true }
+        }
+      },
       orderBy: { createdAt: 'desc' },
       skip,
       take: limit
     });
 
+    // Reveal pool codes only here, to the owner
+    const rewards = userRewards.map(({ rewardCode, ...reward }) => ({
+      ...reward,
+      code: rewardCode ? rewardCodePool.revealCode(rewardCode) : null
+    }));
+
     const totalCount = await prisma.reward.count({
       where: { userId }
     });
@@ -5,7 +5,13 @@ const { errorHandler } = require('../middleware/errorHandler');
 const upload = require('../middleware/upload');
 const { deduplicateRequest } = require('../middleware/deduplication');
 const cacheService = require('../services/cacheService');
+const { POINT_SOURCES, recordPointTransaction, getUserLedger } = require('../services/pointsLedger');
 const { parsePaginationParams, buildCursorQuery, buildOffsetQuery, buildPaginationResponse, buildPaginationResponseWithTotal } = require('../utils/pagination');
+const dayBoundary = require('../utils/dayBoundary');
+const languages = require('../utils/languages');
+const forYouFeed = require('../services/forYouFeed');
+const followingFeed = require('../services/followingFeed');
+const bookmarks = require('../services/bookmarks');
 
 const router = express.Router();
 
@@ -538,6 +544,342 @@ router.get('/activity', authenticateToken, async (req, res) => {
   }
 });
 
+// Get points ledger (every change to the user's $BUZZ balance, newest first)
+router.get('/ledger', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const pagination = parsePaginationParams(req);
+
+    const ledger = await getUserLedger(userId, pagination, {
+      sourceType: req.query.sourceType
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries: ledger.entries,
+        pagination: {
+          limit: ledger.limit,
+          nextCursor: ledger.nextCursor,
+          hasMore: ledger.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get points ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'LEDGER_FETCH_ERROR',
+      message: 'Failed to fetch points ledger'
+    });
+  }
+});
+
+// Get bookmarked articles (read-later list, most recently bookmarked first)
+// Articles that were unpublished or deleted since are returned with available: false
+router.get('/bookmarks', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const pagination = parsePaginationParams(req);
+    const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
+
+    const rows = await prisma.bookmark.findMany({
+      where: {
+        userId,
+        ...cursorQuery.where
+      },
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+      include: {
+        article: {
+          select: {
+            id: true,
+            title: true,
+            content: true,
+            category: true,
+            sourceUrl: true,
+            sourceName: true,
+            pointsValue: true,
+            isFeatured: true,
+            imageUrl: true,
+            imageData: true,
+            imageType: true,
+            createdAt: true,
+            originalPublishedAt: true,
+            status: true,
+            author: {
+              select: {
+                id: true,
+                username: true,
+                displayName: true,
+                role: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const articleIds = rows.filter(row => row.articleId).map(row => row.articleId);
+    const userReadArticles = await prisma.readArticle.findMany({
+      where: {
+        userId,
+        articleId: { in: articleIds }
+      },
+      select: {
+        articleId: true,
+        rewardClaimedAt: true
+      }
+    });
+    const readArticleMap = new Map(userReadArticles.map(ra => [ra.articleId, ra]));
+
+    const items = rows.map(row => {
+      const unavailableReason = bookmarks.getUnavailableReason(row);
+
+      if (unavailableReason) {
+        return {
+          id: row.id,
+          articleId: row.articleId,
+          bookmarkedAt: row.createdAt,
+          available: false,
+          unavailableReason,
+          article: {
+            id: row.articleId,
+            title: row.article ? row.article.title : row.articleTitle
+          }
+        };
+      }
+
+      const { status, ...article } = row.article;
+      const readInfo = readArticleMap.get(row.articleId);
+      return {
+        id: row.id,
+        articleId: row.articleId,
+        bookmarkedAt: row.createdAt,
+        available: true,
+        unavailableReason: null,
+        article: {
+          ...article,
+          isRead: !!readInfo,
+          hasClaimedReward: !!readInfo?.rewardClaimedAt,
+          isBookmarked: true
+        }
+      };
+    });
+
+    const paginationResponse = buildPaginationResponse(items, pagination, 'id');
+
+    res.json({
+      success: true,
+      data: {
+        bookmarks: paginationResponse.data,
+        ...paginationResponse
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'BOOKMARKS_FETCH_ERROR',
+      message: 'Failed to fetch bookmarks'
+    });
+  }
+});
+
+// Get the timezone used for daily resets (daily claim, streaks, article reward cap)
+router.get('/timezone', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { preferences: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        timezone: dayBoundary.getUserTimezone(user.preferences),
+        nextChangeAvailableAt: dayBoundary.getTimezoneChangeAvailableAt(user.preferences)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get timezone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'TIMEZONE_FETCH_ERROR',
+      message: 'Failed to fetch timezone'
+    });
+  }
+});
+
+// Set the timezone used for daily resets (IANA name, e.g. "Africa/Lagos")
+// Limited to one change per cooldown so users can't hop across midnight to claim twice
+router.put('/timezone', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { timezone } = req.body;
+
+    if (!dayBoundary.isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_TIMEZONE',
+        message: 'Timezone must be a valid IANA timezone name, e.g. "Africa/Lagos"'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { preferences: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    const preferences = user.preferences && typeof user.preferences === 'object' ? user.preferences : {};
+
+    if (dayBoundary.getUserTimezone(preferences) === timezone) {
+      return res.json({
+        success: true,
+        message: 'Timezone unchanged',
+        data: {
+          timezone,
+          nextChangeAvailableAt: dayBoundary.getTimezoneChangeAvailableAt(preferences)
+        }
+      });
+    }
+
+    const nextChangeAvailableAt = dayBoundary.getTimezoneChangeAvailableAt(preferences);
+    if (nextChangeAvailableAt) {
+      return res.status(429).json({
+        success: false,
+        error: 'TIMEZONE_CHANGE_COOLDOWN',
+        message: `Timezone can only be changed once every ${dayBoundary.TIMEZONE_CHANGE_COOLDOWN_DAYS} days`,
+        data: { nextChangeAvailableAt }
+      });
+    }
+
+    const now = new Date();
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        preferences: {
+          ...preferences,
+          timezone,
+          timezoneChangedAt: now.toISOString()
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Timezone updated successfully',
+      data: {
+        timezone,
+        nextChangeAvailableAt: new Date(now.getTime() + dayBoundary.TIMEZONE_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update timezone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'TIMEZONE_UPDATE_ERROR',
+      message: 'Failed to update timezone'
+    });
+  }
+});
+
+// Get the article languages shown in feeds and search
+// Empty means "not set" - feeds then follow the Accept-Language header
+router.get('/languages', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { preferences: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        languages: languages.getUserLanguages(user.preferences)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get languages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'LANGUAGES_FETCH_ERROR',
+      message: 'Failed to fetch languages'
+    });
+  }
+});
+
+// Set the article languages shown in feeds and search (ISO 639-1 codes, most preferred first)
+// An empty list clears the preference
+router.put('/languages', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const requested = languages.parseLanguageList(req.body.languages);
+
+    if (!requested || requested.length > languages.MAX_PREFERRED_LANGUAGES) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_LANGUAGES',
+        message: `languages must be a list of up to ${languages.MAX_PREFERRED_LANGUAGES} two-letter ISO 639-1 codes, e.g. ["en", "fr"]`
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { preferences: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+
+    const preferences = user.preferences && typeof user.preferences === 'object' ? user.preferences : {};
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        preferences: {
+          ...preferences,
+          languages: requested
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Languages updated successfully',
+      data: {
+        languages: requested
+      }
+    });
+
+  } catch (error) {
+    console.error('Update languages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'LANGUAGES_UPDATE_ERROR',
+      message: 'Failed to update languages'
+    });
+  }
+});
+
 // Get user badges/achievements (with write-through cache)
 router.get('/badges', authenticateToken, async (req, res) => {
   try {
@@ -654,7 +996,7 @@ router.post('/upgrade-to-creator', authenticateToken, async (req, res) => {
       console.log(`✅ Creator upgrade purchase: User ${userId}, Product ${productId}`);
 
       // Upgrade user to creator role and award points atomically
-      return await tx.user.update({
+      const upgradedUser = await tx.user.update({
         where: { id: userId },
         data: {
           role: 'creator',
@@ -674,6 +1016,15 @@ router.post('/upgrade-to-creator', authenticateToken, async (req, res) => {
           isVerified: true
         }
       });
+
+      await recordPointTransaction(tx, {
+        userId,
+        delta: 10000,
+        sourceType: POINT_SOURCES.CREATOR_UPGRADE,
+        note: productId ? `Creator upgrade (${productId})` : 'Creator upgrade'
+      });
+
+      return upgradedUser;
     });
 
     // Write-through cache: Refresh user profile cache SYNCHRONOUSLY (role and points changed)
@@ -981,6 +1332,9 @@ router.post('/:userId/follow', authenticateToken, async (req, res) => {
       await cacheService.deletePattern('creators:list:*');
       // Invalidate public profile cache (follower count changed)
       await cacheService.delete(`public:profile:${userId}`);
+      // Followed creators feed into the follower's For You ranking
+      await forYouFeed.invalidateFeed(followerId);
+      await followingFeed.invalidateUnreadCount(followerId);
     } catch (err) {
       // Non-blocking: Log error but don't fail the request
       console.error('Error invalidating caches after follow:', err);
@@ -1041,6 +1395,9 @@ router.post('/:userId/unfollow', authenticateToken, async (req, res) => {
       await cacheService.deletePattern('creators:list:*');
       // Invalidate public profile cache (follower count changed)
       await cacheService.delete(`public:profile:${userId}`);
+      // Followed creators feed into the follower's For You ranking
+      await forYouFeed.invalidateFeed(followerId);
+      await followingFeed.invalidateUnreadCount(followerId);
     } catch (err) {
       // Non-blocking: Log error but don't fail the request
       console.error('Error invalidating caches after unfollow:', err);
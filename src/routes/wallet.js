@@ -2,6 +2,7 @@ const express = require('express');
 const { prisma } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const { Keypair, PublicKey, Connection, LAMPORTS_PER_SOL, Transaction, SystemProgram } = require('@solana/web3.js');
 const { getAssociatedTokenAddress, getAccount } = require('@solana/spl-token');
 const { encryptPrivateKey, decryptPrivateKey, hashPassword, verifyPassword } = require('../utils/crypto');
@@ -230,7 +231,7 @@ router.post('/verify-pin', authenticateToken, async (req, res) => {
 });
 
 // Send tokens
-router.post('/send', authenticateToken, async (req, res) => {
+router.post('/send', authenticateToken, idempotency, async (req, res) => {
   try {
     const userId = req.user.id;
     const { to, amount, password } = req.body;
@@ -311,13 +312,30 @@ router.post('/send', authenticateToken, async (req, res) => {
     transaction.sign(keypair);
     const signature = await connection.sendRawTransaction(transaction.serialize());
 
-    // Wait for confirmation
-    await connection.confirmTransaction(signature);
+    // The transfer is broadcast from here on - a confirmation failure must not be
+    // answered with a 5xx, or the Idempotency-Key is released and a retry sends again
+    try {
+      await connection.confirmTransaction(signature);
+    } catch (confirmError) {
+      console.error(`Error confirming transaction ${signature}:`, confirmError);
+      return res.status(202).json({
+        success: true,
+        data: {
+          transactionId: signature,
+          status: 'pending',
+          amount,
+          to,
+          from: walletData.publicKey
+        },
+        message: 'Transaction sent but not yet confirmed'
+      });
+    }
 
     res.json({
       success: true,
       data: {
         transactionId: signature,
+        status: 'confirmed',
         amount,
         to,
         from: walletData.publicKey
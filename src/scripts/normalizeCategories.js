@@ -0,0 +1,132 @@
+/**
+ * Script: Normalize Article Categories
+ * Seeds the default categories, then rewrites existing articles.category values
+ * to the managed slugs (e.g. 'sports' / 'SPORTS' -> 'SPORT', 'GENERAL' -> 'OTHERS').
+ * Values that don't match any category are reported, or moved to OTHERS with
+ * --unknown-to-others.
+ *
+ * Usage:
+ *   node src/scripts/normalizeCategories.js [--dry-run] [--unknown-to-others]
+ */
+
+require('dotenv').config();
+const { connectDB, disconnectDB, prisma } = require('../config/database');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+
+async function normalizeCategories({ dryRun = false, unknownToOthers = false } = {}) {
+  console.log('\n' + '='.repeat(80));
+  console.log('🏷️  NORMALIZE ARTICLE CATEGORIES');
+  console.log('='.repeat(80));
+  console.log(`Date: ${new Date().toISOString()}`);
+  console.log(`Mode: ${dryRun ? 'DRY RUN (no changes)' : 'LIVE'}\n`);
+
+  try {
+    await connectDB();
+    console.log('✅ Database connected\n');
+
+    if (!dryRun) {
+      const seeded = await categoryTaxonomy.ensureDefaultCategories();
+      console.log(`🌱 Default categories created: ${seeded}\n`);
+    }
+
+    const categories = await prisma.category.findMany({ select: { slug: true } });
+    const knownSlugs = new Set([
+      ...categories.map(category => category.slug),
+      // In a dry run the defaults may not be seeded yet
+      ...(dryRun ? categoryTaxonomy.DEFAULT_CATEGORIES.map(category => category.slug) : [])
+    ]);
+
+    const stored = await prisma.article.groupBy({
+      by: ['category'],
+      _count: { _all: true }
+    });
+
+    let articlesUpdated = 0;
+    const unknown = [];
+
+    for (const row of stored) {
+      const count = row._count._all;
+      let target = categoryTaxonomy.normalizeCategorySlug(row.category);
+
+      if (!knownSlugs.has(target)) {
+        if (!unknownToOthers) {
+          unknown.push({ category: row.category, count });
+          continue;
+        }
+        target = 'OTHERS';
+      }
+
+      if (target === row.category) {
+        continue;
+      }
+
+      console.log(`   ${JSON.stringify(row.category)} -> ${target} (${count} articles)`);
+
+      if (!dryRun) {
+        const result = await prisma.article.updateMany({
+          where: { category: row.category },
+          data: { category: target }
+        });
+        articlesUpdated += result.count;
+      } else {
+        articlesUpdated += count;
+      }
+    }
+
+    if (!dryRun) {
+      await categoryTaxonomy.invalidateCategoryCaches();
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`✅ NORMALIZATION ${dryRun ? 'PREVIEW' : 'COMPLETE'}!`);
+    console.log('='.repeat(80));
+    console.log(`   Articles ${dryRun ? 'to update' : 'updated'}: ${articlesUpdated}`);
+
+    if (unknown.length > 0) {
+      console.log(`\n⚠️  ${unknown.length} unknown categories left as-is:`);
+      unknown.forEach(({ category, count }) => console.log(`   ${JSON.stringify(category)}: ${count} articles`));
+      console.log('   Create them via POST /api/admin/categories, or re-run with --unknown-to-others\n');
+    }
+
+    return {
+      success: true,
+      articlesUpdated,
+      unknownCategories: unknown
+    };
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    console.error('   Stack:', error.stack);
+    return {
+      success: false,
+      articlesUpdated: 0,
+      error: error.message
+    };
+  } finally {
+    await disconnectDB();
+    console.log('✅ Database disconnected');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  normalizeCategories({
+    dryRun: process.argv.includes('--dry-run'),
+    unknownToOthers: process.argv.includes('--unknown-to-others')
+  })
+    .then((result) => {
+      if (result.success) {
+        console.log('\n✅ Script completed successfully!');
+        process.exit(0);
+      } else {
+        console.log('\n❌ Script failed');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('\n❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { normalizeCategories };
@@ -34,10 +34,16 @@ const { checkAppVersion } = require('./middleware/versionCheck');
 const { errorHandler } = require('./middleware/errorHandler');
 const { connectDB } = require('./config/database');
 const { autoSyncDatabase } = require('./scripts/autoSync');
+const { ensureSearchSetup } = require('./services/articleSearch');
 const notificationCronOptimized = require('./services/notificationCronOptimized');
 const miningCron = require('./services/miningCron');
 const dataCleanupCron = require('./services/dataCleanupCron');
 const newsCron = require('./services/newsCron');
+const reconciliationCron = require('./services/reconciliationCron');
+const rewardExpiryCron = require('./services/rewardExpiryCron');
+const scheduledPublishCron = require('./services/scheduledPublishCron');
+const trendingCron = require('./services/trendingCron');
+const articleArchiveCron = require('./services/articleArchiveCron');
 
 const app = express();
 const PORT = process.env.PORT || 8001;
@@ -133,9 +139,10 @@ app.use(cors({
     'Origin',
     'Cache-Control',
     'X-File-Name',
-    'X-App-Version'
+    'X-App-Version',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['X-Total-Count'],
+  exposedHeaders: ['X-Total-Count', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200,
   preflightContinue: false
 }));
@@ -240,6 +247,13 @@ const startServer = async () => {
     // Auto-sync database schema (creates missing tables/columns)
     await autoSyncDatabase();
     
+    // Install the full-text search trigger (needs the synced search_vector column)
+    try {
+      await ensureSearchSetup();
+    } catch (error) {
+      console.error('⚠️  Article search setup failed, search may return stale results:', error.message);
+    }
+    
     // Start notification cron jobs (optimized for scale)
     notificationCronOptimized.startAll();
     
@@ -252,6 +266,21 @@ const startServer = async () => {
     // Start news automation cron jobs
     newsCron.startAll();
     
+    // Start points reconciliation cron jobs
+    reconciliationCron.startAll();
+    
+    // Start reward expiry cron jobs
+    rewardExpiryCron.startAll();
+    
+    // Start scheduled publish cron jobs
+    scheduledPublishCron.startAll();
+    
+    // Start trending score cron jobs
+    trendingCron.startAll();
+    
+    // Start stale article archive cron jobs
+    articleArchiveCron.startAll();
+    
     // Note: Seed data manually using: npm run db:seed
     // Or run once with: npm run db:reset-seed
     
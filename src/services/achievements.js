@@ -1,5 +1,6 @@
 const { prisma } = require('../config/database');
 const pushNotificationService = require('./pushNotificationService');
+const { POINT_SOURCES, recordPointTransaction } = require('./pointsLedger');
 
 // Define app launch date (you can adjust this to your actual launch date)
 const APP_LAUNCH_DATE = new Date('2025-11-21');
@@ -188,7 +189,7 @@ async function awardBadge(userId, badge) {
       }
 
       // Create user badge record atomically
-      await tx.userBadge.create({
+      const userBadge = await tx.userBadge.create({
         data: {
           userId,
           badgeId: badge.id
@@ -205,6 +206,14 @@ async function awardBadge(userId, badge) {
             }
           }
         });
+
+        await recordPointTransaction(tx, {
+          userId,
+          delta: badge.pointsRequired,
+          sourceType: POINT_SOURCES.BADGE_AWARD,
+          sourceId: userBadge.id,
+          note: `Badge "${badge.name}"`
+        });
       }
 
       console.log(`🏆 Awarded badge "${badge.name}" to user ${userId} (+${badge.pointsRequired} points)`);
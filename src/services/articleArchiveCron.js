@@ -0,0 +1,66 @@
+const cron = require('node-cron');
+const distributedLock = require('./distributedLock');
+const { archiveStaleArticles } = require('./articleArchiving');
+
+/**
+ * Article Archive Cron Jobs
+ * Moves published articles past their category's retention window to 'archived'
+ */
+class ArticleArchiveCron {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Start stale article archiving cron job
+   * Runs every hour at minute 15
+   */
+  startArchiving() {
+    const job = cron.schedule('15 * * * *', async () => {
+      const now = new Date();
+      const lockKey = `article_archive_${now.toISOString().slice(0, 13)}`; // One run per hour
+
+      await distributedLock.withLock(lockKey, async () => {
+        try {
+          const results = await archiveStaleArticles(now);
+
+          if (results.archived > 0) {
+            const summary = Object.entries(results.byCategory)
+              .map(([category, count]) => `${category}: ${count}`)
+              .join(', ');
+            console.log(`✅ [ARCHIVE CRON] Archived ${results.archived} stale articles (${summary})`);
+          }
+        } catch (error) {
+          console.error('❌ [ARCHIVE CRON] Error archiving stale articles:', error);
+        }
+      }, 3000); // 50 minutes TTL
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.push(job);
+    job.start(); // Start the job since scheduled: false
+    console.log('✅ Article archive cron job scheduled (hourly)');
+  }
+
+  /**
+   * Start all cron jobs
+   */
+  startAll() {
+    this.startArchiving();
+    console.log('✅ All article archive cron jobs started');
+  }
+
+  /**
+   * Stop all cron jobs
+   */
+  stopAll() {
+    this.jobs.forEach((job) => job.stop());
+    this.jobs = [];
+    console.log('🛑 All article archive cron jobs stopped');
+  }
+}
+
+const articleArchiveCron = new ArticleArchiveCron();
+module.exports = articleArchiveCron;
@@ -0,0 +1,157 @@
+const { prisma } = require('../config/database');
+const { refreshCachesAfterPublish } = require('./articleScheduling');
+
+/**
+ * Article Archiving Service
+ * Published articles older than their category's retention window (categories.retention_days,
+ * or ARTICLE_RETENTION_DAYS when a category has none) are moved to status 'archived' by the
+ * archive cron. Every feed filters on status 'published', so archived articles drop out
+ * of them, but they stay reachable by id, in bookmarks and reading history, and in
+ * search with includeArchived. Featured articles and pinned trending articles are
+ * never archived.
+ */
+
+const ARCHIVED_STATUS = 'archived';
+const DEFAULT_RETENTION_DAYS = 14;
+const ARCHIVE_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention window for categories without their own
+ * Configured via ARTICLE_RETENTION_DAYS (0 keeps them forever)
+ * @returns {number}
+ */
+function getDefaultRetentionDays() {
+  const days = parseInt(process.env.ARTICLE_RETENTION_DAYS);
+  if (isNaN(days) || days < 0) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+  return days;
+}
+
+/**
+ * Statuses a reader can open an article in by id (or find with includeArchived)
+ * @param {boolean} includeArchived - Whether archived articles count
+ * @returns {string[]}
+ */
+function getReadableStatuses(includeArchived = true) {
+  return includeArchived ? ['published', ARCHIVED_STATUS] : ['published'];
+}
+
+/**
+ * Archive one category's stale articles
+ * @param {Object} categoryFilter - Prisma filter on articles.category
+ * @param {Date} cutoff - Articles published before this are stale
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { archived, authorIds }
+ */
+async function archiveBefore(categoryFilter, cutoff, now) {
+  const where = {
+    status: 'published',
+    category: categoryFilter,
+    isFeatured: false,
+    isFeaturedArticle: false,
+    AND: [
+      {
+        OR: [
+          { publishedAt: { lt: cutoff } },
+          { publishedAt: null, createdAt: { lt: cutoff } }
+        ]
+      },
+      {
+        // NOT { trendingOverride: 'pinned' } would also skip rows where it's null
+        OR: [
+          { trendingOverride: null },
+          { trendingOverride: { not: 'pinned' } }
+        ]
+      }
+    ]
+  };
+
+  let archived = 0;
+  const authorIds = new Set();
+
+  while (true) {
+    const batch = await prisma.article.findMany({
+      where,
+      select: { id: true, authorId: true },
+      orderBy: { id: 'asc' },
+      take: ARCHIVE_BATCH_SIZE
+    });
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    const result = await prisma.article.updateMany({
+      where: { id: { in: batch.map(article => article.id) }, status: 'published' },
+      data: { status: ARCHIVED_STATUS, archivedAt: now }
+    });
+
+    archived += result.count;
+    batch.forEach(article => authorIds.add(article.authorId));
+
+    if (batch.length < ARCHIVE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return { archived, authorIds };
+}
+
+/**
+ * Archive every published article past its category's retention window (used by the cron)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { archived, byCategory }
+ */
+async function archiveStaleArticles(now = new Date()) {
+  const defaultDays = getDefaultRetentionDays();
+  const categories = await prisma.category.findMany({
+    select: { slug: true, retentionDays: true }
+  });
+
+  // Categories with a window, plus articles whose category has no row at all
+  const windows = categories.map(category => ({
+    label: category.slug,
+    filter: category.slug,
+    days: category.retentionDays ?? defaultDays
+  }));
+  windows.push({
+    label: 'uncategorized',
+    filter: { notIn: categories.map(category => category.slug) },
+    days: defaultDays
+  });
+
+  const byCategory = {};
+  const authorIds = new Set();
+  let archived = 0;
+
+  for (const window of windows) {
+    if (window.days === 0) {
+      continue;
+    }
+
+    const cutoff = new Date(now.getTime() - window.days * DAY_MS);
+    const result = await archiveBefore(window.filter, cutoff, now);
+
+    if (result.archived > 0) {
+      byCategory[window.label] = result.archived;
+      archived += result.archived;
+      result.authorIds.forEach(authorId => authorIds.add(authorId));
+    }
+  }
+
+  if (archived > 0) {
+    await refreshCachesAfterPublish([...authorIds]);
+  }
+
+  return { archived, byCategory };
+}
+
+module.exports = {
+  ARCHIVED_STATUS,
+  getDefaultRetentionDays,
+  getReadableStatuses,
+  archiveStaleArticles
+};
@@ -1,4 +1,5 @@
 const { prisma } = require('../config/database');
+const { getTrendingRanking } = require('./trendingScores');
 
 /**
  * Helper functions to fetch article data for cache refresh
@@ -6,18 +7,19 @@ const { prisma } = require('../config/database');
  */
 
 /**
- * Fetch trending articles from database
+ * Fetch trending articles from database, in trending rank order
+ * (pinned/manually flagged first, then by computed trending score)
  * @param {number} limit - Number of articles to fetch
  * @returns {Promise<Array>} - Array of articles with read counts
  */
 async function fetchTrendingArticles(limit) {
-  const articles = await prisma.article.findMany({
+  const rankedIds = await getTrendingRanking(limit);
+  const rank = new Map(rankedIds.map((id, index) => [id, index]));
+
+  const unorderedArticles = await prisma.article.findMany({
     where: {
-      isFeatured: true,
-      status: 'published'
+      id: { in: rankedIds }
     },
-    orderBy: { createdAt: 'desc' },
-    take: limit,
     select: {
       id: true,
       title: true,
@@ -32,6 +34,8 @@ async function fetchTrendingArticles(limit) {
       imageData: true,
       imageType: true,
       createdAt: true,
+      originalPublishedAt: true,
+      trendingScore: true,
       author: {
         select: {
           id: true,
@@ -42,6 +46,7 @@ async function fetchTrendingArticles(limit) {
       }
     }
   });
+  const articles = unorderedArticles.sort((a, b) => rank.get(a.id) - rank.get(b.id));
 
   // Get read counts (using ReadArticle for historical counts)
   const articleIds = articles.map(a => a.id);
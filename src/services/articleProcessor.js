@@ -6,6 +6,8 @@
 
 const { prisma } = require('../config/database');
 const axios = require('axios');
+const categoryTaxonomy = require('./categoryTaxonomy');
+const { DEFAULT_ARTICLE_LANGUAGE, normalizeLanguageCode } = require('../utils/languages');
 // articleScraper removed - no more web scraping
 
 class ArticleProcessor {
@@ -265,7 +267,7 @@ class ArticleProcessor {
 
       // Determine category
       // Auto-categorize based on source name if it's more specific than feed category
-      let category = newsArticle.category || 'GENERAL';
+      let category = newsArticle.category || 'OTHERS';
       
       // Override category based on source name for better accuracy
       if (sourceName.includes('BBC Business')) {
@@ -279,7 +281,25 @@ class ArticleProcessor {
       } else if (sourceName.includes('BBC Entertainment')) {
         category = 'ENTERTAINMENT';
       }
+
+      // Category must be one of the managed categories (legacy spellings are normalized)
+      try {
+        category = await categoryTaxonomy.resolveCategory(category);
+      } catch (error) {
+        if (error.message !== 'INVALID_CATEGORY') {
+          throw error;
+        }
+        console.log(`⏭️  Skipping article with unknown category ${category}: ${newsArticle.title.substring(0, 50)}...`);
+        return {
+          success: false,
+          reason: 'invalid_category',
+          article: null
+        };
+      }
       
+      // Language from provider metadata (API field, requested language or feed config)
+      const language = normalizeLanguageCode(newsArticle.language) || DEFAULT_ARTICLE_LANGUAGE;
+
       // Use extracted author or fallback to original author from RSS
       const finalAuthor = author || newsArticle.author || null;
 
@@ -314,6 +334,7 @@ class ArticleProcessor {
               title: newsArticle.title.trim(),
               content: cleanedContent,
               category: category.toUpperCase(),
+              language,
               sourceUrl: urlToStore, // Use normalized URL
               sourceName: newsArticle.sourceName || 'Automated News',
               pointsValue: 10, // Default points value
@@ -566,7 +587,7 @@ class ArticleProcessor {
         }
       } else if (result.reason === 'duplicate') {
         results.duplicates++;
-      } else if (result.reason === 'insufficient_content') {
+      } else if (result.reason === 'insufficient_content' || result.reason === 'invalid_category') {
         results.skipped++;
       } else if (result.reason === 'no_image') {
         results.skipped++;
@@ -0,0 +1,224 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Article Reactions Service
+ * One reaction per user per published article, from a fixed set. Totals per
+ * reaction type are denormalized into articles.reaction_counts (updated in the
+ * same transaction as the reaction row) so feeds never COUNT reactions, and are
+ * cached per article next to the read count cache (reactioncounts:<articleId>).
+ */
+
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'fire'];
+const REACTION_COUNTS_CACHE_TTL = 600; // 10 minutes, same as read counts
+
+const reactionCountsKey = (articleId) => `reactioncounts:${articleId}`;
+
+/**
+ * Counts for every reaction type (types nobody used are 0)
+ * @param {Object|null} stored - articles.reaction_counts
+ * @returns {Object} - { like, love, ... }
+ */
+function normalizeCounts(stored) {
+  const counts = {};
+  for (const type of REACTION_TYPES) {
+    counts[type] = Math.max(0, parseInt(stored && stored[type], 10) || 0);
+  }
+  return counts;
+}
+
+/**
+ * Apply a +1/-1 to one reaction type's counter
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} articleId - Article ID
+ * @param {string} type - Reaction type
+ * @param {number} delta - Change to apply
+ * @returns {Promise<Object>} - Updated counts
+ */
+async function adjustCount(tx, articleId, type, delta) {
+  const [row] = await tx.$queryRaw`
+    UPDATE articles
+    SET reaction_counts = jsonb_set(
+      COALESCE(reaction_counts, '{}'::jsonb),
+      ARRAY[${type}::text],
+      to_jsonb(GREATEST(COALESCE((reaction_counts ->> ${type}::text)::int, 0) + ${delta}::int, 0))
+    )
+    WHERE id = ${articleId}
+    RETURNING reaction_counts AS "reactionCounts"
+  `;
+
+  return normalizeCounts(row && row.reactionCounts);
+}
+
+/**
+ * Push fresh counts to the cache after a change
+ * @param {string} articleId - Article ID
+ * @param {Object} counts - Counts committed to the database
+ * @returns {Promise<void>}
+ */
+async function refreshCountsCache(articleId, counts) {
+  try {
+    await cacheService.writeThroughReactionCounts(articleId, async () => counts, REACTION_COUNTS_CACHE_TTL);
+  } catch (error) {
+    // Non-blocking: the next read falls back to the database
+    console.error(`Error refreshing reaction counts cache for article ${articleId}:`, error);
+    await cacheService.delete(reactionCountsKey(articleId));
+  }
+}
+
+/**
+ * React to a published article, replacing the user's previous reaction
+ * @param {string} userId - User ID
+ * @param {string} articleId - Article ID
+ * @param {string} type - One of REACTION_TYPES
+ * @returns {Promise<Object>} - { reaction, reactionCounts }
+ */
+async function setReaction(userId, articleId, type) {
+  if (!REACTION_TYPES.includes(type)) {
+    throw new Error('INVALID_REACTION_TYPE');
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Lock the article row up front (the counter update needs it anyway) so changes serialize
+    const [article] = await tx.$queryRaw`
+      SELECT id FROM articles WHERE id = ${articleId} AND status = 'published' FOR UPDATE
+    `;
+
+    if (!article) {
+      throw new Error('ARTICLE_NOT_FOUND');
+    }
+
+    const existing = await tx.articleReaction.findUnique({
+      where: { userId_articleId: { userId, articleId } }
+    });
+
+    if (existing && existing.type === type) {
+      const [row] = await tx.$queryRaw`SELECT reaction_counts AS "reactionCounts" FROM articles WHERE id = ${articleId}`;
+      return { reaction: type, reactionCounts: normalizeCounts(row.reactionCounts) };
+    }
+
+    if (existing) {
+      await tx.articleReaction.update({
+        where: { id: existing.id },
+        data: { type }
+      });
+      await adjustCount(tx, articleId, existing.type, -1);
+    } else {
+      await tx.articleReaction.create({
+        data: { userId, articleId, type }
+      });
+    }
+
+    const reactionCounts = await adjustCount(tx, articleId, type, 1);
+    return { reaction: type, reactionCounts };
+  });
+
+  await refreshCountsCache(articleId, result.reactionCounts);
+  return result;
+}
+
+/**
+ * Remove the user's reaction from an article
+ * @param {string} userId - User ID
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object>} - { reaction: null, reactionCounts }
+ */
+async function removeReaction(userId, articleId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const [article] = await tx.$queryRaw`
+      SELECT id FROM articles WHERE id = ${articleId} FOR UPDATE
+    `;
+
+    if (!article) {
+      throw new Error('ARTICLE_NOT_FOUND');
+    }
+
+    const existing = await tx.articleReaction.findUnique({
+      where: { userId_articleId: { userId, articleId } }
+    });
+
+    if (!existing) {
+      throw new Error('REACTION_NOT_FOUND');
+    }
+
+    await tx.articleReaction.delete({ where: { id: existing.id } });
+    const reactionCounts = await adjustCount(tx, articleId, existing.type, -1);
+    return { reaction: null, reactionCounts };
+  });
+
+  await refreshCountsCache(articleId, result.reactionCounts);
+  return result;
+}
+
+/**
+ * Get reaction counts for several articles (cache first, one query for misses)
+ * @param {string[]} articleIds - Article IDs
+ * @returns {Promise<Map<string, Object>>} - articleId -> counts
+ */
+async function getReactionCounts(articleIds) {
+  const countsMap = new Map();
+  if (articleIds.length === 0) {
+    return countsMap;
+  }
+
+  const cached = await Promise.all(articleIds.map((id) => cacheService.get(reactionCountsKey(id))));
+  const missing = [];
+  articleIds.forEach((id, index) => {
+    if (cached[index]) {
+      countsMap.set(id, normalizeCounts(cached[index]));
+    } else {
+      missing.push(id);
+    }
+  });
+
+  if (missing.length > 0) {
+    const rows = await prisma.article.findMany({
+      where: { id: { in: missing } },
+      select: { id: true, reactionCounts: true }
+    });
+
+    await Promise.all(rows.map((row) => {
+      const counts = normalizeCounts(row.reactionCounts);
+      countsMap.set(row.id, counts);
+      return cacheService.set(reactionCountsKey(row.id), counts, REACTION_COUNTS_CACHE_TTL);
+    }));
+  }
+
+  return countsMap;
+}
+
+/**
+ * Add reactionCounts and the caller's own reaction to a list of article payloads
+ * @param {Object[]} articles - Articles with an id
+ * @param {string|null} userId - Caller, or null when unauthenticated (myReaction is null)
+ * @returns {Promise<Object[]>}
+ */
+async function attachReactionState(articles, userId) {
+  const articleIds = articles.map((article) => article.id);
+
+  const [countsMap, userReactions] = await Promise.all([
+    getReactionCounts(articleIds),
+    userId && articleIds.length > 0
+      ? prisma.articleReaction.findMany({
+        where: { userId, articleId: { in: articleIds } },
+        select: { articleId: true, type: true }
+      })
+      : []
+  ]);
+
+  const userReactionMap = new Map(userReactions.map((reaction) => [reaction.articleId, reaction.type]));
+
+  return articles.map((article) => ({
+    ...article,
+    reactionCounts: countsMap.get(article.id) || normalizeCounts(null),
+    myReaction: userReactionMap.get(article.id) || null
+  }));
+}
+
+module.exports = {
+  REACTION_TYPES,
+  setReaction,
+  removeReaction,
+  getReactionCounts,
+  attachReactionState
+};
@@ -0,0 +1,295 @@
+const { prisma } = require('../config/database');
+const { refreshCachesAfterPublish } = require('./articleScheduling');
+const { invalidateRelatedArticles } = require('./relatedArticles');
+const articleReview = require('./articleReview');
+
+/**
+ * Article Reports Service
+ * Readers can report a published article once, with a reason and an optional note.
+ * Articles with open reports show up in the admin report queue, most reported
+ * first. Once reports from ARTICLE_REPORT_HIDE_THRESHOLD distinct users pile up
+ * the article is auto-hidden (status 'hidden', which keeps it out of every feed)
+ * until an admin dismisses the reports (back to published), unpublishes it or
+ * rejects it with a rejection reason. Any of those resolves the open reports.
+ */
+
+const REPORT_REASONS = ['misleading', 'spam', 'offensive', 'copyright', 'broken_link', 'other'];
+const HIDDEN_STATUS = 'hidden';
+const UNPUBLISHED_STATUS = 'unpublished';
+const MAX_REPORT_NOTE_LENGTH = 500;
+const DEFAULT_HIDE_THRESHOLD = 5;
+
+// Admin actions on a reported article and the resolution recorded on its reports
+const REPORT_ACTIONS = {
+  dismiss: 'dismissed',
+  unpublish: 'unpublished',
+  reject: 'rejected'
+};
+
+const REPORTER_SELECT = {
+  id: true,
+  username: true,
+  displayName: true
+};
+
+/**
+ * Distinct reporters that auto-hide an article
+ * Configured via ARTICLE_REPORT_HIDE_THRESHOLD (0 disables auto-hiding)
+ * @returns {number}
+ */
+function getHideThreshold() {
+  const threshold = parseInt(process.env.ARTICLE_REPORT_HIDE_THRESHOLD);
+  if (isNaN(threshold) || threshold < 0) {
+    return DEFAULT_HIDE_THRESHOLD;
+  }
+  return threshold;
+}
+
+/**
+ * Refresh feeds after a reported article left them or came back
+ * @param {Object} article - { id, authorId }
+ * @returns {Promise<void>}
+ */
+async function refreshCachesAfterStatusChange(article) {
+  try {
+    await refreshCachesAfterPublish([article.authorId]);
+    await invalidateRelatedArticles(article.id);
+  } catch (err) {
+    // Non-blocking: Log error but don't fail the request
+    console.error('Error refreshing caches after article report status change:', err);
+  }
+}
+
+/**
+ * Report a published article
+ * @param {Object} params - { articleId, reporterId, reason, note }
+ * @returns {Promise<Object>} - { hidden } (true when this report auto-hid the article)
+ */
+async function reportArticle({ articleId, reporterId, reason, note }) {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new Error('INVALID_REPORT_REASON');
+  }
+
+  const article = await prisma.article.findFirst({
+    where: { id: articleId, status: 'published' },
+    select: { id: true, authorId: true }
+  });
+
+  if (!article) {
+    throw new Error('ARTICLE_NOT_FOUND');
+  }
+
+  if (article.authorId === reporterId) {
+    throw new Error('CANNOT_REPORT_OWN_ARTICLE');
+  }
+
+  const trimmedNote = typeof note === 'string' ? note.trim().slice(0, MAX_REPORT_NOTE_LENGTH) : null;
+  const threshold = getHideThreshold();
+
+  let hidden = false;
+  try {
+    hidden = await prisma.$transaction(async (tx) => {
+      await tx.articleReport.create({
+        data: {
+          articleId,
+          reporterId,
+          reason,
+          note: trimmedNote || null
+        }
+      });
+
+      const { reportCount } = await tx.article.update({
+        where: { id: articleId },
+        data: { reportCount: { increment: 1 } },
+        select: { reportCount: true }
+      });
+
+      if (threshold === 0 || reportCount < threshold) {
+        return false;
+      }
+
+      // Only the report that crosses the threshold hides it
+      const result = await tx.article.updateMany({
+        where: { id: articleId, status: 'published' },
+        data: { status: HIDDEN_STATUS, hiddenAt: new Date() }
+      });
+      return result.count > 0;
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('ALREADY_REPORTED');
+    }
+    throw error;
+  }
+
+  if (hidden) {
+    console.log(`Article ${articleId} auto-hidden after ${threshold} reports`);
+    await refreshCachesAfterStatusChange(article);
+  }
+
+  return { hidden };
+}
+
+/**
+ * Get the admin report queue, one entry per article
+ * @param {Object} params
+ * @param {string} params.status - 'open' (articles with open reports, most reported first) or 'hidden' (auto-hidden, awaiting a decision)
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} - { articles, total }
+ */
+async function getReportQueue({ status = 'open', page = 1, limit = 20 }) {
+  const where = status === 'hidden'
+    ? { status: HIDDEN_STATUS }
+    : { reportCount: { gt: 0 } };
+  const orderBy = status === 'hidden'
+    ? [{ hiddenAt: 'desc' }]
+    : [{ reportCount: 'desc' }, { id: 'asc' }];
+
+  const [articles, total] = await Promise.all([
+    prisma.article.findMany({
+      where,
+      orderBy,
+      skip: (page - 1) * limit,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        category: true,
+        status: true,
+        reportCount: true,
+        hiddenAt: true,
+        publishedAt: true,
+        author: {
+          select: REPORTER_SELECT
+        },
+        reports: {
+          where: { resolvedAt: null },
+          orderBy: { createdAt: 'desc' },
+          take: 10,
+          select: {
+            id: true,
+            reason: true,
+            note: true,
+            createdAt: true,
+            reporter: {
+              select: REPORTER_SELECT
+            }
+          }
+        }
+      }
+    }),
+    prisma.article.count({ where })
+  ]);
+
+  // Open reports per reason for the articles on this page
+  const reasonCounts = articles.length > 0
+    ? await prisma.articleReport.groupBy({
+      by: ['articleId', 'reason'],
+      where: { articleId: { in: articles.map(article => article.id) }, resolvedAt: null },
+      _count: { _all: true }
+    })
+    : [];
+
+  const reasonsByArticle = new Map();
+  reasonCounts.forEach(row => {
+    const reasons = reasonsByArticle.get(row.articleId) || {};
+    reasons[row.reason] = row._count._all;
+    reasonsByArticle.set(row.articleId, reasons);
+  });
+
+  return {
+    articles: articles.map(({ reports, ...article }) => ({
+      ...article,
+      reasons: reasonsByArticle.get(article.id) || {},
+      latestReports: reports
+    })),
+    total
+  };
+}
+
+/**
+ * Resolve a reported article's open reports with an admin action
+ * dismiss puts an auto-hidden article back into the feeds; unpublish and reject take it out
+ * @param {string} articleId - Article ID
+ * @param {string} action - 'dismiss', 'unpublish' or 'reject'
+ * @param {Object} params - { adminId, rejectionReason (required for reject) }
+ * @returns {Promise<Object>} - { article, resolvedReports }
+ */
+async function resolveReports(articleId, action, { adminId, rejectionReason = null }) {
+  const resolution = REPORT_ACTIONS[action];
+  if (!resolution) {
+    throw new Error('INVALID_REPORT_ACTION');
+  }
+
+  const { article, previousStatus, resolvedReports } = await prisma.$transaction(async (tx) => {
+    // Lock the article so a report arriving mid-decision isn't lost or re-hides it
+    const locked = await tx.$queryRaw`
+      SELECT id, status, report_count AS "reportCount" FROM articles WHERE id = ${articleId} FOR UPDATE
+    `;
+
+    if (locked.length === 0) {
+      throw new Error('ARTICLE_NOT_FOUND');
+    }
+
+    const current = locked[0];
+    if (current.reportCount === 0 && current.status !== HIDDEN_STATUS) {
+      throw new Error('NO_OPEN_REPORTS');
+    }
+    if (action !== 'dismiss' && ![HIDDEN_STATUS, 'published'].includes(current.status)) {
+      throw new Error('INVALID_STATUS');
+    }
+
+    const now = new Date();
+    const resolved = await tx.articleReport.updateMany({
+      where: { articleId, resolvedAt: null },
+      data: { resolvedAt: now, resolution, resolvedBy: adminId }
+    });
+
+    if (action === 'reject') {
+      // Through the review reject flow, under the same lock
+      await articleReview.rejectArticle(articleId, { adminId, reason: rejectionReason }, tx);
+    }
+
+    const data = { reportCount: 0, hiddenAt: null };
+    if (action === 'dismiss' && current.status === HIDDEN_STATUS) {
+      data.status = 'published';
+    } else if (action === 'unpublish') {
+      data.status = UNPUBLISHED_STATUS;
+    }
+
+    const updated = await tx.article.update({
+      where: { id: articleId },
+      data,
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        authorId: true,
+        reportCount: true,
+        rejectionReason: true
+      }
+    });
+
+    return { article: updated, previousStatus: current.status, resolvedReports: resolved.count };
+  });
+
+  if (article.status !== previousStatus) {
+    await refreshCachesAfterStatusChange(article);
+  }
+  if (action === 'reject') {
+    await articleReview.invalidateCachesAfterReject(article.authorId);
+  }
+
+  return { article, resolvedReports };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  HIDDEN_STATUS,
+  UNPUBLISHED_STATUS,
+  getHideThreshold,
+  reportArticle,
+  getReportQueue,
+  resolveReports
+};
@@ -0,0 +1,76 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Article Review Service
+ * The reject step of the admin review flow. The review queue
+ * (PATCH /api/admin/articles/:id/reject) and the report queue
+ * (POST /api/admin/reports/:articleId/reject) both reject through here, so a
+ * rejected article looks the same to its creator whichever queue it came from.
+ */
+
+const REJECTED_STATUS = 'rejected';
+
+/**
+ * Parse a rejection reason from an admin request
+ * @param {any} reason - Reason from the request body
+ * @returns {string|null} - Trimmed reason, or null if missing, blank or not a string
+ */
+function parseRejectionReason(reason) {
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    return null;
+  }
+  return reason.trim();
+}
+
+/**
+ * Mark an article rejected with a reason
+ * Callers check the article's current status first
+ * @param {string} articleId - Article ID
+ * @param {Object} params - { adminId, reason (already parsed) }
+ * @param {Object} client - Prisma client, or a transaction client
+ * @returns {Promise<Object>} - Updated article
+ */
+async function rejectArticle(articleId, { adminId, reason }, client = prisma) {
+  return await client.article.update({
+    where: { id: articleId },
+    data: {
+      status: REJECTED_STATUS,
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      rejectionReason: reason
+    }
+  });
+}
+
+/**
+ * Invalidate the review, admin and creator caches after a rejection
+ * @param {string} authorId - Author of the rejected article
+ * @returns {Promise<void>}
+ */
+async function invalidateCachesAfterReject(authorId) {
+  try {
+    // Invalidate pending articles cache (article no longer pending)
+    await cacheService.deletePattern('admin:articles:pending:*');
+    // Invalidate review history cache (new review entry)
+    await cacheService.deletePattern('admin:articles:review-history:*');
+    // Invalidate admin articles cache (if article was published before)
+    await cacheService.deletePattern('admin:articles:*');
+    // Invalidate creator articles cache
+    await cacheService.deletePattern(`creator:articles:${authorId}:*`);
+    // Invalidate public articles cache
+    await cacheService.deletePattern(`public:articles:${authorId}:*`);
+    // Invalidate admin stats cache (article count changed)
+    await cacheService.delete('admin:stats');
+  } catch (err) {
+    // Non-blocking: Log error but don't fail the request
+    console.error('Error invalidating caches after reject:', err);
+  }
+}
+
+module.exports = {
+  REJECTED_STATUS,
+  parseRejectionReason,
+  rejectArticle,
+  invalidateCachesAfterReject
+};
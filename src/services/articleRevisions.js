@@ -0,0 +1,259 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Article Revisions Service
+ * Every edit to an article's content snapshots the version it replaces into
+ * article_revisions (with the editor and time), so reviewers can see what changed
+ * after approval and roll an edit back. Restoring is itself an edit, so it can be
+ * undone the same way.
+ */
+
+// Fields snapshotted in each revision (and compared for the diff)
+const REVISION_FIELDS = ['title', 'content', 'category', 'sourceName', 'sourceUrl', 'imageUrl', 'originalAuthor', 'pointsValue'];
+
+// Fields where any change to a published article needs review (content is judged by how much changed)
+const REVIEWED_FIELDS = ['title', 'imageUrl', 'category', 'sourceName', 'sourceUrl', 'pointsValue'];
+
+// Share of words added or removed above which a content edit counts as substantive
+const SUBSTANTIVE_CONTENT_CHANGE_RATIO = 0.2;
+
+const editorSelect = {
+  id: true,
+  username: true,
+  displayName: true,
+  role: true
+};
+
+/**
+ * Fields whose value an edit actually changes
+ * @param {Object} current - Article as stored
+ * @param {Object} changes - Incoming field values
+ * @returns {string[]}
+ */
+function getChangedFields(current, changes) {
+  return REVISION_FIELDS.filter(field =>
+    changes[field] !== undefined && (changes[field] ?? null) !== (current[field] ?? null)
+  );
+}
+
+/**
+ * Share of words added or removed between two versions of a text (0-1)
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {number}
+ */
+function getContentChangeRatio(before, after) {
+  const toWords = text => (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const beforeWords = toWords(before);
+  const afterWords = toWords(after);
+  const totalWords = beforeWords.length + afterWords.length;
+
+  if (totalWords === 0) {
+    return 0;
+  }
+
+  const balance = new Map();
+  beforeWords.forEach(word => balance.set(word, (balance.get(word) || 0) + 1));
+  afterWords.forEach(word => balance.set(word, (balance.get(word) || 0) - 1));
+
+  let changedWords = 0;
+  balance.forEach(count => { changedWords += Math.abs(count); });
+
+  return changedWords / totalWords;
+}
+
+/**
+ * Whether an edit changes what readers were approved to see or what reading pays
+ * (new title, image, category, source or points value, or a significant share of the content rewritten)
+ * @param {Object} current - Article as stored
+ * @param {Object} changes - Incoming field values
+ * @returns {boolean}
+ */
+function isSubstantiveEdit(current, changes) {
+  const changedFields = getChangedFields(current, changes);
+
+  if (changedFields.some(field => REVIEWED_FIELDS.includes(field))) {
+    return true;
+  }
+
+  return changedFields.includes('content') &&
+    getContentChangeRatio(current.content, changes.content) >= SUBSTANTIVE_CONTENT_CHANGE_RATIO;
+}
+
+/**
+ * Apply an edit, snapshotting the replaced version first
+ * @param {string} articleId - Article ID
+ * @param {Object} updateData - Fields to write (revision fields and any others, e.g. status)
+ * @param {string} editorId - User making the edit
+ * @returns {Promise<Object>} - { article, revision, changedFields } (revision is null when no content field changed)
+ */
+async function updateArticleWithRevision(articleId, updateData, editorId) {
+  return await prisma.$transaction(async (tx) => {
+    // Lock the article so concurrent edits get consecutive revision numbers
+    const locked = await tx.$queryRaw`
+      SELECT id FROM articles WHERE id = ${articleId} FOR UPDATE
+    `;
+
+    if (locked.length === 0) {
+      throw new Error('ARTICLE_NOT_FOUND');
+    }
+
+    const current = await tx.article.findUnique({ where: { id: articleId } });
+    const changedFields = getChangedFields(current, updateData);
+
+    // Nothing would change - skip the write
+    const hasOtherFields = Object.keys(updateData).some(field => !REVISION_FIELDS.includes(field));
+    if (changedFields.length === 0 && !hasOtherFields) {
+      return { article: current, revision: null, changedFields };
+    }
+
+    let revision = null;
+    if (changedFields.length > 0) {
+      const latest = await tx.articleRevision.aggregate({
+        where: { articleId },
+        _max: { revisionNumber: true }
+      });
+
+      const snapshot = {};
+      REVISION_FIELDS.forEach(field => { snapshot[field] = current[field]; });
+
+      revision = await tx.articleRevision.create({
+        data: {
+          ...snapshot,
+          articleId,
+          revisionNumber: (latest._max.revisionNumber || 0) + 1,
+          status: current.status,
+          changedFields,
+          editedBy: editorId
+        }
+      });
+    }
+
+    const article = await tx.article.update({
+      where: { id: articleId },
+      data: updateData
+    });
+
+    return { article, revision, changedFields };
+  });
+}
+
+/**
+ * Field-level differences between two versions
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+function diffVersions(from, to) {
+  return REVISION_FIELDS
+    // Revisions saved before points values were tracked have none
+    .filter(field => !(field === 'pointsValue' && from[field] === null))
+    .filter(field => (from[field] ?? null) !== (to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+/**
+ * Revision history of an article, newest first, each with the diff to the version that replaced it
+ * @param {string} articleId - Article ID
+ * @param {Object} params
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} - { article, revisions, total }
+ */
+async function getRevisions(articleId, { page = 1, limit = 20 } = {}) {
+  const article = await prisma.article.findUnique({
+    where: { id: articleId },
+    select: {
+      id: true,
+      status: true,
+      updatedAt: true,
+      ...Object.fromEntries(REVISION_FIELDS.map(field => [field, true]))
+    }
+  });
+
+  if (!article) {
+    throw new Error('ARTICLE_NOT_FOUND');
+  }
+
+  const [revisions, total] = await Promise.all([
+    prisma.articleRevision.findMany({
+      where: { articleId },
+      orderBy: { revisionNumber: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+      include: { editor: { select: editorSelect } }
+    }),
+    prisma.articleRevision.count({ where: { articleId } })
+  ]);
+
+  // The newest revision on the page was replaced by the one above it (or by the live article)
+  let newerVersion = article;
+  if (revisions.length > 0 && revisions[0].revisionNumber < total) {
+    newerVersion = await prisma.articleRevision.findUnique({
+      where: {
+        articleId_revisionNumber: {
+          articleId,
+          revisionNumber: revisions[0].revisionNumber + 1
+        }
+      }
+    }) || article;
+  }
+
+  const withDiffs = revisions.map(revision => {
+    const changes = diffVersions(revision, newerVersion);
+    newerVersion = revision;
+
+    return {
+      id: revision.id,
+      revisionNumber: revision.revisionNumber,
+      title: revision.title,
+      status: revision.status,
+      editedBy: revision.editor,
+      editedAt: revision.createdAt,
+      changes
+    };
+  });
+
+  return { article, revisions: withDiffs, total };
+}
+
+/**
+ * Put an article's content back to a past revision
+ * @param {string} articleId - Article ID
+ * @param {string} revisionId - Revision to restore
+ * @param {string} editorId - User restoring it
+ * @returns {Promise<Object>} - { article, revision, changedFields }
+ */
+async function restoreRevision(articleId, revisionId, editorId) {
+  const revision = await prisma.articleRevision.findFirst({
+    where: { id: revisionId, articleId }
+  });
+
+  if (!revision) {
+    throw new Error('REVISION_NOT_FOUND');
+  }
+
+  const restoredFields = {};
+  REVISION_FIELDS.forEach(field => { restoredFields[field] = revision[field]; });
+  if (restoredFields.pointsValue === null) {
+    // Not tracked when this revision was saved - keep the current value
+    delete restoredFields.pointsValue;
+  }
+
+  const result = await updateArticleWithRevision(articleId, restoredFields, editorId);
+
+  if (result.changedFields.length === 0) {
+    throw new Error('REVISION_ALREADY_CURRENT');
+  }
+
+  return result;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  getChangedFields,
+  isSubstantiveEdit,
+  updateArticleWithRevision,
+  getRevisions,
+  restoreRevision
+};
@@ -0,0 +1,214 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+const { fetchTrendingArticles, fetchFeaturedArticles } = require('./articleCacheHelpers');
+
+/**
+ * Article Scheduling Service
+ * Articles can carry a scheduledPublishAt. An approved article (or an admin's own
+ * article) whose time hasn't come yet gets status 'scheduled', which keeps it out
+ * of every feed (they all filter on status 'published'). The scheduled publish
+ * cron flips due articles to 'published'. Cancelling a schedule clears the time;
+ * an already-approved article goes back to 'pending' so it needs approving again.
+ */
+
+const SCHEDULED_STATUS = 'scheduled';
+const MAX_SCHEDULE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse scheduledPublishAt from a request body
+ * @param {string|null|undefined} value - ISO date string; empty/null means "publish on approval"
+ * @param {Date} now - Current time
+ * @returns {Date|null|undefined} - undefined when the field wasn't sent
+ */
+function parseScheduledPublishAt(value, now = new Date()) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const scheduledAt = new Date(value);
+  if (isNaN(scheduledAt) || scheduledAt <= now || scheduledAt - now > MAX_SCHEDULE_DAYS * DAY_MS) {
+    throw new Error('INVALID_SCHEDULED_PUBLISH_AT');
+  }
+
+  return scheduledAt;
+}
+
+/**
+ * Status an approved article should get
+ * @param {Date|null} scheduledPublishAt - Article's publish time
+ * @param {Date} now - Current time
+ * @returns {Object} - { status, publishedAt }
+ */
+function getApprovedState(scheduledPublishAt, now = new Date()) {
+  if (scheduledPublishAt && new Date(scheduledPublishAt) > now) {
+    return { status: SCHEDULED_STATUS, publishedAt: null };
+  }
+  return { status: 'published', publishedAt: now };
+}
+
+/**
+ * Refresh feeds and portal caches after articles went live
+ * @param {string[]} authorIds - Authors of the published articles
+ * @returns {Promise<void>}
+ */
+async function refreshCachesAfterPublish(authorIds) {
+  await cacheService.refreshArticleCaches(fetchTrendingArticles, fetchFeaturedArticles);
+
+  for (const authorId of new Set(authorIds.filter(Boolean))) {
+    await cacheService.deletePattern(`creator:articles:${authorId}:*`);
+    await cacheService.deletePattern(`public:articles:${authorId}:*`);
+    await cacheService.delete(`public:profile:${authorId}`);
+  }
+
+  await cacheService.deletePattern('admin:articles:*');
+  await cacheService.delete('admin:stats');
+}
+
+/**
+ * Publish every scheduled article whose time has come (used by the cron)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { published, errors }
+ */
+async function publishDueArticles(now = new Date()) {
+  const due = await prisma.article.findMany({
+    where: {
+      status: SCHEDULED_STATUS,
+      scheduledPublishAt: { lte: now }
+    },
+    select: { id: true, authorId: true },
+    orderBy: { scheduledPublishAt: 'asc' }
+  });
+
+  const publishedAuthors = [];
+  let errors = 0;
+
+  for (const article of due) {
+    try {
+      // Guarded on status so a schedule cancelled meanwhile isn't published
+      const result = await prisma.article.updateMany({
+        where: { id: article.id, status: SCHEDULED_STATUS },
+        data: {
+          status: 'published',
+          publishedAt: now
+        }
+      });
+
+      if (result.count > 0) {
+        publishedAuthors.push(article.authorId);
+      }
+    } catch (error) {
+      errors++;
+      console.error(`Error publishing scheduled article ${article.id}:`, error);
+    }
+  }
+
+  if (publishedAuthors.length > 0) {
+    try {
+      await refreshCachesAfterPublish(publishedAuthors);
+    } catch (error) {
+      console.error('Error refreshing caches after scheduled publish:', error);
+    }
+  }
+
+  return { published: publishedAuthors.length, errors };
+}
+
+/**
+ * List upcoming scheduled posts (approved and awaiting review), soonest first
+ * @param {Object} params
+ * @param {string} params.authorId - Only this author's articles (creators)
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} - { articles, total }
+ */
+async function getScheduledArticles({ authorId = null, page = 1, limit = 20 }) {
+  const where = {
+    status: { in: [SCHEDULED_STATUS, 'pending'] },
+    scheduledPublishAt: { not: null },
+    ...(authorId && { authorId })
+  };
+
+  const [articles, total] = await Promise.all([
+    prisma.article.findMany({
+      where,
+      orderBy: { scheduledPublishAt: 'asc' },
+      skip: (page - 1) * limit,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        category: true,
+        status: true,
+        scheduledPublishAt: true,
+        reviewedAt: true,
+        createdAt: true,
+        author: {
+          select: {
+            id: true,
+            username: true,
+            displayName: true
+          }
+        }
+      }
+    }),
+    prisma.article.count({ where })
+  ]);
+
+  return { articles, total };
+}
+
+/**
+ * Cancel an article's scheduled publish time
+ * @param {string} articleId - Article ID
+ * @param {Object} params
+ * @param {string} params.authorId - Require this author (creators); omit for admins
+ * @returns {Promise<Object>} - Updated article
+ */
+async function cancelSchedule(articleId, { authorId = null } = {}) {
+  const article = await prisma.article.findFirst({
+    where: { id: articleId, ...(authorId && { authorId }) },
+    select: { id: true, status: true, scheduledPublishAt: true }
+  });
+
+  if (!article) {
+    throw new Error('ARTICLE_NOT_FOUND');
+  }
+
+  if (!article.scheduledPublishAt || ![SCHEDULED_STATUS, 'pending'].includes(article.status)) {
+    throw new Error('ARTICLE_NOT_SCHEDULED');
+  }
+
+  const result = await prisma.article.updateMany({
+    where: { id: articleId, status: article.status },
+    data: {
+      scheduledPublishAt: null,
+      // Approval was for the scheduled slot - send it back for review
+      ...(article.status === SCHEDULED_STATUS && { status: 'pending', reviewedBy: null, reviewedAt: null })
+    }
+  });
+
+  // Published by the cron in the meantime
+  if (result.count === 0) {
+    throw new Error('ARTICLE_NOT_SCHEDULED');
+  }
+
+  return await prisma.article.findUnique({
+    where: { id: articleId },
+    select: { id: true, title: true, status: true, scheduledPublishAt: true, authorId: true }
+  });
+}
+
+module.exports = {
+  SCHEDULED_STATUS,
+  MAX_SCHEDULE_DAYS,
+  parseScheduledPublishAt,
+  getApprovedState,
+  publishDueArticles,
+  getScheduledArticles,
+  cancelSchedule,
+  refreshCachesAfterPublish
+};
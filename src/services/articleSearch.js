@@ -0,0 +1,231 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+/**
+ * Article Search Service
+ * Postgres full-text search over published articles.
+ * articles.search_vector holds a weighted tsvector (title A > sourceName B > content C)
+ * kept up to date by a trigger that ensureSearchSetup() installs at startup, and is
+ * GIN-indexed through the Prisma schema.
+ *
+ * Results are ordered by ts_rank decayed by article age (halving every
+ * RECENCY_HALF_LIFE_DAYS), then by id. Cursors are opaque and carry the last score,
+ * id and the reference time the scores were computed at, so later pages rank
+ * exactly like the first one.
+ */
+
+const SEARCH_CONFIG = 'english';
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+// ts_headline wraps matches in private-use sentinels rather than <mark>, so the
+// (unescaped) article text can be HTML-escaped before the sentinels become <mark>
+const MARK_START = '\uE000';
+const MARK_STOP = '\uE001';
+const HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_STOP}", MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" ... "`;
+const TITLE_HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_STOP}", HighlightAll=true`;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Install the trigger that maintains articles.search_vector and backfill missing rows
+ * Safe to run on every startup (after the schema sync has created the column)
+ * @returns {Promise<void>}
+ */
+async function ensureSearchSetup() {
+  await prisma.$executeRawUnsafe(`
+    CREATE OR REPLACE FUNCTION articles_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector :=
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.source_name, '')), 'B') ||
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.content, '')), 'C');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql
+  `);
+
+  await prisma.$executeRawUnsafe('DROP TRIGGER IF EXISTS articles_search_vector_trigger ON articles');
+  await prisma.$executeRawUnsafe(`
+    CREATE TRIGGER articles_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, source_name, content ON articles
+    FOR EACH ROW EXECUTE FUNCTION articles_search_vector_update()
+  `);
+
+  // Rows written before the trigger existed - touching title fires it
+  const backfilled = await prisma.$executeRawUnsafe('UPDATE articles SET title = title WHERE search_vector IS NULL');
+  if (backfilled > 0) {
+    console.log(`🔎 Backfilled search vectors for ${backfilled} articles`);
+  }
+}
+
+/**
+ * Turn ts_headline output into safe HTML: escape the article text, then mark matches
+ * @param {string|null} headline - ts_headline output with sentinel markers
+ * @returns {string|null}
+ */
+function toHighlightHtml(headline) {
+  if (headline === null || headline === undefined) {
+    return headline;
+  }
+
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(MARK_START).join('<mark>')
+    .split(MARK_STOP).join('</mark>');
+}
+
+/**
+ * Encode a search cursor
+ * @param {Object} row - { id, score }
+ * @param {Date} referenceTime - Time the scores were computed at
+ * @returns {string}
+ */
+function encodeCursor(row, referenceTime) {
+  return Buffer.from(JSON.stringify({ s: row.score, id: row.id, t: referenceTime.toISOString() })).toString('base64url');
+}
+
+/**
+ * Decode a search cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} - { score, id, referenceTime }
+ */
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const referenceTime = new Date(parsed.t);
+
+    if (typeof parsed.s !== 'number' || typeof parsed.id !== 'string' || isNaN(referenceTime)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { score: parsed.s, id: parsed.id, referenceTime };
+  } catch (error) {
+    throw new Error('INVALID_CURSOR');
+  }
+}
+
+/**
+ * Build the WHERE filters shared by the result and count queries
+ */
+function buildFilters({ category, source, languages, includeArchived, from, to }) {
+  const filters = [
+    includeArchived ? Prisma.sql`a.status IN ('published', 'archived')` : Prisma.sql`a.status = 'published'`,
+    Prisma.sql`a.search_vector @@ q.query`
+  ];
+
+  if (category) {
+    filters.push(Prisma.sql`a.category = ${category}`);
+  }
+  if (languages && languages.length > 0) {
+    filters.push(Prisma.sql`a.language IN (${Prisma.join(languages)})`);
+  }
+  if (source) {
+    filters.push(Prisma.sql`LOWER(a.source_name) = LOWER(${source})`);
+  }
+  if (from) {
+    filters.push(Prisma.sql`COALESCE(a.published_at, a.created_at) >= ${from}`);
+  }
+  if (to) {
+    filters.push(Prisma.sql`COALESCE(a.published_at, a.created_at) <= ${to}`);
+  }
+
+  return Prisma.join(filters, ' AND ');
+}
+
+/**
+ * Search published (and optionally archived) articles
+ * @param {Object} params
+ * @param {string} params.query - User search text (websearch syntax: quotes, OR, -exclude)
+ * @param {string} params.category - Exact category
+ * @param {string} params.source - Source name (case-insensitive)
+ * @param {string[]|null} params.languages - Language codes to include (null for all)
+ * @param {boolean} params.includeArchived - Also match archived articles
+ * @param {Date} params.from - Earliest publish date
+ * @param {Date} params.to - Latest publish date
+ * @param {number} params.limit - Page size
+ * @param {string|null} params.cursor - Opaque cursor (cursor pagination)
+ * @param {number|null} params.offset - Offset (offset pagination, includes total)
+ * @returns {Promise<Object>} - { results: [{ id, score, titleHighlight, contentHighlight }], nextCursor, hasMore, total }
+ */
+async function searchArticles({ query, category, source, languages = null, includeArchived = false, from, to, limit, cursor = null, offset = null }) {
+  const position = cursor ? decodeCursor(cursor) : null;
+  const referenceTime = position ? position.referenceTime : new Date();
+  const useOffset = offset !== null;
+  const where = buildFilters({ category, source, languages, includeArchived, from, to });
+
+  const afterCursor = position
+    ? Prisma.sql`WHERE (score < ${position.score}::float8 OR (score = ${position.score}::float8 AND id < ${position.id}))`
+    : Prisma.empty;
+
+  const rows = await prisma.$queryRaw`
+    WITH q AS (
+      SELECT websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${query}) AS query
+    ),
+    ranked AS (
+      SELECT
+        a.id,
+        ts_rank(a.search_vector, q.query)::float8 * power(0.5::float8,
+          GREATEST(EXTRACT(EPOCH FROM (${referenceTime}::timestamp - COALESCE(a.published_at, a.created_at))), 0)::float8
+            / (86400.0 * ${RECENCY_HALF_LIFE_DAYS})::float8
+        ) AS score
+      FROM articles a
+      CROSS JOIN q
+      WHERE ${where}
+    ),
+    page AS (
+      SELECT id, score
+      FROM ranked
+      ${afterCursor}
+      ORDER BY score DESC, id DESC
+      LIMIT ${useOffset ? limit : limit + 1}
+      OFFSET ${useOffset ? offset : 0}
+    )
+    SELECT
+      page.id,
+      page.score,
+      ts_headline(${SEARCH_CONFIG}::regconfig, a.title, q.query, ${TITLE_HEADLINE_OPTIONS}) AS "titleHighlight",
+      ts_headline(${SEARCH_CONFIG}::regconfig, a.content, q.query, ${HEADLINE_OPTIONS}) AS "contentHighlight"
+    FROM page
+    JOIN articles a ON a.id = page.id
+    CROSS JOIN q
+    ORDER BY page.score DESC, page.id DESC
+  `;
+
+  rows.forEach(row => {
+    row.titleHighlight = toHighlightHtml(row.titleHighlight);
+    row.contentHighlight = toHighlightHtml(row.contentHighlight);
+  });
+
+  if (useOffset) {
+    const [{ total }] = await prisma.$queryRaw`
+      WITH q AS (
+        SELECT websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${query}) AS query
+      )
+      SELECT COUNT(*)::int AS total
+      FROM articles a
+      CROSS JOIN q
+      WHERE ${where}
+    `;
+
+    return { results: rows, nextCursor: null, hasMore: offset + rows.length < total, total };
+  }
+
+  const hasMore = rows.length > limit;
+  const results = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(results[results.length - 1], referenceTime) : null;
+
+  return { results, nextCursor, hasMore, total: null };
+}
+
+module.exports = {
+  SEARCH_CONFIG,
+  RECENCY_HALF_LIFE_DAYS,
+  ensureSearchSetup,
+  searchArticles
+};
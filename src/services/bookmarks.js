@@ -0,0 +1,110 @@
+const { prisma } = require('../config/database');
+const { getReadableStatuses } = require('./articleArchiving');
+
+/**
+ * Bookmarks Service
+ * Read-later list. A bookmark outlives its article: when the article is deleted
+ * the row keeps the title it was saved with (articleId becomes null), and when it
+ * is unpublished the row stays as is. Both show up as unavailable in the user's
+ * list instead of disappearing. Archived articles stay available.
+ */
+
+/**
+ * Bookmark a published or archived article (no-op if already bookmarked)
+ * @param {string} userId - User ID
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object>} - Bookmark row
+ */
+async function addBookmark(userId, articleId) {
+  const article = await prisma.article.findFirst({
+    where: { id: articleId, status: { in: getReadableStatuses() } },
+    select: { id: true, title: true }
+  });
+
+  if (!article) {
+    throw new Error('ARTICLE_NOT_FOUND');
+  }
+
+  const existing = await prisma.bookmark.findFirst({
+    where: { userId, articleId }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await prisma.bookmark.create({
+      data: {
+        userId,
+        articleId,
+        articleTitle: article.title
+      }
+    });
+  } catch (error) {
+    // Concurrent request bookmarked it first
+    if (error.code === 'P2002') {
+      return await prisma.bookmark.findFirst({ where: { userId, articleId } });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a bookmark
+ * @param {string} userId - User ID
+ * @param {string} articleId - Article ID
+ * @returns {Promise<boolean>} - False if the article wasn't bookmarked
+ */
+async function removeBookmark(userId, articleId) {
+  const result = await prisma.bookmark.deleteMany({
+    where: { userId, articleId }
+  });
+
+  return result.count > 0;
+}
+
+/**
+ * Add isBookmarked to a list of article payloads
+ * @param {Object[]} articles - Articles with an id
+ * @param {string|null} userId - Caller, or null when unauthenticated (nothing is bookmarked)
+ * @returns {Promise<Object[]>}
+ */
+async function attachBookmarkState(articles, userId) {
+  if (!userId || articles.length === 0) {
+    return articles.map((article) => ({ ...article, isBookmarked: false }));
+  }
+
+  const bookmarks = await prisma.bookmark.findMany({
+    where: {
+      userId,
+      articleId: { in: articles.map((article) => article.id) }
+    },
+    select: { articleId: true }
+  });
+
+  const bookmarkedIds = new Set(bookmarks.map((bookmark) => bookmark.articleId));
+  return articles.map((article) => ({ ...article, isBookmarked: bookmarkedIds.has(article.id) }));
+}
+
+/**
+ * Why a bookmarked article can't be opened
+ * @param {Object} bookmark - Bookmark row with its article ({ status } or null)
+ * @returns {string|null} - 'deleted', 'unpublished', or null if available
+ */
+function getUnavailableReason(bookmark) {
+  if (!bookmark.article) {
+    return 'deleted';
+  }
+  if (!getReadableStatuses().includes(bookmark.article.status)) {
+    return 'unpublished';
+  }
+  return null;
+}
+
+module.exports = {
+  addBookmark,
+  removeBookmark,
+  attachBookmarkState,
+  getUnavailableReason
+};
@@ -1,4 +1,5 @@
 const Redis = require('ioredis');
+const { TRENDING_RANKING_SIZE } = require('./trendingScores');
 
 /**
  * Redis Cache Service
@@ -118,9 +119,9 @@ class CacheService {
   async refreshArticleCaches(fetchTrendingFn, fetchFeaturedFn, articleId = null) {
     try {
       // Write-through: Update all article list caches with fresh data
-      const [trending10, trending20, featured10, featured20] = await Promise.all([
-        this.writeThroughArticleList('articles:trending:10', () => fetchTrendingFn(10), 600),
-        this.writeThroughArticleList('articles:trending:20', () => fetchTrendingFn(20), 600),
+      // Trending is one ranked list (TRENDING_RANKING_SIZE) that GET /articles/trending pages through
+      const [trending, featured10, featured20] = await Promise.all([
+        this.writeThroughArticleList('articles:trending:ranking', () => fetchTrendingFn(TRENDING_RANKING_SIZE), 600),
         this.writeThroughArticleList('articles:featured:10', () => fetchFeaturedFn(10), 600),
         this.writeThroughArticleList('articles:featured:20', () => fetchFeaturedFn(20), 600),
       ]);
@@ -397,6 +398,32 @@ class CacheService {
     }
   }
 
+  /**
+   * Write-through for reaction counts: Update cache when a reaction changes
+   * @param {string} articleId - Article ID
+   * @param {Function} fetchFn - Function to fetch fresh reaction counts from DB
+   * @param {number} ttlSeconds - Cache TTL in seconds
+   * @returns {Promise<any>} - Fresh reaction counts (also cached)
+   */
+  async writeThroughReactionCounts(articleId, fetchFn, ttlSeconds = 600) {
+    try {
+      const cacheKey = `reactioncounts:${articleId}`;
+      
+      // Fetch fresh data from database
+      const data = await fetchFn();
+      
+      // Write-through: Update cache with fresh data
+      if (data !== null && data !== undefined) {
+        await this.set(cacheKey, data, ttlSeconds);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error(`Cache writeThroughReactionCounts error for article ${articleId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Close Redis connection
    */
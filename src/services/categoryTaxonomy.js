@@ -0,0 +1,430 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Category Taxonomy Service
+ * Categories are managed rows (slug, display name, icon, sort order, active flag,
+ * retention window); articles.category holds the slug. Incoming category strings are normalized
+ * (case, separators and legacy spellings like SPORTS or GENERAL) and must match an
+ * active category. Tags are free-form labels attached many-to-many.
+ */
+
+const CATEGORIES_CACHE_KEY = 'categories:active';
+const CATEGORY_COUNTS_CACHE_KEY = 'categories:counts';
+const CATEGORIES_CACHE_TTL = 300; // 5 minutes
+
+// Seeded when the table is empty - matches the categories the news pipeline fetches
+const DEFAULT_CATEGORIES = [
+  { slug: 'DEFI', name: 'DeFi & Crypto', icon: '🪙', sortOrder: 10 },
+  { slug: 'FINANCE', name: 'Finance', icon: '💹', sortOrder: 20 },
+  { slug: 'BUSINESS', name: 'Business', icon: '💼', sortOrder: 30 },
+  { slug: 'TECHNOLOGY', name: 'Technology', icon: '💻', sortOrder: 40 },
+  { slug: 'POLITICS', name: 'Politics', icon: '🏛️', sortOrder: 50 },
+  { slug: 'SPORT', name: 'Sport', icon: '⚽', sortOrder: 60 },
+  { slug: 'ENTERTAINMENT', name: 'Entertainment', icon: '🎬', sortOrder: 70 },
+  { slug: 'HEALTH', name: 'Health', icon: '🩺', sortOrder: 80 },
+  { slug: 'SCIENCE', name: 'Science', icon: '🔬', sortOrder: 90 },
+  { slug: 'WEATHER', name: 'Weather', icon: '🌦️', sortOrder: 100 },
+  { slug: 'OTHERS', name: 'Others', icon: '📰', sortOrder: 1000 }
+];
+
+// Legacy and variant spellings found in stored articles and provider defaults
+const CATEGORY_ALIASES = {
+  SPORTS: 'SPORT',
+  GENERAL: 'OTHERS',
+  OTHER: 'OTHERS',
+  CRYPTO: 'DEFI',
+  TECH: 'TECHNOLOGY'
+};
+
+const MAX_TAGS_PER_ARTICLE = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_RETENTION_DAYS = 3650;
+
+/**
+ * Canonical slug for a category string (doesn't check it exists)
+ * @param {string} value - e.g. 'sports', 'Tech', 'DEFI'
+ * @returns {string|null}
+ */
+function normalizeCategorySlug(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const slug = value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return CATEGORY_ALIASES[slug] || slug;
+}
+
+/**
+ * Insert the default categories that don't exist yet
+ * @returns {Promise<number>} - Number of categories created
+ */
+async function ensureDefaultCategories() {
+  const result = await prisma.category.createMany({
+    data: DEFAULT_CATEGORIES,
+    skipDuplicates: true
+  });
+  return result.count;
+}
+
+/**
+ * Drop cached category lists (after admin changes or publishes)
+ * @returns {Promise<void>}
+ */
+async function invalidateCategoryCaches() {
+  await cacheService.delete(CATEGORIES_CACHE_KEY);
+  await cacheService.delete(CATEGORY_COUNTS_CACHE_KEY);
+}
+
+/**
+ * Active categories in display order (cached)
+ * @returns {Promise<Object[]>}
+ */
+async function getActiveCategories() {
+  return await cacheService.getOrSet(CATEGORIES_CACHE_KEY, async () => {
+    // A fresh database has no taxonomy yet
+    if (await prisma.category.count() === 0) {
+      await ensureDefaultCategories();
+    }
+
+    return await prisma.category.findMany({
+      where: { isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+      select: { id: true, slug: true, name: true, icon: true, sortOrder: true }
+    });
+  }, CATEGORIES_CACHE_TTL);
+}
+
+/**
+ * Resolve an incoming category to the slug of an active category
+ * @param {string} value - Category as sent
+ * @returns {Promise<string>} - Canonical slug
+ * @throws {Error} INVALID_CATEGORY
+ */
+async function resolveCategory(value) {
+  const slug = normalizeCategorySlug(value);
+  const categories = await getActiveCategories();
+
+  if (!slug || !categories.some(category => category.slug === slug)) {
+    throw new Error('INVALID_CATEGORY');
+  }
+
+  return slug;
+}
+
+/**
+ * Active categories with how many published articles each has (cached)
+ * @returns {Promise<Object[]>}
+ */
+async function getCategoriesWithCounts() {
+  const categories = await getActiveCategories();
+
+  const counts = await cacheService.getOrSet(CATEGORY_COUNTS_CACHE_KEY, async () => {
+    const grouped = await prisma.article.groupBy({
+      by: ['category'],
+      where: { status: 'published' },
+      _count: { _all: true }
+    });
+    return Object.fromEntries(grouped.map(row => [row.category, row._count._all]));
+  }, CATEGORIES_CACHE_TTL);
+
+  return categories.map(category => ({
+    ...category,
+    publishedCount: counts[category.slug] || 0
+  }));
+}
+
+/**
+ * All categories including inactive ones, with article counts (admin)
+ * @returns {Promise<Object[]>}
+ */
+async function listAllCategories() {
+  const [categories, grouped] = await Promise.all([
+    prisma.category.findMany({
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+    }),
+    prisma.article.groupBy({
+      by: ['category'],
+      _count: { _all: true }
+    })
+  ]);
+
+  const counts = Object.fromEntries(grouped.map(row => [row.category, row._count._all]));
+
+  return categories.map(category => ({
+    ...category,
+    articleCount: counts[category.slug] || 0
+  }));
+}
+
+/**
+ * Validate and pick the editable category fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} requireAll - Whether slug and name are required (create)
+ * @returns {Object}
+ * @throws {Error} INVALID_CATEGORY_DATA
+ */
+function parseCategoryData(body, requireAll) {
+  const data = {};
+
+  if (requireAll || body.slug !== undefined) {
+    const slug = normalizeCategorySlug(body.slug);
+    if (!slug || !/^[A-Z0-9_]{2,30}$/.test(slug)) {
+      throw new Error('INVALID_CATEGORY_DATA');
+    }
+    data.slug = slug;
+  }
+
+  if (requireAll || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.trim().length > 50) {
+      throw new Error('INVALID_CATEGORY_DATA');
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.icon !== undefined) {
+    if (body.icon !== null && typeof body.icon !== 'string') {
+      throw new Error('INVALID_CATEGORY_DATA');
+    }
+    data.icon = body.icon ? body.icon.trim() : null;
+  }
+
+  if (body.sortOrder !== undefined) {
+    if (!Number.isInteger(body.sortOrder)) {
+      throw new Error('INVALID_CATEGORY_DATA');
+    }
+    data.sortOrder = body.sortOrder;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      throw new Error('INVALID_CATEGORY_DATA');
+    }
+    data.isActive = body.isActive;
+  }
+
+  // null falls back to ARTICLE_RETENTION_DAYS, 0 never archives (see services/articleArchiving)
+  if (body.retentionDays !== undefined) {
+    if (body.retentionDays !== null &&
+      (!Number.isInteger(body.retentionDays) || body.retentionDays < 0 || body.retentionDays > MAX_RETENTION_DAYS)) {
+      throw new Error('INVALID_CATEGORY_DATA');
+    }
+    data.retentionDays = body.retentionDays;
+  }
+
+  return data;
+}
+
+/**
+ * Create a category (admin)
+ * @param {Object} body - { slug, name, icon?, sortOrder?, isActive?, retentionDays? }
+ * @returns {Promise<Object>}
+ */
+async function createCategory(body) {
+  const data = parseCategoryData(body, true);
+
+  try {
+    const category = await prisma.category.create({ data });
+    await invalidateCategoryCaches();
+    return category;
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('CATEGORY_EXISTS');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a category (admin)
+ * The slug is fixed once created since articles reference it
+ * @param {string} id - Category ID
+ * @param {Object} body - { name?, icon?, sortOrder?, isActive?, retentionDays? }
+ * @returns {Promise<Object>}
+ */
+async function updateCategory(id, body) {
+  if (body.slug !== undefined) {
+    throw new Error('CATEGORY_SLUG_IMMUTABLE');
+  }
+
+  const data = parseCategoryData(body, false);
+
+  try {
+    const category = await prisma.category.update({ where: { id }, data });
+    await invalidateCategoryCaches();
+    return category;
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('CATEGORY_NOT_FOUND');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a category no article uses (admin) - deactivate it otherwise
+ * @param {string} id - Category ID
+ * @returns {Promise<void>}
+ */
+async function deleteCategory(id) {
+  const category = await prisma.category.findUnique({ where: { id } });
+  if (!category) {
+    throw new Error('CATEGORY_NOT_FOUND');
+  }
+
+  const articleCount = await prisma.article.count({ where: { category: category.slug } });
+  if (articleCount > 0) {
+    throw new Error('CATEGORY_IN_USE');
+  }
+
+  await prisma.category.delete({ where: { id } });
+  await invalidateCategoryCaches();
+}
+
+/**
+ * Slug for a tag name
+ * @param {string} name - Tag as typed
+ * @returns {string}
+ */
+function toTagSlug(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parse tags from a request body (array, JSON array string or comma-separated string)
+ * @param {string[]|string|undefined} value - Tags as sent
+ * @returns {Object[]|undefined} - [{ slug, name }], undefined when the field wasn't sent
+ * @throws {Error} INVALID_TAGS
+ */
+function parseTags(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  let names = value;
+  if (typeof value === 'string') {
+    try {
+      names = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (error) {
+      throw new Error('INVALID_TAGS');
+    }
+  }
+
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    throw new Error('INVALID_TAGS');
+  }
+
+  const tags = new Map();
+  for (const name of names) {
+    const trimmed = name.trim();
+    if (!trimmed) continue;
+
+    const slug = toTagSlug(trimmed);
+    if (!slug || trimmed.length > MAX_TAG_LENGTH) {
+      throw new Error('INVALID_TAGS');
+    }
+    if (!tags.has(slug)) {
+      tags.set(slug, { slug, name: trimmed });
+    }
+  }
+
+  if (tags.size > MAX_TAGS_PER_ARTICLE) {
+    throw new Error('INVALID_TAGS');
+  }
+
+  return [...tags.values()];
+}
+
+/**
+ * Replace an article's tags, creating tags that don't exist yet
+ * @param {string} articleId - Article ID
+ * @param {Object[]} tags - From parseTags
+ * @returns {Promise<Object[]>} - [{ id, slug, name }]
+ */
+async function setArticleTags(articleId, tags) {
+  return await prisma.$transaction(async (tx) => {
+    const tagRows = [];
+    for (const tag of tags) {
+      tagRows.push(await tx.tag.upsert({
+        where: { slug: tag.slug },
+        update: {},
+        create: tag,
+        select: { id: true, slug: true, name: true }
+      }));
+    }
+
+    await tx.articleTag.deleteMany({ where: { articleId } });
+    if (tagRows.length > 0) {
+      await tx.articleTag.createMany({
+        data: tagRows.map(tag => ({ articleId, tagId: tag.id }))
+      });
+    }
+
+    return tagRows;
+  });
+}
+
+/**
+ * Tags with how many articles use each (admin)
+ * @param {Object} params
+ * @param {string} params.search - Filter by name
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} - { tags, total }
+ */
+async function listTags({ search = null, page = 1, limit = 50 } = {}) {
+  const where = search ? { name: { contains: search, mode: 'insensitive' } } : {};
+
+  const [tags, total] = await Promise.all([
+    prisma.tag.findMany({
+      where,
+      orderBy: { name: 'asc' },
+      skip: (page - 1) * limit,
+      take: limit,
+      include: { _count: { select: { articles: true } } }
+    }),
+    prisma.tag.count({ where })
+  ]);
+
+  return {
+    tags: tags.map(({ _count, ...tag }) => ({ ...tag, articleCount: _count.articles })),
+    total
+  };
+}
+
+/**
+ * Delete a tag and detach it from every article (admin)
+ * @param {string} id - Tag ID
+ * @returns {Promise<void>}
+ */
+async function deleteTag(id) {
+  try {
+    await prisma.tag.delete({ where: { id } });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('TAG_NOT_FOUND');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  CATEGORY_ALIASES,
+  MAX_TAGS_PER_ARTICLE,
+  normalizeCategorySlug,
+  ensureDefaultCategories,
+  invalidateCategoryCaches,
+  getActiveCategories,
+  resolveCategory,
+  getCategoriesWithCounts,
+  listAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  parseTags,
+  toTagSlug,
+  setArticleTags,
+  listTags,
+  deleteTag
+};
@@ -0,0 +1,519 @@
+const { prisma } = require('../config/database');
+const { buildCursorQuery } = require('../utils/pagination');
+
+/**
+ * Comments Service
+ * Article comments with one level of replies: replying to a reply attaches the new
+ * comment to the same top-level comment. Authors can edit and delete their own
+ * comments; deleting one that has replies leaves a placeholder so the thread stays
+ * readable. Users can report comments, which puts them in the admin moderation
+ * queue where they are hidden or restored; admins can also ban users from commenting.
+ */
+
+const COMMENT_STATUS = {
+  VISIBLE: 'visible',
+  HIDDEN: 'hidden',
+  DELETED: 'deleted'
+};
+
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_REPORT_REASON_LENGTH = 500;
+const REPLY_PREVIEW_LIMIT = 3;
+
+const AUTHOR_SELECT = {
+  id: true,
+  username: true,
+  displayName: true,
+  avatarUrl: true,
+  role: true
+};
+
+/**
+ * Validate and trim comment text
+ * @param {string} content - Raw comment text
+ * @returns {string}
+ */
+function validateContent(content) {
+  const trimmed = typeof content === 'string' ? content.trim() : '';
+  if (trimmed.length === 0 || trimmed.length > MAX_COMMENT_LENGTH) {
+    throw new Error('INVALID_COMMENT_CONTENT');
+  }
+  return trimmed;
+}
+
+/**
+ * Shape a comment row for clients
+ * Deleted comments keep their place in the thread but lose their content and author
+ * @param {Object} comment - Comment row with user (and optionally replies/_count)
+ * @param {string|null} viewerId - Caller
+ * @returns {Object}
+ */
+function formatComment(comment, viewerId) {
+  const isDeleted = comment.status === COMMENT_STATUS.DELETED;
+  const formatted = {
+    id: comment.id,
+    articleId: comment.articleId,
+    parentId: comment.parentId,
+    content: isDeleted ? null : comment.content,
+    author: isDeleted ? null : comment.user,
+    isDeleted,
+    isEdited: !!comment.editedAt,
+    isOwn: !isDeleted && !!viewerId && comment.userId === viewerId,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt
+  };
+
+  if (comment.replies) {
+    formatted.replies = comment.replies.map((reply) => formatComment(reply, viewerId));
+    formatted.replyCount = comment._count ? comment._count.replies : comment.replies.length;
+  }
+
+  return formatted;
+}
+
+/**
+ * Split a limit + 1 page into items and the next cursor
+ */
+function toPage(rows, limit) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    nextCursor: hasMore && items.length > 0 ? items[items.length - 1].id : null,
+    hasMore
+  };
+}
+
+/**
+ * Load a published article's comment settings
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object>} - { id, authorId, commentsEnabled }
+ */
+async function getCommentableArticle(articleId) {
+  const article = await prisma.article.findFirst({
+    where: { id: articleId, status: 'published' },
+    select: { id: true, authorId: true, commentsEnabled: true }
+  });
+
+  if (!article) {
+    throw new Error('ARTICLE_NOT_FOUND');
+  }
+
+  return article;
+}
+
+/**
+ * Throw if the user is banned from commenting
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { id, username, displayName }
+ */
+async function assertCanComment(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, username: true, displayName: true, commentBannedAt: true }
+  });
+
+  if (!user) {
+    throw new Error('USER_NOT_FOUND');
+  }
+
+  if (user.commentBannedAt) {
+    throw new Error('COMMENT_BANNED');
+  }
+
+  return user;
+}
+
+/**
+ * Load a comment on an article that its author may change
+ * @param {string} articleId - Article ID
+ * @param {string} commentId - Comment ID
+ * @param {string} userId - Caller
+ * @returns {Promise<Object>} - Comment row
+ */
+async function getOwnComment(articleId, commentId, userId) {
+  const comment = await prisma.comment.findFirst({
+    where: { id: commentId, articleId }
+  });
+
+  if (!comment || comment.status === COMMENT_STATUS.DELETED) {
+    throw new Error('COMMENT_NOT_FOUND');
+  }
+
+  if (comment.userId !== userId) {
+    throw new Error('COMMENT_FORBIDDEN');
+  }
+
+  return comment;
+}
+
+/**
+ * List an article's top-level comments (newest first) with a preview of their replies
+ * @param {string} articleId - Article ID
+ * @param {Object} pagination - From parsePaginationParams
+ * @param {string|null} viewerId - Caller
+ * @returns {Promise<Object>} - { comments, nextCursor, hasMore, commentsEnabled }
+ */
+async function listComments(articleId, pagination, viewerId = null) {
+  const article = await getCommentableArticle(articleId);
+  const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
+
+  const rows = await prisma.comment.findMany({
+    where: {
+      articleId,
+      parentId: null,
+      OR: [
+        { status: COMMENT_STATUS.VISIBLE },
+        // Keep deleted comments as placeholders while they still have replies
+        { status: COMMENT_STATUS.DELETED, replies: { some: { status: COMMENT_STATUS.VISIBLE } } }
+      ],
+      ...cursorQuery.where
+    },
+    orderBy: cursorQuery.orderBy,
+    take: cursorQuery.take,
+    include: {
+      user: { select: AUTHOR_SELECT },
+      replies: {
+        where: { status: COMMENT_STATUS.VISIBLE },
+        orderBy: { id: 'asc' },
+        take: REPLY_PREVIEW_LIMIT,
+        include: { user: { select: AUTHOR_SELECT } }
+      },
+      _count: {
+        select: { replies: { where: { status: COMMENT_STATUS.VISIBLE } } }
+      }
+    }
+  });
+
+  const page = toPage(rows, pagination.limit);
+
+  return {
+    comments: page.items.map((comment) => formatComment(comment, viewerId)),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    commentsEnabled: article.commentsEnabled
+  };
+}
+
+/**
+ * List replies to a top-level comment (oldest first)
+ * @param {string} articleId - Article ID
+ * @param {string} parentId - Top-level comment ID
+ * @param {Object} pagination - From parsePaginationParams
+ * @param {string|null} viewerId - Caller
+ * @returns {Promise<Object>} - { comments, nextCursor, hasMore }
+ */
+async function listReplies(articleId, parentId, pagination, viewerId = null) {
+  await getCommentableArticle(articleId);
+  const cursorQuery = buildCursorQuery(pagination, 'id', 'asc');
+
+  const rows = await prisma.comment.findMany({
+    where: {
+      articleId,
+      parentId,
+      status: COMMENT_STATUS.VISIBLE,
+      ...cursorQuery.where
+    },
+    orderBy: cursorQuery.orderBy,
+    take: cursorQuery.take,
+    include: { user: { select: AUTHOR_SELECT } }
+  });
+
+  const page = toPage(rows, pagination.limit);
+
+  return {
+    comments: page.items.map((comment) => formatComment(comment, viewerId)),
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore
+  };
+}
+
+/**
+ * Post a comment or reply
+ * @param {Object} params
+ * @param {string} params.articleId - Article ID
+ * @param {string} params.userId - Author
+ * @param {string} params.content - Comment text
+ * @param {string|null} params.parentId - Comment being replied to (top-level or reply)
+ * @returns {Promise<Object>} - { comment, author, notifyUserId } (notifyUserId is the
+ *   author of the comment replied to, null for top-level comments and self-replies)
+ */
+async function createComment({ articleId, userId, content, parentId = null }) {
+  const text = validateContent(content);
+  const author = await assertCanComment(userId);
+  const article = await getCommentableArticle(articleId);
+
+  if (!article.commentsEnabled) {
+    throw new Error('COMMENTS_DISABLED');
+  }
+
+  let threadId = null;
+  let notifyUserId = null;
+
+  if (parentId) {
+    const parent = await prisma.comment.findFirst({
+      where: { id: parentId, articleId, status: COMMENT_STATUS.VISIBLE },
+      select: { id: true, parentId: true, userId: true }
+    });
+
+    if (!parent) {
+      throw new Error('PARENT_COMMENT_NOT_FOUND');
+    }
+
+    // Replies are one level deep - a reply to a reply joins the same thread
+    threadId = parent.parentId || parent.id;
+    notifyUserId = parent.userId !== userId ? parent.userId : null;
+  }
+
+  const comment = await prisma.comment.create({
+    data: {
+      articleId,
+      userId,
+      parentId: threadId,
+      content: text
+    },
+    include: { user: { select: AUTHOR_SELECT } }
+  });
+
+  return { comment: formatComment(comment, userId), author, notifyUserId };
+}
+
+/**
+ * Edit the caller's own comment
+ * @param {Object} params - { articleId, commentId, userId, content }
+ * @returns {Promise<Object>} - Formatted comment
+ */
+async function editComment({ articleId, commentId, userId, content }) {
+  const text = validateContent(content);
+  await assertCanComment(userId);
+  const comment = await getOwnComment(articleId, commentId, userId);
+
+  if (comment.status !== COMMENT_STATUS.VISIBLE) {
+    throw new Error('COMMENT_NOT_EDITABLE');
+  }
+
+  const updated = await prisma.comment.update({
+    where: { id: comment.id },
+    data: {
+      content: text,
+      editedAt: new Date()
+    },
+    include: { user: { select: AUTHOR_SELECT } }
+  });
+
+  return formatComment(updated, userId);
+}
+
+/**
+ * Delete the caller's own comment (soft delete, replies are kept)
+ * @param {Object} params - { articleId, commentId, userId }
+ * @returns {Promise<void>}
+ */
+async function deleteComment({ articleId, commentId, userId }) {
+  const comment = await getOwnComment(articleId, commentId, userId);
+
+  await prisma.comment.update({
+    where: { id: comment.id },
+    data: {
+      status: COMMENT_STATUS.DELETED,
+      deletedAt: new Date()
+    }
+  });
+}
+
+/**
+ * Report a comment for moderation
+ * @param {Object} params - { articleId, commentId, reporterId, reason }
+ * @returns {Promise<void>}
+ */
+async function reportComment({ articleId, commentId, reporterId, reason }) {
+  const comment = await prisma.comment.findFirst({
+    where: { id: commentId, articleId, status: COMMENT_STATUS.VISIBLE },
+    select: { id: true, userId: true }
+  });
+
+  if (!comment) {
+    throw new Error('COMMENT_NOT_FOUND');
+  }
+
+  if (comment.userId === reporterId) {
+    throw new Error('CANNOT_REPORT_OWN_COMMENT');
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim().slice(0, MAX_REPORT_REASON_LENGTH) : null;
+
+  try {
+    await prisma.$transaction([
+      prisma.commentReport.create({
+        data: {
+          commentId,
+          reporterId,
+          reason: trimmedReason || null
+        }
+      }),
+      prisma.comment.update({
+        where: { id: commentId },
+        data: { reportCount: { increment: 1 } }
+      })
+    ]);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('ALREADY_REPORTED');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the admin moderation queue
+ * @param {Object} params
+ * @param {string} params.status - 'reported' (visible comments with open reports, most reported first) or 'hidden'
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} - { comments, total }
+ */
+async function getModerationQueue({ status = 'reported', page = 1, limit = 20 }) {
+  const where = status === 'hidden'
+    ? { status: COMMENT_STATUS.HIDDEN }
+    : { status: COMMENT_STATUS.VISIBLE, reportCount: { gt: 0 } };
+  const orderBy = status === 'hidden'
+    ? [{ hiddenAt: 'desc' }]
+    : [{ reportCount: 'desc' }, { createdAt: 'asc' }];
+
+  const [comments, total] = await Promise.all([
+    prisma.comment.findMany({
+      where,
+      orderBy,
+      skip: (page - 1) * limit,
+      take: limit,
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            displayName: true,
+            commentBannedAt: true
+          }
+        },
+        article: {
+          select: { id: true, title: true }
+        },
+        reports: {
+          where: status === 'hidden' ? {} : { resolvedAt: null },
+          orderBy: { createdAt: 'desc' },
+          take: 10,
+          include: {
+            reporter: {
+              select: { id: true, username: true, displayName: true }
+            }
+          }
+        }
+      }
+    }),
+    prisma.comment.count({ where })
+  ]);
+
+  return { comments, total };
+}
+
+/**
+ * Resolve a comment's open reports and move it to a new status (admin)
+ * @param {string} commentId - Comment ID
+ * @param {string} status - COMMENT_STATUS.HIDDEN or COMMENT_STATUS.VISIBLE
+ * @param {Object} params - { adminId, reason }
+ * @returns {Promise<Object>} - Updated comment
+ */
+async function moderateComment(commentId, status, { adminId, reason = null } = {}) {
+  return await prisma.$transaction(async (tx) => {
+    const comment = await tx.comment.findUnique({ where: { id: commentId } });
+
+    if (!comment) {
+      throw new Error('COMMENT_NOT_FOUND');
+    }
+
+    // Author-deleted comments stay deleted
+    if (comment.status === COMMENT_STATUS.DELETED) {
+      throw new Error('INVALID_COMMENT_TRANSITION');
+    }
+
+    const now = new Date();
+
+    await tx.commentReport.updateMany({
+      where: { commentId, resolvedAt: null },
+      data: { resolvedAt: now }
+    });
+
+    const hiding = status === COMMENT_STATUS.HIDDEN;
+    return await tx.comment.update({
+      where: { id: commentId },
+      data: {
+        status,
+        reportCount: 0,
+        hiddenAt: hiding ? now : null,
+        hiddenBy: hiding ? adminId : null,
+        hiddenReason: hiding ? reason : null
+      }
+    });
+  });
+}
+
+/**
+ * Hide a comment (admin)
+ * @param {string} commentId - Comment ID
+ * @param {Object} params - { adminId, reason }
+ * @returns {Promise<Object>}
+ */
+async function hideComment(commentId, params) {
+  return await moderateComment(commentId, COMMENT_STATUS.HIDDEN, params);
+}
+
+/**
+ * Restore a hidden comment, or dismiss the reports on a visible one (admin)
+ * @param {string} commentId - Comment ID
+ * @param {Object} params - { adminId }
+ * @returns {Promise<Object>}
+ */
+async function restoreComment(commentId, params) {
+  return await moderateComment(commentId, COMMENT_STATUS.VISIBLE, params);
+}
+
+/**
+ * Ban or unban a user from commenting (admin)
+ * @param {string} userId - User ID
+ * @param {Object} params - { banned, reason }
+ * @returns {Promise<Object>} - { id, commentBannedAt, commentBanReason }
+ */
+async function setCommentBan(userId, { banned, reason = null }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true }
+  });
+
+  if (!user) {
+    throw new Error('USER_NOT_FOUND');
+  }
+
+  return await prisma.user.update({
+    where: { id: userId },
+    data: {
+      commentBannedAt: banned ? new Date() : null,
+      commentBanReason: banned ? reason : null
+    },
+    select: { id: true, username: true, commentBannedAt: true, commentBanReason: true }
+  });
+}
+
+module.exports = {
+  COMMENT_STATUS,
+  MAX_COMMENT_LENGTH,
+  listComments,
+  listReplies,
+  createComment,
+  editComment,
+  deleteComment,
+  reportComment,
+  getModerationQueue,
+  hideComment,
+  restoreComment,
+  setCommentBan
+};
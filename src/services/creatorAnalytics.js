@@ -0,0 +1,279 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Creator Analytics Service
+ * Performance numbers for a creator's articles, built from read_articles (reads,
+ * reward claims and the server-measured read duration of claimed reads) and follows.
+ * Daily buckets are UTC days. Results are cached briefly since they're read far
+ * more often than they meaningfully change.
+ */
+
+const ANALYTICS_CACHE_TTL = 120; // 2 minutes
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 90;
+const FOLLOWER_WINDOW_DAYS = 7; // "Followers gained" counts follows this many days after publishing
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns of read_articles that can be bucketed
+const EVENT_COLUMNS = {
+  reads: Prisma.raw('r.read_at'),
+  claims: Prisma.raw('r.reward_claimed_at')
+};
+
+/**
+ * Clamp the requested period length
+ * @param {string|number} value - ?days= value
+ * @returns {number}
+ */
+function parseAnalyticsDays(value) {
+  const days = parseInt(value) || DEFAULT_ANALYTICS_DAYS;
+  return Math.min(Math.max(days, 1), MAX_ANALYTICS_DAYS);
+}
+
+/**
+ * Start of the UTC day `days - 1` days before now (so the period includes today)
+ * @param {number} days - Period length
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getPeriodStart(days, now) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return new Date(today - (days - 1) * DAY_MS);
+}
+
+/**
+ * Read or claim counts per UTC day
+ * @param {string} event - 'reads' or 'claims'
+ * @param {Prisma.Sql} scope - Filter on r (read_articles) / a (articles)
+ * @param {Date} from - Period start
+ * @returns {Promise<Map<string, number>>} - 'YYYY-MM-DD' -> count
+ */
+async function countEventsByDay(event, scope, from) {
+  const column = EVENT_COLUMNS[event];
+  const rows = await prisma.$queryRaw`
+    SELECT to_char(date_trunc('day', ${column}), 'YYYY-MM-DD') AS day, COUNT(*)::int AS count
+    FROM read_articles r
+    JOIN articles a ON a.id = r.article_id
+    WHERE ${scope} AND ${column} >= ${from}
+    GROUP BY 1
+  `;
+  return new Map(rows.map(row => [row.day, row.count]));
+}
+
+/**
+ * New followers of a creator per UTC day
+ * @param {string} authorId - Creator ID
+ * @param {Date} from - Period start
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countFollowsByDay(authorId, from) {
+  const rows = await prisma.$queryRaw`
+    SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day, COUNT(*)::int AS count
+    FROM follows
+    WHERE following_id = ${authorId} AND created_at >= ${from}
+    GROUP BY 1
+  `;
+  return new Map(rows.map(row => [row.day, row.count]));
+}
+
+/**
+ * One entry per day of the period, zero-filled
+ * @param {Date} from - Period start
+ * @param {number} days - Period length
+ * @param {Object} series - { name: Map(day -> count) }
+ * @returns {Object[]} - [{ date, ...counts }]
+ */
+function buildDailyBuckets(from, days, series) {
+  const buckets = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    const bucket = { date };
+    for (const [name, counts] of Object.entries(series)) {
+      bucket[name] = counts.get(date) || 0;
+    }
+    buckets.push(bucket);
+  }
+  return buckets;
+}
+
+/**
+ * Sum a daily series
+ * @param {Map<string, number>} counts
+ * @returns {number}
+ */
+const sumCounts = counts => [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+/**
+ * Claims as a share of reads (0-1), null without reads
+ * @param {number} claims
+ * @param {number} reads
+ * @returns {number|null}
+ */
+const getClaimThroughRate = (claims, reads) => (reads > 0 ? Math.round((claims / reads) * 1000) / 1000 : null);
+
+/**
+ * Followers a creator gained in the days after an article went live
+ * @param {string} authorId - Creator ID
+ * @param {Date|null} publishedAt - Article publish time
+ * @returns {Promise<number|null>} - null for unpublished articles
+ */
+async function countFollowersGainedAfter(authorId, publishedAt) {
+  if (!publishedAt) {
+    return null;
+  }
+
+  return await prisma.follow.count({
+    where: {
+      followingId: authorId,
+      createdAt: {
+        gte: publishedAt,
+        lt: new Date(publishedAt.getTime() + FOLLOWER_WINDOW_DAYS * DAY_MS)
+      }
+    }
+  });
+}
+
+/**
+ * Average server-measured read duration over claimed reads
+ * Read from read_articles, which (unlike user_activities) are kept for the whole period
+ * @param {Object} where - read_articles filter
+ * @returns {Promise<number|null>} - Seconds, null without measured reads
+ */
+async function getAverageReadDuration(where) {
+  const result = await prisma.readArticle.aggregate({
+    where: { ...where, readDuration: { not: null } },
+    _avg: { readDuration: true }
+  });
+  return result._avg.readDuration !== null ? Math.round(result._avg.readDuration) : null;
+}
+
+/**
+ * Analytics for one of a creator's articles
+ * @param {string} articleId - Article ID
+ * @param {string} authorId - Creator ID (must own the article)
+ * @param {number} days - Period length
+ * @returns {Promise<Object>}
+ */
+async function getArticleAnalytics(articleId, authorId, days = DEFAULT_ANALYTICS_DAYS) {
+  const article = await prisma.article.findFirst({
+    where: { id: articleId, authorId },
+    select: { id: true, title: true, status: true, publishedAt: true, createdAt: true }
+  });
+
+  if (!article) {
+    throw new Error('ARTICLE_NOT_FOUND');
+  }
+
+  return await cacheService.getOrSet(`creator:analytics:article:${articleId}:${days}`, async () => {
+    const now = new Date();
+    const from = getPeriodStart(days, now);
+    const scope = Prisma.sql`r.article_id = ${articleId}`;
+
+    const [reads, claims, avgReadDurationSeconds, followersGained] = await Promise.all([
+      countEventsByDay('reads', scope, from),
+      countEventsByDay('claims', scope, from),
+      getAverageReadDuration({ articleId, rewardClaimedAt: { gte: from } }),
+      countFollowersGainedAfter(authorId, article.publishedAt)
+    ]);
+
+    const totalReads = sumCounts(reads);
+    const totalClaims = sumCounts(claims);
+
+    return {
+      article,
+      period: { days, from, to: now },
+      totals: {
+        reads: totalReads,
+        claims: totalClaims,
+        claimThroughRate: getClaimThroughRate(totalClaims, totalReads),
+        avgReadDurationSeconds
+      },
+      followersGained: {
+        windowDays: FOLLOWER_WINDOW_DAYS,
+        count: followersGained
+      },
+      daily: buildDailyBuckets(from, days, { reads, claims })
+    };
+  }, ANALYTICS_CACHE_TTL);
+}
+
+/**
+ * Analytics across all of a creator's articles
+ * @param {string} authorId - Creator ID
+ * @param {number} days - Period length
+ * @returns {Promise<Object>}
+ */
+async function getCreatorAnalytics(authorId, days = DEFAULT_ANALYTICS_DAYS) {
+  return await cacheService.getOrSet(`creator:analytics:${authorId}:${days}`, async () => {
+    const now = new Date();
+    const from = getPeriodStart(days, now);
+    const scope = Prisma.sql`a.author_id = ${authorId}`;
+
+    const [reads, claims, follows, avgReadDurationSeconds, publishedArticles, topReads] = await Promise.all([
+      countEventsByDay('reads', scope, from),
+      countEventsByDay('claims', scope, from),
+      countFollowsByDay(authorId, from),
+      getAverageReadDuration({ article: { authorId }, rewardClaimedAt: { gte: from } }),
+      prisma.article.count({
+        where: { authorId, status: 'published' }
+      }),
+      prisma.$queryRaw`
+        SELECT r.article_id AS "articleId",
+          COUNT(*)::int AS reads,
+          COUNT(r.reward_claimed_at)::int AS claims
+        FROM read_articles r
+        JOIN articles a ON a.id = r.article_id
+        WHERE a.author_id = ${authorId} AND r.read_at >= ${from}
+        GROUP BY r.article_id
+        ORDER BY reads DESC
+        LIMIT 5
+      `
+    ]);
+
+    const topArticleRows = await prisma.article.findMany({
+      where: { id: { in: topReads.map(row => row.articleId) } },
+      select: { id: true, title: true, publishedAt: true }
+    });
+    const articlesById = new Map(topArticleRows.map(article => [article.id, article]));
+
+    const topArticles = await Promise.all(topReads.map(async row => {
+      const article = articlesById.get(row.articleId);
+      return {
+        id: row.articleId,
+        title: article?.title || null,
+        reads: row.reads,
+        claims: row.claims,
+        claimThroughRate: getClaimThroughRate(row.claims, row.reads),
+        followersGained: article ? await countFollowersGainedAfter(authorId, article.publishedAt) : null
+      };
+    }));
+
+    const totalReads = sumCounts(reads);
+    const totalClaims = sumCounts(claims);
+
+    return {
+      period: { days, from, to: now },
+      totals: {
+        publishedArticles,
+        reads: totalReads,
+        claims: totalClaims,
+        claimThroughRate: getClaimThroughRate(totalClaims, totalReads),
+        avgReadDurationSeconds,
+        followersGained: sumCounts(follows)
+      },
+      followerWindowDays: FOLLOWER_WINDOW_DAYS,
+      topArticles,
+      daily: buildDailyBuckets(from, days, { reads, claims, followersGained: follows })
+    };
+  }, ANALYTICS_CACHE_TTL);
+}
+
+module.exports = {
+  MAX_ANALYTICS_DAYS,
+  parseAnalyticsDays,
+  getArticleAnalytics,
+  getCreatorAnalytics
+};
@@ -0,0 +1,238 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Daily Reward Schedule Service
+ * Single source for daily reward amounts, used by both /rewards/daily/claim and
+ * /rewards/daily/status. The payout for streak day n is:
+ *   base  = dayAmounts[n - 1] (days past the list repeat the last amount), limited to cap
+ *   bonus = milestone bonus for day n, if any (stored as DailyReward.streakBonus)
+ *   total = round((base + bonus) * multiplier), using the highest multiplier event
+ *           running at claim time
+ * Without an active schedule the built-in default applies: 5, 10, ... 50.
+ */
+
+const CONFIG_CACHE_KEY = 'dailyRewardSchedule:config';
+const CONFIG_CACHE_TTL = 300; // 5 minutes
+const PREVIEW_DAYS = 30;
+const MAX_SCHEDULE_DAYS = 365;
+const MAX_NAME_LENGTH = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matches the original hard-coded formula min(5 + 5 * (n - 1), 50)
+const DEFAULT_SCHEDULE = {
+  id: null,
+  name: 'Default',
+  dayAmounts: [5, 10, 15, 20, 25, 30, 35, 40, 45, 50],
+  cap: 50,
+  milestoneBonuses: []
+};
+
+/**
+ * Validate a schedule or multiplier event name
+ * @param {any} name - Name from the request (undefined when not being changed)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateName(name) {
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH)) {
+    return `name must be 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate schedule fields from an admin request
+ * @param {Object} input - { name, dayAmounts, cap, milestoneBonuses }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSchedule({ name, dayAmounts, cap, milestoneBonuses }) {
+  const nameError = validateName(name);
+  if (nameError) {
+    return nameError;
+  }
+
+  if (dayAmounts !== undefined) {
+    if (!Array.isArray(dayAmounts) || dayAmounts.length === 0 || dayAmounts.length > MAX_SCHEDULE_DAYS) {
+      return `dayAmounts must be a list of 1 to ${MAX_SCHEDULE_DAYS} amounts`;
+    }
+    if (!dayAmounts.every((amount) => Number.isInteger(amount) && amount >= 0)) {
+      return 'dayAmounts must contain non-negative whole numbers';
+    }
+  }
+
+  if (cap !== undefined && cap !== null && (!Number.isInteger(cap) || cap < 0)) {
+    return 'cap must be a non-negative whole number or null';
+  }
+
+  if (milestoneBonuses !== undefined) {
+    if (!Array.isArray(milestoneBonuses)) {
+      return 'milestoneBonuses must be a list of { day, bonus }';
+    }
+    const days = new Set();
+    for (const milestone of milestoneBonuses) {
+      if (!milestone || !Number.isInteger(milestone.day) || milestone.day < 1 || !Number.isInteger(milestone.bonus) || milestone.bonus < 0) {
+        return 'Each milestone needs a day of at least 1 and a non-negative whole bonus';
+      }
+      if (days.has(milestone.day)) {
+        return `Milestone day ${milestone.day} is listed more than once`;
+      }
+      days.add(milestone.day);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate multiplier event fields from an admin request
+ * @param {Object} input - { name, multiplier, startsAt, endsAt } (dates already parsed)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateMultiplier({ name, multiplier, startsAt, endsAt }) {
+  const nameError = validateName(name);
+  if (nameError) {
+    return nameError;
+  }
+
+  if (multiplier !== undefined && (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier <= 0 || multiplier > 10)) {
+    return 'multiplier must be a number greater than 0 and at most 10';
+  }
+
+  if ((startsAt !== undefined && isNaN(startsAt)) || (endsAt !== undefined && isNaN(endsAt))) {
+    return 'startsAt and endsAt must be valid dates';
+  }
+
+  if (startsAt !== undefined && endsAt !== undefined && startsAt >= endsAt) {
+    return 'endsAt must be after startsAt';
+  }
+
+  return null;
+}
+
+/**
+ * Load the active schedule and the current/upcoming multiplier events
+ * Cached for 5 minutes; admin changes call invalidateScheduleCache()
+ * @returns {Promise<Object>} - { schedule, multipliers }
+ */
+async function getScheduleConfig() {
+  const config = await cacheService.getOrSet(CONFIG_CACHE_KEY, async () => {
+    const [schedule, multipliers] = await Promise.all([
+      prisma.dailyRewardSchedule.findFirst({
+        where: { isActive: true },
+        orderBy: { updatedAt: 'desc' }
+      }),
+      prisma.dailyRewardMultiplier.findMany({
+        where: { isActive: true, endsAt: { gt: new Date() } },
+        orderBy: { startsAt: 'asc' }
+      })
+    ]);
+
+    return { schedule: schedule || DEFAULT_SCHEDULE, multipliers };
+  }, CONFIG_CACHE_TTL);
+
+  // Dates come back from the cache as strings
+  return {
+    schedule: config.schedule,
+    multipliers: config.multipliers.map((event) => ({
+      ...event,
+      startsAt: new Date(event.startsAt),
+      endsAt: new Date(event.endsAt)
+    }))
+  };
+}
+
+/**
+ * Drop the cached schedule config after an admin change
+ * @returns {Promise<void>}
+ */
+async function invalidateScheduleCache() {
+  await cacheService.delete(CONFIG_CACHE_KEY);
+}
+
+/**
+ * Find the multiplier event running at a given time
+ * Overlapping events don't stack - the highest multiplier wins
+ * @param {Object[]} multipliers - DailyRewardMultiplier rows
+ * @param {Date} at - Claim time
+ * @returns {Object|null} - Event, or null if none is running
+ */
+function findActiveMultiplier(multipliers, at) {
+  return multipliers
+    .filter((event) => event.startsAt <= at && at < event.endsAt)
+    .reduce((best, event) => (!best || event.multiplier > best.multiplier ? event : best), null);
+}
+
+/**
+ * Calculate the payout for one streak day
+ * @param {Object} config - { schedule, multipliers } from getScheduleConfig()
+ * @param {number} streakDay - Streak day being claimed (1 = first day)
+ * @param {Date} at - Claim time (selects the multiplier event)
+ * @returns {Object} - { baseReward, streakBonus, multiplier, multiplierEvent, totalReward }
+ */
+function calculateDailyReward({ schedule, multipliers }, streakDay, at = new Date()) {
+  const day = Math.max(1, streakDay);
+  const amounts = schedule.dayAmounts;
+  let baseReward = amounts[Math.min(day, amounts.length) - 1];
+
+  if (schedule.cap !== null && schedule.cap !== undefined) {
+    baseReward = Math.min(baseReward, schedule.cap);
+  }
+
+  const milestone = (schedule.milestoneBonuses || []).find((m) => m.day === day);
+  const streakBonus = milestone ? milestone.bonus : 0;
+
+  const event = findActiveMultiplier(multipliers, at);
+  const multiplier = event ? event.multiplier : 1;
+
+  return {
+    baseReward,
+    streakBonus,
+    multiplier,
+    multiplierEvent: event ? { id: event.id, name: event.name, endsAt: event.endsAt } : null,
+    totalReward: Math.round((baseReward + streakBonus) * multiplier)
+  };
+}
+
+/**
+ * Payout curve for a streak started on a given day
+ * Day n is assumed to be claimed n - 1 days after startDate, so multiplier events
+ * show up on the days they cover
+ * @param {Object} schedule - Schedule to preview
+ * @param {Object[]} multipliers - Multiplier events to apply
+ * @param {Date} startDate - Claim time of day 1
+ * @param {number} days - Number of days to preview
+ * @returns {Object[]} - [{ day, date, baseReward, streakBonus, multiplier, totalReward, cumulative }]
+ */
+function buildPayoutPreview(schedule, multipliers, startDate = new Date(), days = PREVIEW_DAYS) {
+  let cumulative = 0;
+  const curve = [];
+
+  for (let day = 1; day <= days; day++) {
+    const date = new Date(startDate.getTime() + (day - 1) * DAY_MS);
+    const payout = calculateDailyReward({ schedule, multipliers }, day, date);
+    cumulative += payout.totalReward;
+
+    curve.push({
+      day,
+      date,
+      baseReward: payout.baseReward,
+      streakBonus: payout.streakBonus,
+      multiplier: payout.multiplier,
+      totalReward: payout.totalReward,
+      cumulative
+    });
+  }
+
+  return curve;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  PREVIEW_DAYS,
+  validateSchedule,
+  validateMultiplier,
+  getScheduleConfig,
+  invalidateScheduleCache,
+  calculateDailyReward,
+  buildPayoutPreview
+};
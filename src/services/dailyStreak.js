@@ -0,0 +1,230 @@
+const { prisma } = require('../config/database');
+const { POINT_SOURCES, recordPointTransaction } = require('./pointsLedger');
+const dayBoundary = require('../utils/dayBoundary');
+
+/**
+ * Daily Streak Service
+ * Streak continuity for daily rewards (one claim per local day in the user's
+ * timezone, see utils/dayBoundary), plus the two ways to keep a streak alive
+ * after missing days:
+ *   - Streak freezes: bought ahead of time, each one covers one missed day and
+ *     is consumed automatically by the next claim
+ *   - Streak repair: paid after a break, restores the lost streak within 48 hours
+ *     of the moment it broke
+ * Freezes consumed and streaks broken/repaired are recorded on the DailyReward row
+ * of the claim that used or lost them.
+ */
+
+const STREAK_FREEZE_COST = 100;
+const MAX_STREAK_FREEZES = 2;
+const STREAK_REPAIR_COST = 250;
+const STREAK_REPAIR_WINDOW_HOURS = 48;
+
+/**
+ * Work out what the next claim does to a streak
+ * @param {Object} params
+ * @param {Date|null} params.lastClaimedAt - Most recent claim, null if none
+ * @param {number} params.currentStreak - User.streakCount
+ * @param {number} params.streakFreezes - Freezes the user holds
+ * @param {Date} params.now - Claim time
+ * @param {string} params.timezone - User's IANA timezone
+ * @returns {Object} - { diffDays, nextConsecutive, freezesToUse, brokenStreak, streakBrokenAt }
+ *   diffDays is null without a previous claim and 0 while on cooldown. brokenStreak and
+ *   streakBrokenAt are set when the claim starts a new streak over an existing one.
+ */
+function evaluateStreak({ lastClaimedAt, currentStreak, streakFreezes, now, timezone = dayBoundary.DEFAULT_TIMEZONE }) {
+  const streak = currentStreak || 0;
+  const result = {
+    diffDays: null,
+    nextConsecutive: 1,
+    freezesToUse: 0,
+    brokenStreak: null,
+    streakBrokenAt: null
+  };
+
+  if (!lastClaimedAt) {
+    return result;
+  }
+
+  const diffDays = dayBoundary.dayDiff(now, lastClaimedAt, timezone);
+  result.diffDays = diffDays;
+
+  if (diffDays <= 1) {
+    // Claimed today (next claim is tomorrow) or yesterday - streak continues
+    result.nextConsecutive = streak + 1;
+    return result;
+  }
+
+  const missedDays = diffDays - 1;
+  const freezes = streakFreezes || 0;
+
+  if (streak > 0 && freezes >= missedDays) {
+    result.nextConsecutive = streak + 1;
+    result.freezesToUse = missedDays;
+    return result;
+  }
+
+  if (streak > 0) {
+    // Freezes held cover the first missed days; the streak broke when the next one ended
+    result.brokenStreak = streak;
+    result.streakBrokenAt = dayBoundary.addDays(lastClaimedAt, freezes + 2, timezone);
+  }
+
+  return result;
+}
+
+/**
+ * Get the repair deadline for a claim row that broke a streak
+ * @param {Object|null} dailyReward - DailyReward row
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Deadline, or null if the row can't be repaired
+ */
+function getRepairDeadline(dailyReward, now = new Date()) {
+  if (!dailyReward || !dailyReward.brokenStreak || !dailyReward.streakBrokenAt || dailyReward.repairedAt) {
+    return null;
+  }
+
+  const deadline = new Date(new Date(dailyReward.streakBrokenAt).getTime() + STREAK_REPAIR_WINDOW_HOURS * 60 * 60 * 1000);
+  return now < deadline ? deadline : null;
+}
+
+/**
+ * Find the user's most recent streak break
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - DailyReward row that reset the streak
+ */
+async function findLatestBreak(client, userId) {
+  return await client.dailyReward.findFirst({
+    where: { userId, brokenStreak: { not: null } },
+    orderBy: { claimedAt: 'desc' }
+  });
+}
+
+/**
+ * Lock the user row for the rest of the transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function lockUser(tx, userId) {
+  await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+}
+
+/**
+ * Buy one streak freeze with points
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { streakFreezes, points }
+ */
+async function purchaseStreakFreeze(userId) {
+  return await prisma.$transaction(async (tx) => {
+    await lockUser(tx, userId);
+
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { points: true, streakFreezes: true }
+    });
+
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    if (user.streakFreezes >= MAX_STREAK_FREEZES) {
+      throw new Error('STREAK_FREEZE_LIMIT_REACHED');
+    }
+
+    if (user.points < STREAK_FREEZE_COST) {
+      throw new Error('INSUFFICIENT_POINTS');
+    }
+
+    const updated = await tx.user.update({
+      where: { id: userId },
+      data: {
+        points: { decrement: STREAK_FREEZE_COST },
+        streakFreezes: { increment: 1 }
+      },
+      select: { points: true, streakFreezes: true }
+    });
+
+    await recordPointTransaction(tx, {
+      userId,
+      delta: -STREAK_FREEZE_COST,
+      sourceType: POINT_SOURCES.STREAK_FREEZE_PURCHASE,
+      note: 'Streak freeze purchased'
+    });
+
+    return updated;
+  });
+}
+
+/**
+ * Restore the streak lost in the user's most recent break
+ * Days claimed since the break are added on top of the restored streak
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { streakCount, restoredStreak, points }
+ */
+async function repairStreak(userId) {
+  return await prisma.$transaction(async (tx) => {
+    await lockUser(tx, userId);
+
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { points: true, streakCount: true }
+    });
+
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    const latestBreak = await findLatestBreak(tx, userId);
+    const now = new Date();
+
+    if (!getRepairDeadline(latestBreak, now)) {
+      throw new Error('STREAK_NOT_REPAIRABLE');
+    }
+
+    if (user.points < STREAK_REPAIR_COST) {
+      throw new Error('INSUFFICIENT_POINTS');
+    }
+
+    await tx.dailyReward.update({
+      where: { id: latestBreak.id },
+      data: { repairedAt: now }
+    });
+
+    const updated = await tx.user.update({
+      where: { id: userId },
+      data: {
+        points: { decrement: STREAK_REPAIR_COST },
+        streakCount: { increment: latestBreak.brokenStreak }
+      },
+      select: { points: true, streakCount: true }
+    });
+
+    await recordPointTransaction(tx, {
+      userId,
+      delta: -STREAK_REPAIR_COST,
+      sourceType: POINT_SOURCES.STREAK_REPAIR,
+      sourceId: latestBreak.id,
+      note: `Streak repair (restored ${latestBreak.brokenStreak} days)`
+    });
+
+    return {
+      streakCount: updated.streakCount,
+      restoredStreak: latestBreak.brokenStreak,
+      points: updated.points
+    };
+  });
+}
+
+module.exports = {
+  STREAK_FREEZE_COST,
+  MAX_STREAK_FREEZES,
+  STREAK_REPAIR_COST,
+  STREAK_REPAIR_WINDOW_HOURS,
+  evaluateStreak,
+  getRepairDeadline,
+  findLatestBreak,
+  purchaseStreakFreeze,
+  repairStreak
+};
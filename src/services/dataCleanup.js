@@ -214,6 +214,31 @@ async function cleanupMiningClaims() {
   }
 }
 
+/**
+ * Cleanup Idempotency Keys - Delete Postgres records past their 24h window
+ * (Redis records expire on their own)
+ * @returns {Promise<Object>} Cleanup results
+ */
+async function cleanupIdempotencyKeys() {
+  try {
+    const deleteResult = await prisma.idempotencyKey.deleteMany({
+      where: {
+        expiresAt: {
+          lt: new Date()
+        }
+      }
+    });
+
+    return {
+      deleted: deleteResult.count,
+      errors: 0
+    };
+  } catch (error) {
+    console.error('Error in cleanupIdempotencyKeys:', error);
+    throw error;
+  }
+}
+
 /**
  * Run cleanup operations without aggregation (for daily cleanup)
  * Aggregation runs separately on monthly schedule
@@ -227,6 +252,7 @@ async function runCleanupWithoutAggregation() {
     dailyRewards: { deleted: 0, errors: 0 },
     userActivities: { deleted: 0, errors: 0 },
     miningSessions: { deleted: 0, errors: 0 },
+    idempotencyKeys: { deleted: 0, errors: 0 },
     duration: 0
   };
 
@@ -246,6 +272,11 @@ async function runCleanupWithoutAggregation() {
     results.miningSessions = await cleanupMiningSessions();
     console.log(`✅ Mining sessions: ${results.miningSessions.deleted} deleted, ${results.miningSessions.errors} errors`);
 
+    // 4. Cleanup expired Idempotency Keys
+    console.log('🔑 Cleaning up expired idempotency keys...');
+    results.idempotencyKeys = await cleanupIdempotencyKeys();
+    console.log(`✅ Idempotency keys: ${results.idempotencyKeys.deleted} deleted, ${results.idempotencyKeys.errors} errors`);
+
     // Note: Mining claims aggregation runs monthly at 00:00 UTC on the 1st
 
     results.duration = Date.now() - startTime;
@@ -273,6 +304,7 @@ async function runCleanup() {
     userActivities: { deleted: 0, aggregated: 0, errors: 0 },
     miningSessions: { deleted: 0, errors: 0 },
     miningClaims: { deleted: 0, errors: 0 },
+    idempotencyKeys: { deleted: 0, errors: 0 },
     duration: 0
   };
 
@@ -307,6 +339,11 @@ async function runCleanup() {
     results.miningClaims = await cleanupMiningClaims();
     console.log(`✅ Mining claims: ${results.miningClaims.deleted} deleted, ${results.miningClaims.errors} errors`);
 
+    // 5. Cleanup expired Idempotency Keys
+    console.log('🔑 Cleaning up expired idempotency keys...');
+    results.idempotencyKeys = await cleanupIdempotencyKeys();
+    console.log(`✅ Idempotency keys: ${results.idempotencyKeys.deleted} deleted, ${results.idempotencyKeys.errors} errors`);
+
     results.duration = Date.now() - startTime;
     console.log(`✅ Data cleanup completed in ${(results.duration / 1000).toFixed(2)}s`);
 
@@ -324,6 +361,7 @@ module.exports = {
   cleanupUserActivities,
   cleanupMiningSessions,
   cleanupMiningClaims,
+  cleanupIdempotencyKeys,
   runCleanup,
   runCleanupWithoutAggregation
 };
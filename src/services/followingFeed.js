@@ -0,0 +1,66 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Following Feed Service
+ * Articles from creators a user follows, and the unread badge count for the
+ * Following tab. Only articles published since the user followed the creator
+ * count as unread, so following a prolific creator doesn't light up the badge
+ * with their whole back catalogue.
+ */
+
+const UNREAD_COUNT_CACHE_TTL = 60; // 1 minute - new articles show up within a minute
+
+const unreadCountKey = (userId) => `articles:following:unread:${userId}`;
+
+/**
+ * Get the IDs of creators a user follows
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+async function getFollowedCreatorIds(userId) {
+  const follows = await prisma.follow.findMany({
+    where: { followerId: userId },
+    select: { followingId: true }
+  });
+
+  return follows.map((follow) => follow.followingId);
+}
+
+/**
+ * Count unread articles from followed creators (cached)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function getUnreadCount(userId) {
+  return await cacheService.getOrSet(unreadCountKey(userId), async () => {
+    const [{ count }] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS count
+      FROM articles a
+      JOIN follows f ON f.following_id = a.author_id AND f.follower_id = ${userId}
+      WHERE a.status = 'published'
+        AND COALESCE(a.published_at, a.created_at) >= f.created_at
+        AND NOT EXISTS (
+          SELECT 1 FROM read_articles ra
+          WHERE ra.user_id = ${userId} AND ra.article_id = a.id
+        )
+    `;
+
+    return count;
+  }, UNREAD_COUNT_CACHE_TTL);
+}
+
+/**
+ * Drop a user's cached unread count (after they read an article or change follows)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function invalidateUnreadCount(userId) {
+  await cacheService.delete(unreadCountKey(userId));
+}
+
+module.exports = {
+  getFollowedCreatorIds,
+  getUnreadCount,
+  invalidateUnreadCount
+};
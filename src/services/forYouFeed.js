@@ -0,0 +1,236 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * For You Feed Service
+ * Ranks recent published articles for one user. Each unread candidate gets
+ *   score = 0.45 * category affinity   (user's reads per category, decayed by age)
+ *         + 0.25 * followed creator    (1 if the author is followed)
+ *         + 0.15 * freshness           (halves every FRESHNESS_HALF_LIFE_HOURS)
+ *         + 0.15 * read velocity       (reads in the last 24h, relative to the busiest candidate)
+ * A share of slots (FOR_YOU_EXPLORATION_SHARE, default 0.15) is given to articles
+ * from categories the user hasn't read, so the feed doesn't collapse onto a few topics.
+ * Only articles in the reader's languages are candidates. The ranked list is cached
+ * per user and language set for FEED_CACHE_TTL seconds.
+ */
+
+const WEIGHTS = {
+  affinity: 0.45,
+  following: 0.25,
+  freshness: 0.15,
+  velocity: 0.15
+};
+
+const CANDIDATE_WINDOW_DAYS = 14;
+const MAX_CANDIDATES = 500;
+const AFFINITY_WINDOW_DAYS = 90;
+const AFFINITY_HALF_LIFE_DAYS = 14;
+const MAX_HISTORY = 500;
+const FRESHNESS_HALF_LIFE_HOURS = 48;
+const VELOCITY_WINDOW_HOURS = 24;
+const DEFAULT_EXPLORATION_SHARE = 0.15;
+const MAX_EXPLORATION_SHARE = 0.5;
+const FEED_CACHE_TTL = 600; // 10 minutes
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const feedCacheKey = (userId, languages) => `articles:forYou:${userId}:${languages ? languages.join(',') : 'all'}`;
+
+/**
+ * Share of feed slots reserved for exploration
+ * Configured via FOR_YOU_EXPLORATION_SHARE (0 disables exploration)
+ * @returns {number} - Between 0 and MAX_EXPLORATION_SHARE
+ */
+function getExplorationShare() {
+  const share = parseFloat(process.env.FOR_YOU_EXPLORATION_SHARE);
+  if (isNaN(share)) {
+    return DEFAULT_EXPLORATION_SHARE;
+  }
+  return Math.min(Math.max(share, 0), MAX_EXPLORATION_SHARE);
+}
+
+/**
+ * Category affinity from the user's reading history
+ * Every read counts once and a claimed reward (UserActivity) counts once more,
+ * both decayed by age
+ * @param {string} userId - User ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<Map<string, number>>} - category -> affinity (0-1, sums to 1)
+ */
+async function getCategoryAffinity(userId, now) {
+  const since = new Date(now.getTime() - AFFINITY_WINDOW_DAYS * DAY_MS);
+
+  const [reads, completions] = await Promise.all([
+    prisma.readArticle.findMany({
+      where: { userId, readAt: { gte: since } },
+      select: { readAt: true, article: { select: { category: true } } },
+      orderBy: { readAt: 'desc' },
+      take: MAX_HISTORY
+    }),
+    prisma.userActivity.findMany({
+      where: { userId, completedAt: { gte: since } },
+      select: { completedAt: true, article: { select: { category: true } } },
+      orderBy: { completedAt: 'desc' },
+      take: MAX_HISTORY
+    })
+  ]);
+
+  const weights = new Map();
+  const add = (category, at) => {
+    const ageDays = Math.max(0, now - at) / DAY_MS;
+    const weight = Math.pow(0.5, ageDays / AFFINITY_HALF_LIFE_DAYS);
+    weights.set(category, (weights.get(category) || 0) + weight);
+  };
+
+  reads.forEach((read) => add(read.article.category, read.readAt));
+  completions.forEach((activity) => add(activity.article.category, activity.completedAt));
+
+  const total = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+  if (total > 0) {
+    for (const [category, weight] of weights) {
+      weights.set(category, weight / total);
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Build the ranked feed for a user
+ * @param {string} userId - User ID
+ * @param {string[]|null} languages - Article languages to include (null for all)
+ * @returns {Promise<Object>} - { items: [{ id, score, reason }], generatedAt }
+ *   reason is 'following', 'category', 'trending' or 'explore'
+ */
+async function buildFeed(userId, languages = null) {
+  const now = new Date();
+  const since = new Date(now.getTime() - CANDIDATE_WINDOW_DAYS * DAY_MS);
+
+  const [candidates, follows, affinity] = await Promise.all([
+    prisma.article.findMany({
+      where: {
+        status: 'published',
+        ...(languages && { language: { in: languages } }),
+        OR: [
+          { publishedAt: { gte: since } },
+          { publishedAt: null, createdAt: { gte: since } }
+        ]
+      },
+      select: { id: true, category: true, authorId: true, createdAt: true, publishedAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: MAX_CANDIDATES
+    }),
+    prisma.follow.findMany({
+      where: { followerId: userId },
+      select: { followingId: true }
+    }),
+    getCategoryAffinity(userId, now)
+  ]);
+
+  const candidateIds = candidates.map((article) => article.id);
+
+  const [alreadyRead, recentReads] = await Promise.all([
+    prisma.readArticle.findMany({
+      where: { userId, articleId: { in: candidateIds } },
+      select: { articleId: true }
+    }),
+    prisma.readArticle.groupBy({
+      by: ['articleId'],
+      where: {
+        articleId: { in: candidateIds },
+        readAt: { gte: new Date(now.getTime() - VELOCITY_WINDOW_HOURS * HOUR_MS) }
+      },
+      _count: { articleId: true }
+    })
+  ]);
+
+  const readIds = new Set(alreadyRead.map((read) => read.articleId));
+  const followedIds = new Set(follows.map((follow) => follow.followingId));
+  const velocityMap = new Map(recentReads.map((item) => [item.articleId, item._count.articleId]));
+  // Log scale so one viral article doesn't flatten everyone else's velocity to 0
+  const maxVelocity = Math.log1p(Math.max(0, ...velocityMap.values()));
+  const maxAffinity = Math.max(0, ...affinity.values());
+
+  const share = getExplorationShare();
+  const ranked = [];
+  const explorePool = [];
+
+  for (const article of candidates) {
+    if (readIds.has(article.id)) {
+      continue;
+    }
+
+    const ageHours = Math.max(0, now - (article.publishedAt || article.createdAt)) / HOUR_MS;
+    const freshness = Math.pow(0.5, ageHours / FRESHNESS_HALF_LIFE_HOURS);
+    const velocity = maxVelocity > 0 ? Math.log1p(velocityMap.get(article.id) || 0) / maxVelocity : 0;
+    // Relative to the user's top category, so a spread-out reader isn't penalized
+    const categoryAffinity = maxAffinity > 0 ? (affinity.get(article.category) || 0) / maxAffinity : 0;
+    const isFollowed = !!article.authorId && followedIds.has(article.authorId);
+
+    const score = WEIGHTS.affinity * categoryAffinity
+      + WEIGHTS.following * (isFollowed ? 1 : 0)
+      + WEIGHTS.freshness * freshness
+      + WEIGHTS.velocity * velocity;
+
+    let reason = 'trending';
+    if (isFollowed) {
+      reason = 'following';
+    } else if (categoryAffinity > 0) {
+      reason = 'category';
+    }
+
+    // Unfamiliar categories from creators the user doesn't follow are exploration material
+    if (share > 0 && maxAffinity > 0 && categoryAffinity === 0 && !isFollowed) {
+      // Jitter so exploration picks vary between cache rebuilds
+      explorePool.push({ id: article.id, score, reason: 'explore', sortKey: score * (0.75 + Math.random() * 0.5) });
+    } else {
+      ranked.push({ id: article.id, score, reason });
+    }
+  }
+
+  ranked.sort((a, b) => b.score - a.score);
+  explorePool.sort((a, b) => b.sortKey - a.sortKey);
+
+  // Interleave exploration items every 1/share slots; leftovers go to the end
+  const interval = share > 0 ? Math.max(2, Math.round(1 / share)) : Infinity;
+  const items = [];
+  let exploreIndex = 0;
+
+  for (const item of ranked) {
+    if ((items.length + 1) % interval === 0 && exploreIndex < explorePool.length) {
+      const { sortKey, ...explored } = explorePool[exploreIndex++];
+      items.push(explored);
+    }
+    items.push(item);
+  }
+
+  explorePool.slice(exploreIndex).forEach(({ sortKey, ...explored }) => items.push(explored));
+
+  return { items, generatedAt: now };
+}
+
+/**
+ * Get the user's ranked feed, from cache when possible
+ * @param {string} userId - User ID
+ * @param {string[]|null} languages - Article languages to include (null for all)
+ * @returns {Promise<Object>} - { items, generatedAt }
+ */
+async function getFeed(userId, languages = null) {
+  return await cacheService.getOrSet(feedCacheKey(userId, languages), () => buildFeed(userId, languages), FEED_CACHE_TTL);
+}
+
+/**
+ * Drop a user's cached feed (e.g. after they follow someone)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function invalidateFeed(userId) {
+  await cacheService.deletePattern(`articles:forYou:${userId}:*`);
+}
+
+module.exports = {
+  getExplorationShare,
+  getFeed,
+  invalidateFeed
+};
@@ -0,0 +1,166 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+
+/**
+ * Idempotency Store
+ * Keeps the first successful response for each user + Idempotency-Key for 24 hours.
+ * Records live in Redis; Postgres is used whenever Redis is unavailable and is
+ * always checked before a new reservation so records written during a Redis
+ * outage are still honoured once Redis is back.
+ *
+ * Record shape: { requestHash, statusCode, body } (statusCode null while processing)
+ */
+
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+const redisKey = (userId, key) => `idempotency:${userId}:${key}`;
+
+const isRedisReady = () => cacheService.redis.status === 'ready';
+
+/**
+ * Find an unexpired Postgres record
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} - Record or null
+ */
+async function findPostgresRecord(userId, key) {
+  const row = await prisma.idempotencyKey.findUnique({
+    where: { userId_key: { userId, key } }
+  });
+
+  if (!row || row.expiresAt < new Date()) {
+    return null;
+  }
+
+  return {
+    requestHash: row.requestHash,
+    statusCode: row.statusCode,
+    body: row.responseBody
+  };
+}
+
+/**
+ * Reserve a key in Postgres
+ * @returns {Promise<Object>} - { reserved, store, record }
+ */
+async function reservePostgres(userId, key, requestHash) {
+  // Drop an expired row so the key can be reused after 24 hours
+  await prisma.idempotencyKey.deleteMany({
+    where: { userId, key, expiresAt: { lt: new Date() } }
+  });
+
+  try {
+    await prisma.idempotencyKey.create({
+      data: {
+        userId,
+        key,
+        requestHash,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000)
+      }
+    });
+    return { reserved: true, store: 'postgres', record: null };
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+    // Another request holds the key
+    const record = await findPostgresRecord(userId, key);
+    return { reserved: false, store: 'postgres', record };
+  }
+}
+
+/**
+ * Reserve a key for a new request, or return the stored record for a replay
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Fingerprint of the request
+ * @returns {Promise<Object>} - { reserved, store, record }
+ */
+async function reserve(userId, key, requestHash) {
+  const existing = await findPostgresRecord(userId, key);
+  if (existing) {
+    return { reserved: false, store: 'postgres', record: existing };
+  }
+
+  if (isRedisReady()) {
+    try {
+      const value = JSON.stringify({ requestHash, statusCode: null, body: null });
+      const result = await cacheService.redis.set(redisKey(userId, key), value, 'EX', IDEMPOTENCY_TTL_SECONDS, 'NX');
+
+      if (result === 'OK') {
+        return { reserved: true, store: 'redis', record: null };
+      }
+
+      const stored = await cacheService.redis.get(redisKey(userId, key));
+      if (stored) {
+        return { reserved: false, store: 'redis', record: JSON.parse(stored) };
+      }
+      // Expired between SET and GET - fall through to Postgres
+    } catch (error) {
+      console.error('Idempotency Redis error, falling back to Postgres:', error);
+    }
+  }
+
+  return await reservePostgres(userId, key, requestHash);
+}
+
+/**
+ * Store the final response for a reserved key
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} store - Store that holds the reservation ('redis' or 'postgres')
+ * @param {string} requestHash - Fingerprint of the request
+ * @param {number} statusCode - HTTP status of the response
+ * @param {any} body - JSON response body
+ * @returns {Promise<void>}
+ */
+async function complete(userId, key, store, requestHash, statusCode, body) {
+  if (store === 'redis') {
+    try {
+      const value = JSON.stringify({ requestHash, statusCode, body });
+      // KEEPTTL so the 24h window still counts from the first request
+      await cacheService.redis.set(redisKey(userId, key), value, 'KEEPTTL');
+      return;
+    } catch (error) {
+      console.error('Idempotency Redis error, storing response in Postgres:', error);
+    }
+  }
+
+  await prisma.idempotencyKey.upsert({
+    where: { userId_key: { userId, key } },
+    update: { statusCode, responseBody: body },
+    create: {
+      userId,
+      key,
+      requestHash,
+      statusCode,
+      responseBody: body,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000)
+    }
+  });
+}
+
+/**
+ * Release a reservation so the client can retry (used for error responses)
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} store - Store that holds the reservation ('redis' or 'postgres')
+ * @returns {Promise<void>}
+ */
+async function release(userId, key, store) {
+  if (store === 'redis') {
+    await cacheService.delete(redisKey(userId, key));
+    return;
+  }
+
+  await prisma.idempotencyKey.deleteMany({
+    where: { userId, key }
+  });
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_SECONDS,
+  reserve,
+  complete,
+  release
+};
@@ -170,7 +170,7 @@ class NewsCron {
     this.isRunning = true;
     try {
       const result = await fetchAndPostNews({
-        categories: ['GENERAL', 'CRYPTO', 'SPORTS', 'ENTERTAINMENT'],
+        categories: ['OTHERS', 'DEFI', 'SPORT', 'ENTERTAINMENT'],
         maxArticlesPerCategory: 10,
         dryRun: false
       });
@@ -8,6 +8,7 @@ const axios = require('axios');
 const Parser = require('rss-parser');
 const { getProvidersByPriority, getProvider } = require('../config/newsProviders');
 const apiUsageTracker = require('./apiUsageTracker');
+const { DEFAULT_ARTICLE_LANGUAGE, normalizeLanguageCode } = require('../utils/languages');
 
 const rssParser = new Parser({
   customFields: {
@@ -47,10 +48,11 @@ class NewsService {
       }
 
       let articles = [];
+      let requestsMade = 1;
 
       switch (provider.type) {
         case 'api':
-          articles = await this.fetchFromAPI(provider, category, maxArticles, hoursAgo);
+          ({ articles, requestsMade } = await this.fetchFromAPIInLanguages(provider, category, maxArticles, hoursAgo));
           break;
         case 'rss-aggregator':
           articles = await this.fetchFromRSSAggregator(provider, category, maxArticles, hoursAgo);
@@ -69,7 +71,7 @@ class NewsService {
 
       // Increment usage counter
       if (articles.length > 0 && provider.dailyLimit !== Infinity) {
-        await apiUsageTracker.incrementUsage(provider.name, 1);
+        await apiUsageTracker.incrementUsage(provider.name, requestsMade);
       }
 
       return {
@@ -89,10 +91,35 @@ class NewsService {
     }
   }
 
+  /**
+   * Fetch news from an API provider once per configured language
+   * A failing language doesn't stop the others; throws only if every language failed
+   */
+  async fetchFromAPIInLanguages(provider, category, maxArticles, hoursAgo = null) {
+    const languages = provider.languages || [DEFAULT_ARTICLE_LANGUAGE];
+    const articles = [];
+    let lastError = null;
+
+    for (const language of languages) {
+      try {
+        articles.push(...await this.fetchFromAPI(provider, category, maxArticles, hoursAgo, language));
+      } catch (error) {
+        lastError = error;
+        console.error(`Error fetching ${language} articles from ${provider.name}:`, error.message);
+      }
+    }
+
+    if (lastError && articles.length === 0) {
+      throw lastError;
+    }
+
+    return { articles, requestsMade: languages.length };
+  }
+
   /**
    * Fetch news from API provider (NewsAPI, NewsData, etc.)
    */
-  async fetchFromAPI(provider, category, maxArticles, hoursAgo = null) {
+  async fetchFromAPI(provider, category, maxArticles, hoursAgo = null, language = DEFAULT_ARTICLE_LANGUAGE) {
     const articles = [];
     
     // Calculate date range if hoursAgo is specified
@@ -124,6 +151,10 @@ class NewsService {
       ...provider.params
     };
 
+    if (provider.languageParam) {
+      params[provider.languageParam] = language;
+    }
+
     // Add date filtering if supported and hoursAgo is specified
     // Note: NewsAPI free tier may not support real-time date filtering well
     // We'll fetch without date filter and filter after to ensure we get results
@@ -299,7 +330,7 @@ class NewsService {
       }
 
       // Normalize articles first
-      const normalized = this.normalizeAPIArticles(articles, provider.name);
+      const normalized = this.normalizeAPIArticles(articles, provider.name, language);
       
       // Filter by date if hoursAgo is specified (post-fetch filtering)
       // Always do post-fetch filtering to ensure accuracy
@@ -551,7 +582,8 @@ class NewsService {
             author: author ? (typeof author === 'string' ? author.trim() : author.name || author) : null,
             sourceName: feed.sourceName || feed.name,
             sourceUrl: feed.url,
-            category: feed.category || 'GENERAL',
+            category: feed.category || 'OTHERS',
+            language: feed.language || provider.language || DEFAULT_ARTICLE_LANGUAGE,
             maxArticles: feed.maxArticles || null // Pass custom limit if specified
           });
         }
@@ -722,8 +754,9 @@ class NewsService {
 
   /**
    * Normalize API articles to common format
+   * language is the one requested; the article's own language field wins when present
    */
-  normalizeAPIArticles(articles, providerName) {
+  normalizeAPIArticles(articles, providerName, language = DEFAULT_ARTICLE_LANGUAGE) {
     return articles.map(article => {
       // Handle different API response formats
       const description = article.description || article.summary || '';
@@ -768,7 +801,8 @@ class NewsService {
         author: author,
         sourceName: article.source?.name || article.source || providerName,
         sourceUrl: url,
-        category: this.detectCategory(article.title || '', description)
+        category: this.detectCategory(article.title || '', description),
+        language: normalizeLanguageCode(Array.isArray(article.language) ? article.language[0] : article.language) || language
       };
 
       return normalized;
@@ -955,7 +989,7 @@ class NewsService {
   /**
    * Fetch news from multiple categories
    */
-  async fetchNewsByCategories(categories = ['GENERAL', 'CRYPTO', 'SPORTS', 'ENTERTAINMENT'], maxArticlesPerCategory = 5) {
+  async fetchNewsByCategories(categories = ['OTHERS', 'DEFI', 'SPORT', 'ENTERTAINMENT'], maxArticlesPerCategory = 5) {
     const allArticles = [];
 
     for (const category of categories) {
@@ -0,0 +1,115 @@
+const { prisma } = require('../config/database');
+const { buildCursorQuery, buildPaginationResponse } = require('../utils/pagination');
+
+/**
+ * Points Ledger Service
+ * Records why a user's $BUZZ balance moved. Every mutation of User.points
+ * writes a PointTransaction inside the same Prisma transaction as the update.
+ */
+
+// Source types for ledger entries
+const POINT_SOURCES = {
+  DAILY_REWARD: 'daily_reward',
+  ARTICLE_REWARD: 'article_reward',
+  QUEST_REWARD: 'quest_reward',
+  REWARD_REDEMPTION: 'reward_redemption',
+  REWARD_REFUND: 'reward_refund',
+  CREATOR_UPGRADE: 'creator_upgrade',
+  BADGE_AWARD: 'badge_award',
+  ACHIEVEMENT_TOGGLE: 'achievement_toggle',
+  MINING_CLAIM: 'mining_claim',
+  REFERRAL_BONUS: 'referral_bonus',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  RECONCILIATION_ADJUSTMENT: 'reconciliation_adjustment',
+  STREAK_FREEZE_PURCHASE: 'streak_freeze_purchase',
+  STREAK_REPAIR: 'streak_repair'
+};
+
+/**
+ * Record a points change in the ledger
+ * Must be called with the transaction client AFTER User.points has been updated,
+ * so that balanceAfter reflects the new balance
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.userId - User whose balance changed
+ * @param {number} entry.delta - Signed points change
+ * @param {string} entry.sourceType - One of POINT_SOURCES
+ * @param {string|null} entry.sourceId - ID of the record that caused the change
+ * @param {string|null} entry.actorId - Admin who made the change (null for user/system actions)
+ * @param {string|null} entry.note - Optional free-text note
+ * @returns {Promise<Object|null>} - Created ledger entry, or null if delta is 0
+ */
+async function recordPointTransaction(tx, { userId, delta, sourceType, sourceId = null, actorId = null, note = null }) {
+  if (!delta) {
+    return null;
+  }
+
+  const user = await tx.user.findUnique({
+    where: { id: userId },
+    select: { points: true }
+  });
+
+  if (!user) {
+    throw new Error('USER_NOT_FOUND');
+  }
+
+  return await tx.pointTransaction.create({
+    data: {
+      userId,
+      sourceType,
+      sourceId,
+      delta,
+      balanceAfter: user.points,
+      actorId,
+      note
+    }
+  });
+}
+
+/**
+ * Get a page of a user's ledger (newest first, cursor-based)
+ * @param {string} userId - User ID
+ * @param {Object} pagination - Pagination parameters from parsePaginationParams
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.sourceType - Only return entries of this source type
+ * @returns {Promise<Object>} - { entries, limit, nextCursor, hasMore }
+ */
+async function getUserLedger(userId, pagination, filters = {}) {
+  const cursorQuery = buildCursorQuery(pagination, 'id', 'desc');
+  const where = {
+    userId,
+    ...(filters.sourceType && { sourceType: filters.sourceType }),
+    ...cursorQuery.where
+  };
+
+  const entries = await prisma.pointTransaction.findMany({
+    where,
+    orderBy: cursorQuery.orderBy,
+    take: cursorQuery.take,
+    select: {
+      id: true,
+      sourceType: true,
+      sourceId: true,
+      delta: true,
+      balanceAfter: true,
+      actorId: true,
+      note: true,
+      createdAt: true
+    }
+  });
+
+  const paginationResponse = buildPaginationResponse(entries, { ...pagination, hasCursor: true }, 'id');
+
+  return {
+    entries: paginationResponse.data,
+    limit: paginationResponse.limit,
+    nextCursor: paginationResponse.nextCursor,
+    hasMore: paginationResponse.hasMore
+  };
+}
+
+module.exports = {
+  POINT_SOURCES,
+  recordPointTransaction,
+  getUserLedger
+};
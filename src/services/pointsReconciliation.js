@@ -0,0 +1,291 @@
+const { prisma } = require('../config/database');
+const { POINT_SOURCES, recordPointTransaction } = require('./pointsLedger');
+const { refreshUserAndLeaderboardCaches } = require('./cacheRefreshHelpers');
+
+/**
+ * Points Reconciliation Service
+ * Recomputes each user's expected $BUZZ balance from the records that earned or
+ * spent the points, compares it to User.points and stores the drift report.
+ *
+ * The expected balance starts from the user's opening balance (their balance
+ * before the first ledger entry) and adds every ledger entry since. For entries
+ * whose source record still exists, the amount is taken from that record:
+ * - article_reward: UserActivity.pointsEarned
+ * - daily_reward: DailyReward.pointsEarned
+ * - quest_reward: Quest.reward if the QuestCompletion is verified, 0 otherwise
+ * - badge_award: Badge.pointsRequired, not Badge.pointsValue: pointsRequired is what
+ *   awardBadge credits, and pointsValue is only moved by the admin achievement toggle,
+ *   which has its own ledger entries (achievement_toggle)
+ * - reward_redemption: Reward.pointsSpent, falling back to AvailableReward.pointsRequired
+ * Pruned source records (daily rewards and activities are cleaned up after 7 days)
+ * fall back to the ledger delta. Sources without a backing table (creator upgrade,
+ * admin adjustments, mining, referrals, ...) use the ledger delta directly.
+ *
+ * Users with a non-zero balance but no ledger entries are checked too. Their expected
+ * balance is the sum of their source records alone (opening balance 0), so points
+ * from pruned records or ledger-only sources show up as drift for them. Those drifts
+ * are reported (hasLedgerHistory false) but never auto-corrected.
+ */
+
+// Differences smaller than this are floating point noise (mining credits fractional points)
+const DRIFT_TOLERANCE = 0.0001;
+
+/**
+ * Whether scheduled runs should auto-correct drift
+ * Opt-in via POINTS_RECONCILIATION_AUTO_CORRECT=true
+ * @returns {boolean}
+ */
+function isAutoCorrectEnabled() {
+  return process.env.POINTS_RECONCILIATION_AUTO_CORRECT === 'true';
+}
+
+/**
+ * Find every user whose balance differs from the recomputed expected balance
+ * @returns {Promise<Object>} - { usersChecked, drifts: [{ userId, actualBalance, expectedBalance, ledgerBalance, hasLedgerHistory }] }
+ */
+async function findDrifts() {
+  const drifts = await prisma.$queryRaw`
+    WITH opening AS (
+      SELECT DISTINCT ON (user_id) user_id, balance_after - delta AS opening_balance
+      FROM point_transactions
+      ORDER BY user_id, created_at ASC, id ASC
+    ),
+    entries AS (
+      SELECT
+        pt.user_id,
+        pt.delta,
+        CASE pt.source_type
+          WHEN ${POINT_SOURCES.ARTICLE_REWARD} THEN COALESCE(ua.points_earned::float8, pt.delta)
+          WHEN ${POINT_SOURCES.DAILY_REWARD} THEN COALESCE(dr.points_earned::float8, pt.delta)
+          WHEN ${POINT_SOURCES.QUEST_REWARD} THEN
+            CASE
+              WHEN qc.id IS NULL THEN pt.delta
+              WHEN qc.status = 'verified' THEN q.reward::float8
+              ELSE 0
+            END
+          WHEN ${POINT_SOURCES.BADGE_AWARD} THEN COALESCE(b.points_required::float8, pt.delta)
+          WHEN ${POINT_SOURCES.REWARD_REDEMPTION} THEN COALESCE(-r.points_spent::float8, -ar.points_required::float8, pt.delta)
+          ELSE pt.delta
+        END AS expected_delta
+      FROM point_transactions pt
+      LEFT JOIN user_activities ua ON pt.source_type = ${POINT_SOURCES.ARTICLE_REWARD} AND ua.id = pt.source_id
+      LEFT JOIN daily_rewards dr ON pt.source_type = ${POINT_SOURCES.DAILY_REWARD} AND dr.id = pt.source_id
+      LEFT JOIN quest_completions qc ON pt.source_type = ${POINT_SOURCES.QUEST_REWARD} AND qc.id = pt.source_id
+      LEFT JOIN quests q ON q.id = qc.quest_id
+      LEFT JOIN user_badges ub ON pt.source_type = ${POINT_SOURCES.BADGE_AWARD} AND ub.id = pt.source_id
+      LEFT JOIN badges b ON b.id = ub.badge_id
+      LEFT JOIN rewards r ON pt.source_type = ${POINT_SOURCES.REWARD_REDEMPTION} AND r.id = pt.source_id
+      LEFT JOIN available_rewards ar ON ar.id = r.available_reward_id
+      -- Corrections move the balance back to the expected value, so they must not count towards it
+      WHERE pt.source_type <> ${POINT_SOURCES.RECONCILIATION_ADJUSTMENT}
+    ),
+    totals AS (
+      SELECT user_id, SUM(delta) AS ledger_change, SUM(expected_delta) AS expected_change
+      FROM entries
+      GROUP BY user_id
+    ),
+    balances AS (
+      SELECT
+        u.id AS user_id,
+        u.points AS actual_balance,
+        o.opening_balance + COALESCE(t.expected_change, 0) AS expected_balance,
+        o.opening_balance + COALESCE(t.ledger_change, 0) AS ledger_balance,
+        true AS has_ledger_history
+      FROM opening o
+      JOIN users u ON u.id = o.user_id
+      LEFT JOIN totals t ON t.user_id = o.user_id
+
+      UNION ALL
+
+      -- Balances the ledger knows nothing about, recomputed from the source records alone
+      SELECT
+        u.id AS user_id,
+        u.points AS actual_balance,
+        COALESCE((SELECT SUM(ua.points_earned) FROM user_activities ua WHERE ua.user_id = u.id), 0)
+          + COALESCE((SELECT SUM(dr.points_earned) FROM daily_rewards dr WHERE dr.user_id = u.id), 0)
+          + COALESCE((
+            SELECT SUM(q.reward)
+            FROM quest_completions qc
+            JOIN quests q ON q.id = qc.quest_id
+            WHERE qc.user_id = u.id AND qc.status = 'verified'
+          ), 0)
+          + COALESCE((
+            SELECT SUM(b.points_required)
+            FROM user_badges ub
+            JOIN badges b ON b.id = ub.badge_id
+            WHERE ub.user_id = u.id
+          ), 0)
+          - COALESCE((
+            SELECT SUM(COALESCE(r.points_spent, ar.points_required))
+            FROM rewards r
+            LEFT JOIN available_rewards ar ON ar.id = r.available_reward_id
+            WHERE r.user_id = u.id
+          ), 0) AS expected_balance,
+        0 AS ledger_balance,
+        false AS has_ledger_history
+      FROM users u
+      WHERE u.points <> 0
+        AND NOT EXISTS (SELECT 1 FROM point_transactions pt WHERE pt.user_id = u.id)
+    )
+    SELECT
+      user_id AS "userId",
+      actual_balance::float8 AS "actualBalance",
+      expected_balance::float8 AS "expectedBalance",
+      ledger_balance::float8 AS "ledgerBalance",
+      has_ledger_history AS "hasLedgerHistory"
+    FROM balances
+    WHERE ABS(actual_balance - expected_balance) > ${DRIFT_TOLERANCE}
+    ORDER BY ABS(actual_balance - expected_balance) DESC
+  `;
+
+  const [{ count }] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS count
+    FROM users u
+    WHERE u.points <> 0
+      OR EXISTS (SELECT 1 FROM point_transactions pt WHERE pt.user_id = u.id)
+  `;
+
+  return { usersChecked: count, drifts };
+}
+
+/**
+ * Move a drifted user's balance back to the expected balance
+ * Writes a reconciliation_adjustment ledger entry with an audit note
+ * Users without ledger entries before the run are never corrected: their expected
+ * balance misses pruned and ledger-only points, so a correction would wipe real points
+ * @param {Object} run - ReconciliationRun
+ * @param {Object} drift - ReconciliationDrift
+ * @returns {Promise<Object>} - Created ledger entry
+ */
+async function correctDrift(run, drift) {
+  if (!drift.hasLedgerHistory) {
+    throw new Error('NO_LEDGER_HISTORY');
+  }
+
+  const correction = await prisma.$transaction(async (tx) => {
+    const priorEntries = await tx.pointTransaction.count({
+      where: { userId: drift.userId, createdAt: { lt: run.startedAt } }
+    });
+
+    if (priorEntries === 0) {
+      throw new Error('NO_LEDGER_HISTORY');
+    }
+
+    await tx.user.update({
+      where: { id: drift.userId },
+      data: {
+        points: {
+          increment: -drift.drift
+        }
+      }
+    });
+
+    const entry = await recordPointTransaction(tx, {
+      userId: drift.userId,
+      delta: -drift.drift,
+      sourceType: POINT_SOURCES.RECONCILIATION_ADJUSTMENT,
+      sourceId: drift.id,
+      actorId: run.triggeredBy,
+      note: `Auto-corrected by reconciliation run ${run.id}: balance ${drift.actualBalance} -> expected ${drift.expectedBalance}`
+    });
+
+    await tx.reconciliationDrift.update({
+      where: { id: drift.id },
+      data: {
+        corrected: true,
+        correctionId: entry.id
+      }
+    });
+
+    return entry;
+  });
+
+  try {
+    await refreshUserAndLeaderboardCaches(drift.userId);
+  } catch (err) {
+    // Non-blocking: Log error but don't fail the run
+    console.error('Error refreshing caches after reconciliation correction:', err);
+  }
+
+  return correction;
+}
+
+/**
+ * Run a full reconciliation and store the drift report
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - 'cron' or 'manual'
+ * @param {boolean} options.autoCorrect - Correct drifted balances with an audit note
+ * @param {string|null} options.triggeredBy - Admin who started a manual run
+ * @returns {Promise<Object>} - Completed ReconciliationRun
+ */
+async function runReconciliation({ trigger = 'cron', autoCorrect = false, triggeredBy = null } = {}) {
+  const run = await prisma.reconciliationRun.create({
+    data: { trigger, autoCorrect, triggeredBy }
+  });
+
+  try {
+    const { usersChecked, drifts } = await findDrifts();
+
+    if (drifts.length > 0) {
+      await prisma.reconciliationDrift.createMany({
+        data: drifts.map((drift) => ({
+          runId: run.id,
+          userId: drift.userId,
+          actualBalance: drift.actualBalance,
+          expectedBalance: drift.expectedBalance,
+          ledgerBalance: drift.ledgerBalance,
+          drift: drift.actualBalance - drift.expectedBalance,
+          hasLedgerHistory: drift.hasLedgerHistory
+        }))
+      });
+    }
+
+    let correctedCount = 0;
+    if (autoCorrect && drifts.length > 0) {
+      const storedDrifts = await prisma.reconciliationDrift.findMany({
+        where: { runId: run.id, hasLedgerHistory: true }
+      });
+
+      for (const drift of storedDrifts) {
+        try {
+          await correctDrift(run, drift);
+          correctedCount++;
+        } catch (error) {
+          console.error(`❌ [RECONCILIATION] Failed to correct drift for user ${drift.userId}:`, error);
+        }
+      }
+    }
+
+    const totalDrift = drifts.reduce((sum, drift) => sum + Math.abs(drift.actualBalance - drift.expectedBalance), 0);
+
+    return await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'completed',
+        usersChecked,
+        driftCount: drifts.length,
+        correctedCount,
+        totalDrift,
+        completedAt: new Date()
+      }
+    });
+  } catch (error) {
+    await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date()
+      }
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  DRIFT_TOLERANCE,
+  isAutoCorrectEnabled,
+  findDrifts,
+  correctDrift,
+  runReconciliation
+};
@@ -320,6 +320,162 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Send reward status notification to user
+   * @param {string} userId - User ID
+   * @param {string} rewardId - Reward ID
+   * @param {string} rewardName - Name of the redeemed reward
+   * @param {string} status - New reward status (processing, fulfilled, cancelled, expired)
+   * @param {number} refundedPoints - Points refunded (cancelled/expired only)
+   * @returns {Promise<Object>} Result
+   */
+  async sendRewardStatusNotification(userId, rewardId, rewardName, status, refundedPoints = 0) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { pushToken: true, username: true },
+      });
+
+      if (!user || !user.pushToken) {
+        return {
+          success: false,
+          message: 'User not found or no push token registered',
+        };
+      }
+
+      const refundText = refundedPoints > 0 ? ` ${refundedPoints} $BUZZ has been refunded.` : '';
+      const messages = {
+        processing: {
+          title: '📦 Reward Processing',
+          body: `Your "${rewardName}" reward is being processed.`,
+        },
+        fulfilled: {
+          title: '🎉 Reward Ready!',
+          body: `Your "${rewardName}" reward has been fulfilled. Open the app to view it!`,
+        },
+        cancelled: {
+          title: '↩️ Reward Cancelled',
+          body: `Your "${rewardName}" reward was cancelled.${refundText}`,
+        },
+        expired: {
+          title: '⌛ Reward Expired',
+          body: `Your "${rewardName}" reward has expired.${refundText}`,
+        },
+      };
+
+      if (!messages[status]) {
+        return {
+          success: false,
+          message: `No notification for reward status ${status}`,
+        };
+      }
+
+      const notification = {
+        ...messages[status],
+        data: {
+          type: 'reward_status',
+          rewardId,
+          status,
+        },
+      };
+
+      return await this.sendNotification(user.pushToken, notification);
+    } catch (error) {
+      console.error('Error sending reward status notification:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Send low stock alert to all admins
+   * @param {string} availableRewardId - Catalog reward ID
+   * @param {string} rewardName - Name of the catalog reward
+   * @param {number} remaining - Codes left in the pool
+   * @returns {Promise<Object>} Result
+   */
+  async sendLowStockAlertNotification(availableRewardId, rewardName, remaining) {
+    try {
+      const admins = await prisma.user.findMany({
+        where: {
+          role: 'admin',
+          isActive: true,
+          pushToken: { not: null },
+        },
+        select: { pushToken: true },
+      });
+
+      if (admins.length === 0) {
+        return {
+          success: false,
+          message: 'No admins with push tokens registered',
+        };
+      }
+
+      const notification = {
+        title: '📉 Reward Stock Low',
+        body: `"${rewardName}" has ${remaining} code${remaining === 1 ? '' : 's'} left. Upload more to keep it redeemable.`,
+        data: {
+          type: 'reward_low_stock',
+          availableRewardId,
+          remaining,
+        },
+      };
+
+      return await this.sendBulkNotifications(admins.map((admin) => admin.pushToken), notification);
+    } catch (error) {
+      console.error('Error sending low stock alert notification:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Send comment reply notification to the author of the comment replied to
+   * @param {string} userId - Author of the parent comment
+   * @param {string} articleId - Article ID
+   * @param {string} commentId - ID of the reply
+   * @param {string} replierName - Display name of the user who replied
+   * @returns {Promise<Object>} Result
+   */
+  async sendCommentReplyNotification(userId, articleId, commentId, replierName) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { pushToken: true, isActive: true },
+      });
+
+      if (!user || !user.pushToken || !user.isActive) {
+        return {
+          success: false,
+          message: 'User not found or no push token registered',
+        };
+      }
+
+      const notification = {
+        title: '💬 New Reply',
+        body: `${replierName} replied to your comment.`,
+        data: {
+          type: 'comment_reply',
+          articleId,
+          commentId,
+        },
+      };
+
+      return await this.sendNotification(user.pushToken, notification);
+    } catch (error) {
+      console.error('Error sending comment reply notification:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Send notification to all users with push tokens
    * @param {Object} notification - Notification data
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+
+/**
+ * Read Sessions Service
+ * POST /articles/:id/read issues a signed read-session token carrying the server
+ * time the user opened the article and the minimum dwell time for it.
+ * POST /articles/:id/claim-reward only pays out with a valid token for the same
+ * user and article, once the dwell time has passed, and records the
+ * server-measured duration. Forged, mismatched or too-fast claims count as read
+ * violations on the user so repeat offenders can be flagged for review.
+ */
+
+const READ_SESSION_TYPE = 'read_session';
+const READ_SESSION_TTL = '24h';
+
+// Minimum dwell = a quarter of the estimated reading time, clamped
+const READING_WORDS_PER_MINUTE = 250;
+const DWELL_FRACTION = 0.25;
+const MIN_DWELL_SECONDS = 10;
+const MAX_DWELL_SECONDS = 90;
+
+// Users at or above this many violations show up as flagged in the admin users list
+const READ_VIOLATION_FLAG_THRESHOLD = 5;
+
+// Separate key from the access-token secret so a read-session token can never authenticate
+const getSigningKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update(READ_SESSION_TYPE).digest();
+
+/**
+ * Minimum seconds a user must spend on an article before claiming its reward
+ * @param {string} content - Article content
+ * @returns {number}
+ */
+function getMinimumDwellSeconds(content) {
+  const words = (content || '').trim().split(/\s+/).filter(Boolean).length;
+  const readingSeconds = (words / READING_WORDS_PER_MINUTE) * 60;
+  return Math.round(Math.min(Math.max(readingSeconds * DWELL_FRACTION, MIN_DWELL_SECONDS), MAX_DWELL_SECONDS));
+}
+
+/**
+ * Start a read session for an article
+ * @param {string} userId - Reader
+ * @param {Object} article - { id, content }
+ * @returns {Object} - { token, startedAt, minDwellSeconds, claimableAt }
+ */
+function issueReadSession(userId, article) {
+  const startedAt = new Date();
+  const minDwellSeconds = getMinimumDwellSeconds(article.content);
+
+  const token = jwt.sign(
+    {
+      type: READ_SESSION_TYPE,
+      sub: userId,
+      aid: article.id,
+      st: startedAt.getTime(),
+      md: minDwellSeconds
+    },
+    getSigningKey(),
+    { expiresIn: READ_SESSION_TTL }
+  );
+
+  return {
+    token,
+    startedAt,
+    minDwellSeconds,
+    claimableAt: new Date(startedAt.getTime() + minDwellSeconds * 1000)
+  };
+}
+
+/**
+ * Check a read-session token at claim time
+ * Throws READ_SESSION_REQUIRED, READ_SESSION_EXPIRED, READ_SESSION_INVALID or
+ * READ_SESSION_TOO_SHORT (error.details has { minDwellSeconds, elapsedSeconds, claimableAt })
+ * @param {string} token - Token from /read
+ * @param {string} userId - Claiming user
+ * @param {string} articleId - Article being claimed
+ * @param {Date} now - Claim time
+ * @returns {Object} - { startedAt, durationSeconds, minDwellSeconds }
+ */
+function verifyReadSession(token, userId, articleId, now = new Date()) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('READ_SESSION_REQUIRED');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSigningKey());
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'READ_SESSION_EXPIRED' : 'READ_SESSION_INVALID');
+  }
+
+  if (payload.type !== READ_SESSION_TYPE || payload.sub !== userId || payload.aid !== articleId) {
+    throw new Error('READ_SESSION_INVALID');
+  }
+
+  const startedAt = new Date(payload.st);
+  const durationSeconds = Math.floor((now.getTime() - startedAt.getTime()) / 1000);
+
+  if (durationSeconds < payload.md) {
+    const error = new Error('READ_SESSION_TOO_SHORT');
+    error.details = {
+      minDwellSeconds: payload.md,
+      elapsedSeconds: Math.max(durationSeconds, 0),
+      claimableAt: new Date(startedAt.getTime() + payload.md * 1000)
+    };
+    throw error;
+  }
+
+  return { startedAt, durationSeconds, minDwellSeconds: payload.md };
+}
+
+/**
+ * Count a read violation against a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Error code that triggered it (for the log)
+ * @returns {Promise<number>} - User's violation count after this one
+ */
+async function recordReadViolation(userId, reason) {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      readViolationCount: { increment: 1 },
+      lastReadViolationAt: new Date()
+    },
+    select: { readViolationCount: true }
+  });
+
+  if (user.readViolationCount === READ_VIOLATION_FLAG_THRESHOLD) {
+    console.warn(`🚩 User ${userId} flagged after ${user.readViolationCount} read violations (latest: ${reason})`);
+  }
+
+  return user.readViolationCount;
+}
+
+module.exports = {
+  READ_VIOLATION_FLAG_THRESHOLD,
+  getMinimumDwellSeconds,
+  issueReadSession,
+  verifyReadSession,
+  recordReadViolation
+};
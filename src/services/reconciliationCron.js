@@ -0,0 +1,61 @@
+const cron = require('node-cron');
+const distributedLock = require('./distributedLock');
+const pointsReconciliation = require('./pointsReconciliation');
+
+/**
+ * Points Reconciliation Cron Jobs
+ * Recomputes user balances nightly and stores a drift report
+ */
+class ReconciliationCron {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Start nightly reconciliation cron job
+   * Runs daily at 3:00 AM UTC (after data cleanup at 2:00 AM)
+   */
+  startNightlyReconciliation() {
+    const job = cron.schedule('0 3 * * *', async () => {
+      const lockKey = `points_reconciliation_${new Date().toISOString().split('T')[0]}`;
+
+      await distributedLock.withLock(lockKey, async () => {
+        try {
+          const autoCorrect = pointsReconciliation.isAutoCorrectEnabled();
+          console.log(`🧮 [RECONCILIATION CRON] Starting points reconciliation (auto-correct: ${autoCorrect})...`);
+          const run = await pointsReconciliation.runReconciliation({ trigger: 'cron', autoCorrect });
+          console.log(`✅ [RECONCILIATION CRON] Run ${run.id} completed: ${run.usersChecked} users checked, ${run.driftCount} drifted, ${run.correctedCount} corrected`);
+        } catch (error) {
+          console.error('❌ [RECONCILIATION CRON] Error in scheduled reconciliation:', error);
+        }
+      }, 3600); // 1 hour TTL
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.push(job);
+    job.start(); // Start the job since scheduled: false
+    console.log('✅ Points reconciliation cron job scheduled (daily at 3:00 AM UTC)');
+  }
+
+  /**
+   * Start all cron jobs
+   */
+  startAll() {
+    this.startNightlyReconciliation();
+    console.log('✅ All reconciliation cron jobs started');
+  }
+
+  /**
+   * Stop all cron jobs
+   */
+  stopAll() {
+    this.jobs.forEach((job) => job.stop());
+    this.jobs = [];
+    console.log('🛑 All reconciliation cron jobs stopped');
+  }
+}
+
+const reconciliationCron = new ReconciliationCron();
+module.exports = reconciliationCron;
@@ -0,0 +1,128 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+const { SEARCH_CONFIG } = require('./articleSearch');
+
+/**
+ * Related Articles Service
+ * Ranks published articles against a source article by:
+ *   - same category
+ *   - shared tags (capped, so heavy tagging doesn't dominate)
+ *   - title term overlap: the source title's terms OR'ed into a tsquery and ranked
+ *     against each candidate's search_vector
+ *   - recency (decays over RECENCY_DECAY_DAYS)
+ * The ranked ids are cached per source article; callers filter out what they've
+ * already read and re-check publish status on every request.
+ */
+
+const RELATED_CANDIDATE_LIMIT = 30;
+const RELATED_CACHE_TTL = 3600; // 1 hour
+
+const CATEGORY_WEIGHT = 1;
+const TAG_WEIGHT = 1.5;
+const MAX_SHARED_TAGS = 3;
+const TITLE_WEIGHT = 10; // ts_rank values are small (~0.01-0.6)
+const RECENCY_WEIGHT = 1;
+const RECENCY_DECAY_DAYS = 7;
+
+const relatedCacheKey = articleId => `articles:related:${articleId}`;
+
+/**
+ * Ranked ids of articles related to a published article (cached)
+ * @param {string} articleId - Source article
+ * @returns {Promise<string[]>}
+ */
+async function getRelatedArticleIds(articleId) {
+  return await cacheService.getOrSet(relatedCacheKey(articleId), async () => {
+    const rows = await prisma.$queryRaw`
+      WITH src AS (
+        SELECT id, category,
+          NULLIF(replace(plainto_tsquery(${SEARCH_CONFIG}::regconfig, title)::text, ' & ', ' | '), '')::tsquery AS title_query
+        FROM articles
+        WHERE id = ${articleId} AND status = 'published'
+      ),
+      shared_tags AS (
+        SELECT other.article_id, COUNT(*)::int AS shared
+        FROM article_tags own
+        JOIN article_tags other ON other.tag_id = own.tag_id AND other.article_id <> own.article_id
+        WHERE own.article_id = ${articleId}
+        GROUP BY other.article_id
+      )
+      SELECT a.id
+      FROM articles a
+      CROSS JOIN src
+      LEFT JOIN shared_tags st ON st.article_id = a.id
+      WHERE a.status = 'published'
+        AND a.id <> src.id
+        AND (
+          a.category = src.category
+          OR st.shared IS NOT NULL
+          OR (src.title_query IS NOT NULL AND a.search_vector @@ src.title_query)
+        )
+      ORDER BY (
+          CASE WHEN a.category = src.category THEN ${CATEGORY_WEIGHT}::float8 ELSE 0 END
+          + LEAST(COALESCE(st.shared, 0), ${MAX_SHARED_TAGS}) * ${TAG_WEIGHT}::float8
+          + CASE WHEN src.title_query IS NULL OR a.search_vector IS NULL THEN 0
+              ELSE ts_rank(a.search_vector, src.title_query) * ${TITLE_WEIGHT}::float8 END
+          + ${RECENCY_WEIGHT}::float8 * EXP(
+              -EXTRACT(EPOCH FROM (${new Date()}::timestamp - COALESCE(a.published_at, a.created_at)))::float8
+              / (86400 * ${RECENCY_DECAY_DAYS}::float8)
+            )
+        ) DESC,
+        a.id DESC
+      LIMIT ${RELATED_CANDIDATE_LIMIT}
+    `;
+
+    return rows.map(row => row.id);
+  }, RELATED_CACHE_TTL);
+}
+
+/**
+ * Drop an article's cached related list (after it's edited or unpublished)
+ * Other articles' lists pick the change up on expiry; unpublished articles are
+ * filtered out of them at request time.
+ * @param {string} articleId - Article ID
+ * @returns {Promise<void>}
+ */
+async function invalidateRelatedArticles(articleId) {
+  await cacheService.delete(relatedCacheKey(articleId));
+}
+
+/**
+ * Related articles for a reader, without ones they've read
+ * @param {string} articleId - Source article
+ * @param {string|null} userId - Reader (null for guests)
+ * @param {number} limit - Max articles
+ * @returns {Promise<string[]>} - Ranked ids of published, unread related articles
+ */
+async function getRelatedArticleIdsForUser(articleId, userId, limit) {
+  const candidateIds = await getRelatedArticleIds(articleId);
+  if (candidateIds.length === 0) {
+    return [];
+  }
+
+  const [stillPublished, readArticles] = await Promise.all([
+    prisma.article.findMany({
+      where: { id: { in: candidateIds }, status: 'published' },
+      select: { id: true }
+    }),
+    userId
+      ? prisma.readArticle.findMany({
+        where: { userId, articleId: { in: candidateIds } },
+        select: { articleId: true }
+      })
+      : []
+  ]);
+
+  const publishedIds = new Set(stillPublished.map(article => article.id));
+  const readIds = new Set(readArticles.map(read => read.articleId));
+
+  return candidateIds
+    .filter(id => publishedIds.has(id) && !readIds.has(id))
+    .slice(0, limit);
+}
+
+module.exports = {
+  getRelatedArticleIds,
+  getRelatedArticleIdsForUser,
+  invalidateRelatedArticles
+};
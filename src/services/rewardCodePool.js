@@ -0,0 +1,237 @@
+const { prisma } = require('../config/database');
+const pushNotificationService = require('./pushNotificationService');
+const { encryptRewardCode, decryptRewardCode, hashRewardCode } = require('../utils/crypto');
+
+/**
+ * Reward Code Pool Service
+ * Unique voucher codes per catalog reward. Codes are encrypted at rest, handed
+ * out once at redemption and never returned to the pool. For pool rewards,
+ * AvailableReward.stock mirrors the number of unassigned codes.
+ */
+
+// Longest code we accept from an upload
+const MAX_CODE_LENGTH = 255;
+
+/**
+ * Parse voucher codes from a CSV upload
+ * Uses the first column of each row; a "code" header row and blank rows are skipped
+ * @param {Buffer|string} csv - CSV file contents
+ * @returns {string[]} - Unique codes in file order
+ */
+function parseCodesCsv(csv) {
+  const codes = new Set();
+  const lines = csv.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const code = line.split(',')[0].trim().replace(/^"(.*)"$/, '$1').trim();
+
+    if (!code || (index === 0 && code.toLowerCase() === 'code')) {
+      return;
+    }
+
+    if (code.length > MAX_CODE_LENGTH) {
+      throw new Error('CODE_TOO_LONG');
+    }
+
+    codes.add(code);
+  });
+
+  return Array.from(codes);
+}
+
+/**
+ * Count unassigned codes in a pool
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} availableRewardId - Catalog reward ID
+ * @returns {Promise<number>}
+ */
+async function countRemainingCodes(client, availableRewardId) {
+  return await client.rewardCode.count({
+    where: { availableRewardId, assignedAt: null }
+  });
+}
+
+/**
+ * Lock the catalog reward row for the rest of the transaction
+ * Serializes pool changes so the stock recount sees every committed assignment
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} availableRewardId - Catalog reward ID
+ * @returns {Promise<void>}
+ */
+async function lockPool(tx, availableRewardId) {
+  await tx.$queryRaw`SELECT id FROM available_rewards WHERE id = ${availableRewardId} FOR UPDATE`;
+}
+
+/**
+ * Set AvailableReward.stock to the number of unassigned codes
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} availableRewardId - Catalog reward ID
+ * @returns {Promise<number>} - Remaining codes
+ */
+async function syncPoolStock(client, availableRewardId) {
+  const remaining = await countRemainingCodes(client, availableRewardId);
+
+  await client.availableReward.update({
+    where: { id: availableRewardId },
+    data: { stock: remaining }
+  });
+
+  return remaining;
+}
+
+/**
+ * Add uploaded codes to a reward's pool and switch the reward to pool-based stock
+ * Codes already in the pool are skipped
+ * @param {string} availableRewardId - Catalog reward ID
+ * @param {string[]} codes - Plaintext codes
+ * @param {string} adminId - Admin who uploaded the codes
+ * @returns {Promise<Object>} - { added, duplicates, remaining }
+ */
+async function addCodes(availableRewardId, codes, adminId) {
+  const rows = codes.map((code) => {
+    const { encrypted, iv } = encryptRewardCode(code);
+    return {
+      availableRewardId,
+      encryptedCode: encrypted,
+      iv,
+      codeHash: hashRewardCode(code),
+      uploadedBy: adminId
+    };
+  });
+
+  const { added, remaining } = await prisma.$transaction(async (tx) => {
+    await lockPool(tx, availableRewardId);
+
+    const reward = await tx.availableReward.findUnique({
+      where: { id: availableRewardId },
+      select: { id: true, lowStockThreshold: true }
+    });
+
+    if (!reward) {
+      throw new Error('REWARD_NOT_FOUND');
+    }
+
+    const result = await tx.rewardCode.createMany({
+      data: rows,
+      skipDuplicates: true
+    });
+
+    await tx.availableReward.update({
+      where: { id: availableRewardId },
+      data: { usesCodePool: true }
+    });
+
+    const remaining = await syncPoolStock(tx, availableRewardId);
+
+    // Refilled above the threshold - allow the next low stock alert
+    if (reward.lowStockThreshold === null || remaining > reward.lowStockThreshold) {
+      await tx.availableReward.update({
+        where: { id: availableRewardId },
+        data: { lowStockAlertedAt: null }
+      });
+    }
+
+    return { added: result.count, remaining };
+  });
+
+  return { added, duplicates: codes.length - added, remaining };
+}
+
+/**
+ * Assign one unused code to a new redemption
+ * Must be called inside the redemption transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} availableRewardId - Catalog reward ID
+ * @param {string} rewardId - New Reward ID
+ * @returns {Promise<number>} - Codes remaining after assignment
+ */
+async function assignCode(tx, availableRewardId, rewardId) {
+  await lockPool(tx, availableRewardId);
+
+  const code = await tx.rewardCode.findFirst({
+    where: { availableRewardId, assignedAt: null },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true }
+  });
+
+  if (!code) {
+    throw new Error('REWARD_OUT_OF_STOCK');
+  }
+
+  await tx.rewardCode.update({
+    where: { id: code.id },
+    data: {
+      rewardId,
+      assignedAt: new Date()
+    }
+  });
+
+  return await syncPoolStock(tx, availableRewardId);
+}
+
+/**
+ * Alert admins once when a pool drops to its low stock threshold
+ * @param {string} availableRewardId - Catalog reward ID
+ * @returns {Promise<void>}
+ */
+async function checkLowStock(availableRewardId) {
+  const reward = await prisma.availableReward.findUnique({
+    where: { id: availableRewardId },
+    select: { id: true, name: true, usesCodePool: true, stock: true, lowStockThreshold: true, lowStockAlertedAt: true }
+  });
+
+  if (!reward || !reward.usesCodePool || reward.lowStockThreshold === null || reward.lowStockAlertedAt) {
+    return;
+  }
+
+  if (reward.stock > reward.lowStockThreshold) {
+    return;
+  }
+
+  // Claim the alert first so concurrent redemptions don't all send it
+  const claimed = await prisma.availableReward.updateMany({
+    where: { id: availableRewardId, lowStockAlertedAt: null },
+    data: { lowStockAlertedAt: new Date() }
+  });
+
+  if (claimed.count > 0) {
+    await pushNotificationService.sendLowStockAlertNotification(reward.id, reward.name, reward.stock);
+  }
+}
+
+/**
+ * Decrypt an assigned code for its owner
+ * @param {Object} rewardCode - RewardCode with encryptedCode and iv
+ * @returns {string|null} - Plaintext code, or null if it can't be decrypted
+ */
+function revealCode(rewardCode) {
+  try {
+    return decryptRewardCode({ encrypted: rewardCode.encryptedCode, iv: rewardCode.iv });
+  } catch (error) {
+    console.error(`Error decrypting reward code ${rewardCode.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Pool counts for admins (never includes codes)
+ * @param {string} availableRewardId - Catalog reward ID
+ * @returns {Promise<Object>} - { total, assigned, remaining }
+ */
+async function getPoolSummary(availableRewardId) {
+  const [total, remaining] = await Promise.all([
+    prisma.rewardCode.count({ where: { availableRewardId } }),
+    countRemainingCodes(prisma, availableRewardId)
+  ]);
+
+  return { total, assigned: total - remaining, remaining };
+}
+
+module.exports = {
+  parseCodesCsv,
+  addCodes,
+  assignCode,
+  checkLowStock,
+  revealCode,
+  getPoolSummary
+};
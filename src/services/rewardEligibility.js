@@ -0,0 +1,129 @@
+const { REWARD_STATUS } = require('./rewardFulfillment');
+
+/**
+ * Reward Eligibility Service
+ * Decides whether a user can redeem a catalog reward. The same rules back the
+ * canRedeem/blockedReason annotation on GET /rewards/available and the checks
+ * inside the /rewards/redeem transaction.
+ */
+
+// Machine-readable reasons a reward can't be redeemed (checked in this order)
+const BLOCKED_REASONS = {
+  INACTIVE: 'INACTIVE',
+  NOT_STARTED: 'NOT_STARTED',
+  ENDED: 'ENDED',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  ROLE_NOT_ALLOWED: 'ROLE_NOT_ALLOWED',
+  KYC_REQUIRED: 'KYC_REQUIRED',
+  ACCOUNT_TOO_NEW: 'ACCOUNT_TOO_NEW',
+  MAX_PER_USER_REACHED: 'MAX_PER_USER_REACHED',
+  INSUFFICIENT_POINTS: 'INSUFFICIENT_POINTS'
+};
+
+// Refunded redemptions don't count towards maxPerUser
+const REFUNDED_STATUSES = [REWARD_STATUS.CANCELLED, REWARD_STATUS.EXPIRED];
+
+// Fields every eligibility check needs from the user
+const ELIGIBILITY_USER_SELECT = {
+  id: true,
+  points: true,
+  role: true,
+  kycStatus: true,
+  createdAt: true
+};
+
+/**
+ * Get why a user can't redeem a reward
+ * @param {Object} reward - AvailableReward
+ * @param {Object} user - User with ELIGIBILITY_USER_SELECT fields
+ * @param {number} redeemedCount - User's non-refunded redemptions of this reward
+ * @param {Date} now - Current time
+ * @returns {string|null} - One of BLOCKED_REASONS, or null if the user can redeem
+ */
+function getBlockedReason(reward, user, redeemedCount, now = new Date()) {
+  if (!reward.isActive) {
+    return BLOCKED_REASONS.INACTIVE;
+  }
+
+  if (reward.startsAt && now < reward.startsAt) {
+    return BLOCKED_REASONS.NOT_STARTED;
+  }
+
+  if (reward.endsAt && now > reward.endsAt) {
+    return BLOCKED_REASONS.ENDED;
+  }
+
+  if (reward.stock !== null && reward.stock <= 0) {
+    return BLOCKED_REASONS.OUT_OF_STOCK;
+  }
+
+  if (reward.allowedRoles && reward.allowedRoles.length > 0 && !reward.allowedRoles.includes(user.role)) {
+    return BLOCKED_REASONS.ROLE_NOT_ALLOWED;
+  }
+
+  if (reward.requiresKyc && user.kycStatus !== 'verified') {
+    return BLOCKED_REASONS.KYC_REQUIRED;
+  }
+
+  if (reward.minAccountAgeDays) {
+    const accountAgeMs = now.getTime() - new Date(user.createdAt).getTime();
+    if (accountAgeMs < reward.minAccountAgeDays * 24 * 60 * 60 * 1000) {
+      return BLOCKED_REASONS.ACCOUNT_TOO_NEW;
+    }
+  }
+
+  if (reward.maxPerUser !== null && reward.maxPerUser !== undefined && redeemedCount >= reward.maxPerUser) {
+    return BLOCKED_REASONS.MAX_PER_USER_REACHED;
+  }
+
+  if (user.points < reward.pointsRequired) {
+    return BLOCKED_REASONS.INSUFFICIENT_POINTS;
+  }
+
+  return null;
+}
+
+/**
+ * Count a user's non-refunded redemptions of one reward
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} userId - User ID
+ * @param {string} availableRewardId - Catalog reward ID
+ * @returns {Promise<number>}
+ */
+async function countUserRedemptions(client, userId, availableRewardId) {
+  return await client.reward.count({
+    where: {
+      userId,
+      availableRewardId,
+      status: { notIn: REFUNDED_STATUSES }
+    }
+  });
+}
+
+/**
+ * Count a user's non-refunded redemptions per reward
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} userId - User ID
+ * @returns {Promise<Map<string, number>>} - availableRewardId -> count
+ */
+async function countUserRedemptionsByReward(client, userId) {
+  const groups = await client.reward.groupBy({
+    by: ['availableRewardId'],
+    where: {
+      userId,
+      availableRewardId: { not: null },
+      status: { notIn: REFUNDED_STATUSES }
+    },
+    _count: { _all: true }
+  });
+
+  return new Map(groups.map((group) => [group.availableRewardId, group._count._all]));
+}
+
+module.exports = {
+  BLOCKED_REASONS,
+  ELIGIBILITY_USER_SELECT,
+  getBlockedReason,
+  countUserRedemptions,
+  countUserRedemptionsByReward
+};
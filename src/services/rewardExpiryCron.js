@@ -0,0 +1,60 @@
+const cron = require('node-cron');
+const distributedLock = require('./distributedLock');
+const { expireOverdueRewards } = require('./rewardFulfillment');
+
+/**
+ * Reward Expiry Cron Jobs
+ * Expires overdue pending rewards and refunds the points spent on them
+ */
+class RewardExpiryCron {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Start hourly reward expiry cron job
+   * Runs at minute 15 of every hour (UTC)
+   */
+  startHourlyExpiry() {
+    const job = cron.schedule('15 * * * *', async () => {
+      const lockKey = `reward_expiry_${new Date().toISOString().slice(0, 13)}`;
+
+      await distributedLock.withLock(lockKey, async () => {
+        try {
+          console.log('⌛ [REWARD EXPIRY CRON] Expiring overdue rewards...');
+          const results = await expireOverdueRewards();
+          console.log(`✅ [REWARD EXPIRY CRON] ${results.expired} rewards expired and refunded, ${results.errors} errors`);
+        } catch (error) {
+          console.error('❌ [REWARD EXPIRY CRON] Error in scheduled reward expiry:', error);
+        }
+      }, 1800); // 30 minutes TTL
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.push(job);
+    job.start(); // Start the job since scheduled: false
+    console.log('✅ Reward expiry cron job scheduled (hourly at :15 UTC)');
+  }
+
+  /**
+   * Start all cron jobs
+   */
+  startAll() {
+    this.startHourlyExpiry();
+    console.log('✅ All reward expiry cron jobs started');
+  }
+
+  /**
+   * Stop all cron jobs
+   */
+  stopAll() {
+    this.jobs.forEach((job) => job.stop());
+    this.jobs = [];
+    console.log('🛑 All reward expiry cron jobs stopped');
+  }
+}
+
+const rewardExpiryCron = new RewardExpiryCron();
+module.exports = rewardExpiryCron;
@@ -0,0 +1,218 @@
+const { prisma } = require('../config/database');
+const cacheService = require('./cacheService');
+const pushNotificationService = require('./pushNotificationService');
+const { refreshUserAndLeaderboardCaches } = require('./cacheRefreshHelpers');
+const { POINT_SOURCES, recordPointTransaction } = require('./pointsLedger');
+
+/**
+ * Reward Fulfillment Service
+ * State machine for redeemed rewards:
+ *   pending -> processing -> fulfilled
+ *   pending | processing -> cancelled (admin, refunded)
+ *   pending -> expired (cron, refunded)
+ * Refunds return Reward.pointsSpent to the user and restore AvailableReward.stock
+ * (except for code pool rewards, whose stock is the number of unassigned codes).
+ */
+
+const REWARD_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// Allowed transitions: current status -> next statuses
+const REWARD_TRANSITIONS = {
+  [REWARD_STATUS.PENDING]: [REWARD_STATUS.PROCESSING, REWARD_STATUS.CANCELLED, REWARD_STATUS.EXPIRED],
+  [REWARD_STATUS.PROCESSING]: [REWARD_STATUS.FULFILLED, REWARD_STATUS.CANCELLED],
+  [REWARD_STATUS.FULFILLED]: [],
+  [REWARD_STATUS.CANCELLED]: [],
+  [REWARD_STATUS.EXPIRED]: []
+};
+
+// Transitions that give the user their points back
+const REFUNDED_STATUSES = [REWARD_STATUS.CANCELLED, REWARD_STATUS.EXPIRED];
+
+/**
+ * Check whether a reward can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (REWARD_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a reward to a new status
+ * Refunds points and restores stock for cancelled/expired rewards, then notifies the user
+ * @param {string} rewardId - Reward ID
+ * @param {string} toStatus - Next status
+ * @param {Object} options - Transition details
+ * @param {string|null} options.adminId - Admin performing the transition (null for cron)
+ * @param {string} options.fulfillmentCode - Code delivered to the user (fulfilled)
+ * @param {string} options.fulfillmentNote - Tracking note (fulfilled)
+ * @param {string} options.reason - Cancellation reason (cancelled)
+ * @returns {Promise<Object>} - Updated reward
+ */
+async function transitionReward(rewardId, toStatus, { adminId = null, fulfillmentCode, fulfillmentNote, reason } = {}) {
+  const { reward, refundedPoints } = await prisma.$transaction(async (tx) => {
+    const current = await tx.reward.findUnique({
+      where: { id: rewardId },
+      include: {
+        availableReward: {
+          select: { id: true, name: true, stock: true, usesCodePool: true }
+        }
+      }
+    });
+
+    if (!current) {
+      throw new Error('REWARD_NOT_FOUND');
+    }
+
+    if (!canTransition(current.status, toStatus)) {
+      throw new Error('INVALID_REWARD_TRANSITION');
+    }
+
+    const now = new Date();
+    const data = {
+      status: toStatus,
+      handledBy: adminId
+    };
+
+    if (toStatus === REWARD_STATUS.FULFILLED) {
+      data.fulfilledAt = now;
+      if (fulfillmentCode !== undefined) data.fulfillmentCode = fulfillmentCode;
+      if (fulfillmentNote !== undefined) data.fulfillmentNote = fulfillmentNote;
+    } else if (toStatus === REWARD_STATUS.CANCELLED) {
+      data.cancelledAt = now;
+      data.cancellationReason = reason || null;
+    }
+
+    // Guard on the current status so concurrent transitions can't both succeed
+    const updateResult = await tx.reward.updateMany({
+      where: { id: rewardId, status: current.status },
+      data
+    });
+
+    if (updateResult.count === 0) {
+      throw new Error('INVALID_REWARD_TRANSITION');
+    }
+
+    let refundedPoints = 0;
+    if (REFUNDED_STATUSES.includes(toStatus)) {
+      // pointsSpent is only missing on rewards redeemed before it was recorded
+      refundedPoints = current.pointsSpent || 0;
+
+      if (refundedPoints > 0) {
+        await tx.user.update({
+          where: { id: current.userId },
+          data: {
+            points: {
+              increment: refundedPoints
+            }
+          }
+        });
+
+        await recordPointTransaction(tx, {
+          userId: current.userId,
+          delta: refundedPoints,
+          sourceType: POINT_SOURCES.REWARD_REFUND,
+          sourceId: current.id,
+          actorId: adminId,
+          note: toStatus === REWARD_STATUS.EXPIRED ? 'Reward expired' : `Reward cancelled${reason ? `: ${reason}` : ''}`
+        });
+      }
+
+      // Pool codes are never reused, so pool stock is left as is
+      if (current.availableReward && current.availableReward.stock !== null && !current.availableReward.usesCodePool) {
+        await tx.availableReward.update({
+          where: { id: current.availableReward.id },
+          data: {
+            stock: {
+              increment: 1
+            }
+          }
+        });
+      }
+    }
+
+    const reward = await tx.reward.findUnique({
+      where: { id: rewardId },
+      include: {
+        availableReward: {
+          select: { id: true, name: true }
+        }
+      }
+    });
+
+    return { reward, refundedPoints };
+  });
+
+  if (REFUNDED_STATUSES.includes(toStatus)) {
+    try {
+      await refreshUserAndLeaderboardCaches(reward.userId);
+      await cacheService.deletePattern('rewards:*');
+      await cacheService.deletePattern('availableRewards:*');
+    } catch (err) {
+      // Non-blocking: Log error but don't fail the transition
+      console.error('Error refreshing caches after reward refund:', err);
+    }
+  }
+
+  const rewardName = reward.availableReward ? reward.availableReward.name : reward.rewardValue;
+  setImmediate(() => {
+    pushNotificationService.sendRewardStatusNotification(reward.userId, reward.id, rewardName, toStatus, refundedPoints).catch(err => {
+      console.error('Failed to send reward status notification:', err);
+    });
+  });
+
+  return reward;
+}
+
+/**
+ * Expire pending rewards past their expiresAt and refund them
+ * Rewards redeemed before pointsSpent was recorded are left alone, since the
+ * amount to refund is unknown
+ * @param {number} batchSize - Maximum rewards to expire in one run
+ * @returns {Promise<Object>} - { expired, errors }
+ */
+async function expireOverdueRewards(batchSize = 500) {
+  const overdue = await prisma.reward.findMany({
+    where: {
+      status: REWARD_STATUS.PENDING,
+      expiresAt: { lt: new Date() },
+      pointsSpent: { not: null }
+    },
+    select: { id: true },
+    orderBy: { expiresAt: 'asc' },
+    take: batchSize
+  });
+
+  let expired = 0;
+  let errors = 0;
+
+  for (const { id } of overdue) {
+    try {
+      await transitionReward(id, REWARD_STATUS.EXPIRED);
+      expired++;
+    } catch (error) {
+      // Another instance or an admin moved it first
+      if (error.message !== 'INVALID_REWARD_TRANSITION') {
+        console.error(`Error expiring reward ${id}:`, error);
+        errors++;
+      }
+    }
+  }
+
+  return { expired, errors };
+}
+
+module.exports = {
+  REWARD_STATUS,
+  REWARD_TRANSITIONS,
+  canTransition,
+  transitionReward,
+  expireOverdueRewards
+};
@@ -0,0 +1,61 @@
+const cron = require('node-cron');
+const distributedLock = require('./distributedLock');
+const { publishDueArticles } = require('./articleScheduling');
+
+/**
+ * Scheduled Publish Cron Jobs
+ * Publishes approved articles once their scheduledPublishAt has passed
+ */
+class ScheduledPublishCron {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Start scheduled publish cron job
+   * Runs every minute
+   */
+  startMinutePublish() {
+    const job = cron.schedule('* * * * *', async () => {
+      const lockKey = `scheduled_publish_${new Date().toISOString().slice(0, 16)}`;
+
+      await distributedLock.withLock(lockKey, async () => {
+        try {
+          const results = await publishDueArticles();
+          if (results.published > 0 || results.errors > 0) {
+            console.log(`✅ [SCHEDULED PUBLISH CRON] ${results.published} articles published, ${results.errors} errors`);
+          }
+        } catch (error) {
+          console.error('❌ [SCHEDULED PUBLISH CRON] Error publishing scheduled articles:', error);
+        }
+      }, 120); // 2 minutes TTL
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.push(job);
+    job.start(); // Start the job since scheduled: false
+    console.log('✅ Scheduled publish cron job scheduled (every minute)');
+  }
+
+  /**
+   * Start all cron jobs
+   */
+  startAll() {
+    this.startMinutePublish();
+    console.log('✅ All scheduled publish cron jobs started');
+  }
+
+  /**
+   * Stop all cron jobs
+   */
+  stopAll() {
+    this.jobs.forEach((job) => job.stop());
+    this.jobs = [];
+    console.log('🛑 All scheduled publish cron jobs stopped');
+  }
+}
+
+const scheduledPublishCron = new ScheduledPublishCron();
+module.exports = scheduledPublishCron;
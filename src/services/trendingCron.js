@@ -0,0 +1,71 @@
+const cron = require('node-cron');
+const distributedLock = require('./distributedLock');
+const cacheService = require('./cacheService');
+const { recomputeTrendingScores, TRENDING_RANKING_SIZE } = require('./trendingScores');
+const { fetchTrendingArticles } = require('./articleCacheHelpers');
+
+/**
+ * Trending Cron Jobs
+ * Recomputes article trending scores and rewrites the cached trending ranking
+ */
+class TrendingCron {
+  constructor() {
+    this.jobs = [];
+  }
+
+  /**
+   * Start trending score cron job
+   * Runs every 5 minutes
+   */
+  startScoreRefresh() {
+    const job = cron.schedule('*/5 * * * *', async () => {
+      const now = new Date();
+      const bucket = Math.floor(now.getTime() / (5 * 60 * 1000));
+      const lockKey = `trending_scores_${bucket}`;
+
+      await distributedLock.withLock(lockKey, async () => {
+        try {
+          const results = await recomputeTrendingScores(now);
+
+          // Write-through: serve the new ranking right away
+          await cacheService.writeThroughArticleList(
+            'articles:trending:ranking',
+            () => fetchTrendingArticles(TRENDING_RANKING_SIZE),
+            600
+          );
+
+          console.log(`✅ [TRENDING CRON] ${results.scored} articles scored, ${results.cleared} cleared`);
+        } catch (error) {
+          console.error('❌ [TRENDING CRON] Error recomputing trending scores:', error);
+        }
+      }, 240); // 4 minutes TTL
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.push(job);
+    job.start(); // Start the job since scheduled: false
+    console.log('✅ Trending score cron job scheduled (every 5 minutes)');
+  }
+
+  /**
+   * Start all cron jobs
+   */
+  startAll() {
+    this.startScoreRefresh();
+    console.log('✅ All trending cron jobs started');
+  }
+
+  /**
+   * Stop all cron jobs
+   */
+  stopAll() {
+    this.jobs.forEach((job) => job.stop());
+    this.jobs = [];
+    console.log('🛑 All trending cron jobs stopped');
+  }
+}
+
+const trendingCron = new TrendingCron();
+module.exports = trendingCron;
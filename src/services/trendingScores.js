@@ -0,0 +1,217 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+/**
+ * Trending Scores Service
+ * An article's trending score is its read velocity: every read and reward claim
+ * in the last TRENDING_WINDOW_HOURS counts, decayed exponentially by how long ago
+ * it happened, and the sum is divided by a power of the article's age so fresh
+ * articles can outrank old ones with more total traffic.
+ *
+ * The ranking served by GET /articles/trending is:
+ *   1. pinned articles (trendingOverride = 'pinned') and the manual isFeatured flag
+ *   2. everything else with a score above zero, highest first
+ * Buried articles (trendingOverride = 'buried') never appear.
+ */
+
+const TRENDING_OVERRIDES = ['pinned', 'buried'];
+const TRENDING_RANKING_SIZE = 50; // Articles kept in the cached ranking
+
+const TRENDING_WINDOW_HOURS = 48;
+const DECAY_HALF_LIFE_HOURS = 6;
+const READ_WEIGHT = 1;
+const CLAIM_WEIGHT = 2; // A claim means the reader stayed for the minimum dwell time
+const AGE_OFFSET_HOURS = 2; // Keeps brand-new articles from dividing by ~0
+const AGE_GRAVITY = 0.8;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Score from decayed velocity and article age
+ * @param {number} velocity - Decayed event weight sum
+ * @param {Date} publishedAt - When the article went live
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+function computeTrendingScore(velocity, publishedAt, now = new Date()) {
+  const ageHours = Math.max((now - new Date(publishedAt)) / HOUR_MS, 0);
+  return velocity / Math.pow(ageHours + AGE_OFFSET_HOURS, AGE_GRAVITY);
+}
+
+/**
+ * Recompute every published article's trending score (used by the trending cron)
+ * Articles with no reads or claims in the window drop back to zero
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { scored, cleared }
+ */
+async function recomputeTrendingScores(now = new Date()) {
+  const windowStart = new Date(now.getTime() - TRENDING_WINDOW_HOURS * HOUR_MS);
+  const decaySeconds = (DECAY_HALF_LIFE_HOURS * 3600) / Math.LN2;
+
+  const rows = await prisma.$queryRaw`
+    WITH events AS (
+      SELECT article_id, read_at AS at, ${READ_WEIGHT}::float8 AS weight
+      FROM read_articles
+      WHERE read_at >= ${windowStart}
+      UNION ALL
+      SELECT article_id, reward_claimed_at AS at, ${CLAIM_WEIGHT}::float8 AS weight
+      FROM read_articles
+      WHERE reward_claimed_at >= ${windowStart}
+    )
+    SELECT
+      a.id,
+      COALESCE(a.published_at, a.created_at) AS "publishedAt",
+      SUM(e.weight * EXP(-EXTRACT(EPOCH FROM (${now}::timestamp - e.at))::float8 / ${decaySeconds}::float8)) AS velocity
+    FROM events e
+    JOIN articles a ON a.id = e.article_id
+    WHERE a.status = 'published'
+    GROUP BY a.id, a.published_at, a.created_at
+  `;
+
+  const scores = rows.map(row => ({
+    id: row.id,
+    score: computeTrendingScore(Number(row.velocity), row.publishedAt, now)
+  }));
+
+  if (scores.length > 0) {
+    const values = Prisma.join(scores.map(({ id, score }) => Prisma.sql`(${id}, ${score}::float8)`));
+    await prisma.$executeRaw`
+      UPDATE articles AS a
+      SET trending_score = v.score
+      FROM (VALUES ${values}) AS v(id, score)
+      WHERE a.id = v.id
+    `;
+  }
+
+  // Articles that fell out of the window
+  const cleared = await prisma.article.updateMany({
+    where: {
+      trendingScore: { gt: 0 },
+      id: { notIn: scores.map(({ id }) => id) }
+    },
+    data: { trendingScore: 0 }
+  });
+
+  return { scored: scores.length, cleared: cleared.count };
+}
+
+/**
+ * Pin, bury or clear the override on an article
+ * @param {string} articleId - Article ID
+ * @param {string|null} override - 'pinned', 'buried' or null
+ * @returns {Promise<Object>} - Updated article
+ */
+async function setTrendingOverride(articleId, override) {
+  if (override !== null && !TRENDING_OVERRIDES.includes(override)) {
+    throw new Error('INVALID_TRENDING_OVERRIDE');
+  }
+
+  try {
+    return await prisma.article.update({
+      where: { id: articleId },
+      data: { trendingOverride: override },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        isFeatured: true,
+        trendingScore: true,
+        trendingOverride: true
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('ARTICLE_NOT_FOUND');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ids of the current trending ranking, pinned first
+ * @param {number} limit - Number of articles
+ * @returns {Promise<string[]>}
+ */
+async function getTrendingRanking(limit) {
+  const pinned = await prisma.article.findMany({
+    where: {
+      status: 'published',
+      OR: [
+        { trendingOverride: 'pinned' },
+        { isFeatured: true, trendingOverride: null }
+      ]
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    select: { id: true }
+  });
+
+  const pinnedIds = pinned.map(article => article.id);
+  if (pinnedIds.length >= limit) {
+    return pinnedIds;
+  }
+
+  const scored = await prisma.article.findMany({
+    where: {
+      status: 'published',
+      trendingScore: { gt: 0 },
+      id: { notIn: pinnedIds },
+      trendingOverride: null // Pinned ones are above already; buried ones are left out
+    },
+    orderBy: [{ trendingScore: 'desc' }, { id: 'desc' }],
+    take: limit - pinnedIds.length,
+    select: { id: true }
+  });
+
+  return [...pinnedIds, ...scored.map(article => article.id)];
+}
+
+/**
+ * Articles with a trending score or override, highest score first (admin view)
+ * @param {Object} params
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} - { articles, total }
+ */
+async function getTrendingCandidates({ page = 1, limit = 50 } = {}) {
+  const where = {
+    status: 'published',
+    OR: [
+      { trendingScore: { gt: 0 } },
+      { trendingOverride: { not: null } },
+      { isFeatured: true }
+    ]
+  };
+
+  const [articles, total] = await Promise.all([
+    prisma.article.findMany({
+      where,
+      orderBy: [{ trendingScore: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        category: true,
+        isFeatured: true,
+        trendingScore: true,
+        trendingOverride: true,
+        publishedAt: true,
+        createdAt: true
+      }
+    }),
+    prisma.article.count({ where })
+  ]);
+
+  return { articles, total };
+}
+
+module.exports = {
+  TRENDING_OVERRIDES,
+  TRENDING_RANKING_SIZE,
+  computeTrendingScore,
+  recomputeTrendingScores,
+  setTrendingOverride,
+  getTrendingRanking,
+  getTrendingCandidates
+};
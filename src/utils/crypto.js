@@ -54,9 +54,80 @@ function verifyPassword(password, hash) {
   return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(testHash));
 }
 
+/**
+ * Get the server-side secret for reward voucher codes
+ */
+function getRewardCodeSecret() {
+  const secret = process.env.REWARD_CODE_SECRET;
+  if (!secret) {
+    throw new Error('REWARD_CODE_SECRET_MISSING');
+  }
+  return secret;
+}
+
+// Reward code key, derived once - scrypt is too slow to run per code on CSV uploads and reward lists
+// (same derivation as encryptPrivateKey, so existing codes still decrypt)
+const REWARD_CODE_KEY = process.env.REWARD_CODE_SECRET
+  ? crypto.scryptSync(process.env.REWARD_CODE_SECRET, SALT, 32)
+  : null;
+
+/**
+ * Get the derived key for reward voucher codes
+ */
+function getRewardCodeKey() {
+  if (!REWARD_CODE_KEY) {
+    throw new Error('REWARD_CODE_SECRET_MISSING');
+  }
+  return REWARD_CODE_KEY;
+}
+
+/**
+ * Encrypt a reward voucher code for storage
+ */
+function encryptRewardCode(code) {
+  const algorithm = 'aes-256-cbc';
+  const iv = crypto.randomBytes(16);
+
+  const cipher = crypto.createCipheriv(algorithm, getRewardCodeKey(), iv);
+
+  let encrypted = cipher.update(code, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  return {
+    encrypted,
+    iv: iv.toString('hex'),
+    algorithm
+  };
+}
+
+/**
+ * Decrypt a stored reward voucher code
+ */
+function decryptRewardCode(encryptedData) {
+  const algorithm = 'aes-256-cbc';
+  const iv = Buffer.from(encryptedData.iv, 'hex');
+
+  const decipher = crypto.createDecipheriv(algorithm, getRewardCodeKey(), iv);
+
+  let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
+
+/**
+ * Keyed hash of a reward voucher code (detects duplicates without storing plaintext)
+ */
+function hashRewardCode(code) {
+  return crypto.createHmac('sha256', getRewardCodeSecret()).update(code).digest('hex');
+}
+
 module.exports = {
   encryptPrivateKey,
   decryptPrivateKey,
   hashPassword,
-  verifyPassword
+  verifyPassword,
+  encryptRewardCode,
+  decryptRewardCode,
+  hashRewardCode
 };
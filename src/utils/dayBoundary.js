@@ -0,0 +1,192 @@
+/**
+ * Day Boundary Utility
+ * Calendar-day math in a user's IANA timezone (User.preferences.timezone).
+ * Every "per day" rule - daily claim cooldown, streak continuity, the article
+ * reward cap and the /rewards/daily/status countdown - goes through these helpers
+ * so they all reset at the same local midnight. Users without a timezone use UTC.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Users can change their timezone at most once per cooldown, so they can't
+// hop across midnight to claim "today" twice
+const TIMEZONE_CHANGE_COOLDOWN_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat is expensive to build, so keep one per timezone
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check whether a string is an IANA timezone this runtime knows
+ * @param {string} timezone - e.g. 'Africa/Lagos'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the timezone stored in a user's preferences
+ * @param {Object|null} preferences - User.preferences
+ * @returns {string} - IANA timezone (UTC if unset or invalid)
+ */
+function getUserTimezone(preferences) {
+  const timezone = preferences && preferences.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} - { year, month (0-11), day, hour, minute, second }
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getOffsetMs(date, timezone) {
+  const p = getLocalParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant at which a local calendar day starts
+ * Day overflow is normalized, so (2024, 0, 32) is February 1st
+ */
+function startOfLocalDay(year, month, day, timezone) {
+  const guess = Date.UTC(year, month, day);
+  let start = guess - getOffsetMs(new Date(guess), timezone);
+  // Re-check the offset at the result in case a DST change falls in between
+  start = guess - getOffsetMs(new Date(start), timezone);
+  return new Date(start);
+}
+
+/**
+ * Start of the local day containing a date
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function startOfDay(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getLocalParts(date, timezone);
+  return startOfLocalDay(p.year, p.month, p.day, timezone);
+}
+
+/**
+ * Start of a local day relative to the day containing a date
+ * @param {Date} date - Instant
+ * @param {number} days - Days to add (1 = next local midnight)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function addDays(date, days, timezone = DEFAULT_TIMEZONE) {
+  const p = getLocalParts(date, timezone);
+  return startOfLocalDay(p.year, p.month, p.day + days, timezone);
+}
+
+/**
+ * Next local midnight after a date
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function nextDayStart(date, timezone = DEFAULT_TIMEZONE) {
+  return addDays(date, 1, timezone);
+}
+
+/**
+ * Whole local calendar days between two instants
+ * @param {Date} a - Later instant
+ * @param {Date} b - Earlier instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Positive if a is on a later local day than b (1 = yesterday)
+ */
+function dayDiff(a, b, timezone = DEFAULT_TIMEZONE) {
+  const pa = getLocalParts(a, timezone);
+  const pb = getLocalParts(b, timezone);
+  return Math.round((Date.UTC(pa.year, pa.month, pa.day) - Date.UTC(pb.year, pb.month, pb.day)) / DAY_MS);
+}
+
+/**
+ * Local day window containing a date
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { start, end } (end is exclusive)
+ */
+function getDayWindow(date, timezone = DEFAULT_TIMEZONE) {
+  return {
+    start: startOfDay(date, timezone),
+    end: nextDayStart(date, timezone)
+  };
+}
+
+/**
+ * When a user may next change their timezone
+ * @param {Object|null} preferences - User.preferences
+ * @returns {Date|null} - Null if a change is allowed now
+ */
+function getTimezoneChangeAvailableAt(preferences, now = new Date()) {
+  const changedAt = preferences && preferences.timezoneChangedAt ? new Date(preferences.timezoneChangedAt) : null;
+  if (!changedAt || isNaN(changedAt)) {
+    return null;
+  }
+
+  const availableAt = new Date(changedAt.getTime() + TIMEZONE_CHANGE_COOLDOWN_DAYS * DAY_MS);
+  return now < availableAt ? availableAt : null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIMEZONE_CHANGE_COOLDOWN_DAYS,
+  isValidTimezone,
+  getUserTimezone,
+  startOfDay,
+  addDays,
+  nextDayStart,
+  dayDiff,
+  getDayWindow,
+  getTimezoneChangeAvailableAt
+};
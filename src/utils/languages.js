@@ -0,0 +1,143 @@
+/**
+ * Languages Utility
+ * Articles carry an ISO 639-1 language code (e.g. 'en', 'es'). Readers see articles
+ * in their preferred languages: User.preferences.languages when set, otherwise the
+ * languages in their Accept-Language header. With neither, nothing is filtered.
+ */
+
+const DEFAULT_ARTICLE_LANGUAGE = 'en';
+const MAX_PREFERRED_LANGUAGES = 5;
+
+// Some providers (e.g. NewsData.io) report language names instead of codes
+const LANGUAGE_NAMES = {
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  portuguese: 'pt',
+  italian: 'it',
+  dutch: 'nl',
+  russian: 'ru',
+  arabic: 'ar',
+  chinese: 'zh',
+  japanese: 'ja',
+  korean: 'ko',
+  hindi: 'hi',
+  turkish: 'tr',
+  indonesian: 'id',
+  swahili: 'sw',
+  yoruba: 'yo',
+  hausa: 'ha',
+  igbo: 'ig'
+};
+
+/**
+ * Normalize a language code or name to a two-letter code
+ * @param {string} value - e.g. 'en', 'EN', 'en-US', 'pt_BR', 'english'
+ * @returns {string|null} - null when it isn't a recognizable language
+ */
+function normalizeLanguageCode(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const lowered = value.trim().toLowerCase();
+  if (LANGUAGE_NAMES[lowered]) {
+    return LANGUAGE_NAMES[lowered];
+  }
+
+  const match = lowered.match(/^([a-z]{2})(?:[-_][a-z0-9]+)*$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse a list of languages (comma-separated string or array)
+ * @param {string|string[]} value - e.g. 'en,fr' or ['en', 'fr']
+ * @returns {string[]|null} - Unique codes in order, null if any entry is invalid
+ */
+function parseLanguageList(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(',').filter(entry => entry.trim()) : null;
+
+  if (!entries) {
+    return null;
+  }
+
+  const codes = [];
+  for (const entry of entries) {
+    const code = normalizeLanguageCode(entry);
+    if (!code) {
+      return null;
+    }
+    if (!codes.includes(code)) {
+      codes.push(code);
+    }
+  }
+  return codes;
+}
+
+/**
+ * Languages from an Accept-Language header, most preferred first
+ * @param {string} header - e.g. 'fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5'
+ * @returns {string[]} - e.g. ['fr', 'en']
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string' || !header.trim()) {
+    return [];
+  }
+
+  const weighted = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { code: normalizeLanguageCode(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.code && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  const codes = [];
+  for (const { code } of weighted) {
+    if (!codes.includes(code)) {
+      codes.push(code);
+    }
+  }
+  return codes.slice(0, MAX_PREFERRED_LANGUAGES);
+}
+
+/**
+ * Get the languages stored in a user's preferences
+ * @param {Object|null} preferences - User.preferences
+ * @returns {string[]} - Empty when the user hasn't chosen any
+ */
+function getUserLanguages(preferences) {
+  const languages = preferences && parseLanguageList(preferences.languages);
+  return languages || [];
+}
+
+/**
+ * Languages to show a reader
+ * @param {Object|null} preferences - User.preferences (null for guests)
+ * @param {string} acceptLanguage - Accept-Language header
+ * @returns {string[]|null} - null means "all languages"
+ */
+function getReaderLanguages(preferences, acceptLanguage) {
+  const stored = getUserLanguages(preferences);
+  if (stored.length > 0) {
+    return stored;
+  }
+
+  const accepted = parseAcceptLanguage(acceptLanguage);
+  return accepted.length > 0 ? accepted : null;
+}
+
+module.exports = {
+  DEFAULT_ARTICLE_LANGUAGE,
+  MAX_PREFERRED_LANGUAGES,
+  normalizeLanguageCode,
+  parseLanguageList,
+  parseAcceptLanguage,
+  getUserLanguages,
+  getReaderLanguages
+};
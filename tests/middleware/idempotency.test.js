@@ -0,0 +1,202 @@
+const express = require('express');
+const request = require('supertest');
+
+// In-memory stand-in for the Redis/Postgres store, same contract as services/idempotencyStore
+jest.mock('../../src/services/idempotencyStore', () => {
+  const records = new Map();
+  const id = (userId, key) => `${userId}:${key}`;
+
+  return {
+    records,
+    reserve: jest.fn(async (userId, key, requestHash) => {
+      const record = records.get(id(userId, key));
+      if (record) {
+        return { reserved: false, store: 'redis', record };
+      }
+      records.set(id(userId, key), { requestHash, statusCode: null, body: null });
+      return { reserved: true, store: 'redis', record: null };
+    }),
+    complete: jest.fn(async (userId, key, store, requestHash, statusCode, body) => {
+      records.set(id(userId, key), { requestHash, statusCode, body });
+    }),
+    release: jest.fn(async (userId, key) => {
+      records.delete(id(userId, key));
+    })
+  };
+});
+
+const idempotencyStore = require('../../src/services/idempotencyStore');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+const PIN = '123456';
+
+// A money-moving route: checks the PIN, then "sends" and counts every send
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  });
+  app.post('/wallet/send', idempotency, handler);
+  return app;
+};
+
+const sendHandler = (sends) => async (req, res) => {
+  if (req.body.password !== PIN) {
+    return res.status(401).json({ success: false, error: 'INVALID_PASSWORD' });
+  }
+  sends.push(req.body);
+  res.json({ success: true, data: { transactionId: `tx-${sends.length}` } });
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    idempotencyStore.records.clear();
+    jest.clearAllMocks();
+  });
+
+  test('passes requests without a key straight through', async () => {
+    const sends = [];
+    const app = buildApp(sendHandler(sends));
+
+    await request(app).post('/wallet/send').send({ to: 'a', amount: 1, password: PIN }).expect(200);
+    await request(app).post('/wallet/send').send({ to: 'a', amount: 1, password: PIN }).expect(200);
+
+    expect(sends).toHaveLength(2);
+    expect(idempotencyStore.reserve).not.toHaveBeenCalled();
+  });
+
+  test('replays the stored response for a retried key without running the handler again', async () => {
+    const sends = [];
+    const app = buildApp(sendHandler(sends));
+    const body = { to: 'a', amount: 1, password: PIN };
+
+    const first = await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send(body).expect(200);
+    const retry = await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send(body).expect(200);
+
+    expect(sends).toHaveLength(1);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('rejects a key reused with a different payload', async () => {
+    const sends = [];
+    const app = buildApp(sendHandler(sends));
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a', amount: 1, password: PIN }).expect(200);
+    const res = await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a', amount: 2, password: PIN }).expect(422);
+
+    expect(res.body.error).toBe('IDEMPOTENCY_KEY_CONFLICT');
+    expect(sends).toHaveLength(1);
+  });
+
+  test('answers 409 while the first request with the key is still in flight', async () => {
+    let finishFirst;
+    const sends = [];
+    const app = buildApp(async (req, res) => {
+      sends.push(req.body);
+      await new Promise(resolve => { finishFirst = resolve; });
+      res.json({ success: true });
+    });
+    const body = { to: 'a', amount: 1, password: PIN };
+
+    const first = request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send(body).then(res => res);
+    // Wait until the first request holds the reservation
+    while (!finishFirst) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const concurrent = await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send(body).expect(409);
+    expect(concurrent.body.error).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+    finishFirst();
+    expect((await first).status).toBe(200);
+    expect(sends).toHaveLength(1);
+  });
+
+  test('does not put the PIN in the stored request hash', async () => {
+    const sends = [];
+    const app = buildApp(sendHandler(sends));
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a', amount: 1, password: PIN }).expect(200);
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k2').send({ to: 'a', amount: 1, password: '654321' }).expect(401);
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k3').send({ to: 'a', amount: 1 }).expect(401);
+
+    const hashes = idempotencyStore.reserve.mock.calls.map(([, , requestHash]) => requestHash);
+    expect(new Set(hashes).size).toBe(1);
+  });
+
+  test('releases the key on a wrong PIN so the retry with the right PIN goes through', async () => {
+    const sends = [];
+    const app = buildApp(sendHandler(sends));
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a', amount: 1, password: '000000' }).expect(401);
+    const retry = await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a', amount: 1, password: PIN }).expect(200);
+
+    expect(retry.body.success).toBe(true);
+    expect(sends).toHaveLength(1);
+    expect(idempotencyStore.release).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([409, 429, 500])('releases the key on a %i response', async (status) => {
+    let attempts = 0;
+    const app = buildApp((req, res) => {
+      attempts++;
+      if (attempts === 1) {
+        return res.status(status).json({ success: false, message: 'Please try again' });
+      }
+      res.json({ success: true });
+    });
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({}).expect(status);
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({}).expect(200);
+
+    expect(attempts).toBe(2);
+  });
+
+  test('keeps a broadcast transfer that is still pending (202) under the key', async () => {
+    const sends = [];
+    const app = buildApp((req, res) => {
+      sends.push(req.body);
+      res.status(202).json({ success: true, data: { transactionId: 'tx-1', status: 'pending' } });
+    });
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a' }).expect(202);
+    const retry = await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({ to: 'a' }).expect(202);
+
+    expect(retry.body.data.transactionId).toBe('tx-1');
+    expect(sends).toHaveLength(1);
+  });
+
+  test('stores a successful response under the key', async () => {
+    const app = buildApp((req, res) => {
+      res.json({ success: true });
+    });
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({}).expect(200);
+
+    expect(idempotencyStore.records.get('user-1:k1')).toMatchObject({ statusCode: 200, body: { success: true } });
+  });
+
+  test('returns res from the json override so calls can be chained', async () => {
+    let returned;
+    const app = buildApp((req, res) => {
+      returned = res.json({ success: true });
+    });
+
+    await request(app).post('/wallet/send').set('Idempotency-Key', 'k1').send({}).expect(200);
+
+    expect(returned).not.toBeInstanceOf(Promise);
+    expect(typeof returned.status).toBe('function');
+  });
+
+  test('rejects keys longer than 255 characters', async () => {
+    const app = buildApp((req, res) => res.json({ success: true }));
+
+    const res = await request(app).post('/wallet/send').set('Idempotency-Key', 'k'.repeat(256)).send({}).expect(400);
+
+    expect(res.body.error).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+});
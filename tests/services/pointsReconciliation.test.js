@@ -0,0 +1,161 @@
+jest.mock('../../src/config/database', () => {
+  const tx = {
+    user: { update: jest.fn(), findUnique: jest.fn() },
+    pointTransaction: { count: jest.fn(), create: jest.fn() },
+    reconciliationDrift: { update: jest.fn() }
+  };
+
+  return {
+    tx,
+    prisma: {
+      $transaction: jest.fn(async (fn) => fn(tx)),
+      $queryRaw: jest.fn(),
+      reconciliationRun: { create: jest.fn(), update: jest.fn() },
+      reconciliationDrift: { createMany: jest.fn(), findMany: jest.fn() }
+    }
+  };
+});
+
+jest.mock('../../src/services/cacheRefreshHelpers', () => ({
+  refreshUserAndLeaderboardCaches: jest.fn()
+}));
+
+const { prisma, tx } = require('../../src/config/database');
+const { POINT_SOURCES } = require('../../src/services/pointsLedger');
+const { correctDrift, runReconciliation } = require('../../src/services/pointsReconciliation');
+
+const run = {
+  id: 'run-1',
+  triggeredBy: 'admin-1',
+  startedAt: new Date('2026-01-02T00:00:00Z')
+};
+
+const buildDrift = (overrides = {}) => ({
+  id: 'drift-1',
+  userId: 'user-1',
+  actualBalance: 120,
+  expectedBalance: 100,
+  ledgerBalance: 120,
+  drift: 20,
+  hasLedgerHistory: true,
+  ...overrides
+});
+
+describe('correctDrift', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tx.pointTransaction.count.mockResolvedValue(3);
+    tx.user.findUnique.mockResolvedValue({ points: 100 });
+    tx.pointTransaction.create.mockImplementation(async ({ data }) => ({ id: 'entry-1', ...data }));
+  });
+
+  test('moves the balance back to the expected balance and records an audited ledger entry', async () => {
+    const entry = await correctDrift(run, buildDrift());
+
+    expect(tx.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { points: { increment: -20 } }
+    });
+    expect(entry).toMatchObject({
+      userId: 'user-1',
+      delta: -20,
+      balanceAfter: 100,
+      sourceType: POINT_SOURCES.RECONCILIATION_ADJUSTMENT,
+      sourceId: 'drift-1',
+      actorId: 'admin-1'
+    });
+    expect(entry.note).toContain('run-1');
+    expect(tx.reconciliationDrift.update).toHaveBeenCalledWith({
+      where: { id: 'drift-1' },
+      data: { corrected: true, correctionId: 'entry-1' }
+    });
+  });
+
+  test('credits users whose balance is below the expected balance', async () => {
+    await correctDrift(run, buildDrift({ actualBalance: 80, drift: -20 }));
+
+    expect(tx.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { points: { increment: 20 } }
+    });
+  });
+
+  test('never touches a drift flagged as having no ledger history', async () => {
+    await expect(correctDrift(run, buildDrift({ hasLedgerHistory: false }))).rejects.toThrow('NO_LEDGER_HISTORY');
+
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+    expect(tx.user.update).not.toHaveBeenCalled();
+  });
+
+  test('never touches a user without ledger entries from before the run', async () => {
+    tx.pointTransaction.count.mockResolvedValue(0);
+
+    await expect(correctDrift(run, buildDrift())).rejects.toThrow('NO_LEDGER_HISTORY');
+
+    expect(tx.pointTransaction.count).toHaveBeenCalledWith({
+      where: { userId: 'user-1', createdAt: { lt: run.startedAt } }
+    });
+    expect(tx.user.update).not.toHaveBeenCalled();
+    expect(tx.pointTransaction.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('runReconciliation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tx.pointTransaction.count.mockResolvedValue(3);
+    tx.user.findUnique.mockResolvedValue({ points: 100 });
+    tx.pointTransaction.create.mockImplementation(async ({ data }) => ({ id: 'entry-1', ...data }));
+    prisma.reconciliationRun.create.mockResolvedValue(run);
+    prisma.reconciliationRun.update.mockImplementation(async ({ data }) => ({ ...run, ...data }));
+  });
+
+  test('stores drifts for users without ledger history but only auto-corrects the others', async () => {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([
+        { userId: 'user-1', actualBalance: 120, expectedBalance: 100, ledgerBalance: 120, hasLedgerHistory: true },
+        { userId: 'user-2', actualBalance: 500, expectedBalance: 40, ledgerBalance: 0, hasLedgerHistory: false }
+      ])
+      .mockResolvedValueOnce([{ count: 2 }]);
+    prisma.reconciliationDrift.findMany.mockResolvedValue([buildDrift()]);
+
+    const result = await runReconciliation({ trigger: 'manual', autoCorrect: true, triggeredBy: 'admin-1' });
+
+    expect(prisma.reconciliationDrift.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({ userId: 'user-1', drift: 20, hasLedgerHistory: true }),
+        expect.objectContaining({ userId: 'user-2', drift: 460, hasLedgerHistory: false })
+      ]
+    });
+    expect(prisma.reconciliationDrift.findMany).toHaveBeenCalledWith({
+      where: { runId: 'run-1', hasLedgerHistory: true }
+    });
+    expect(tx.user.update).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ status: 'completed', usersChecked: 2, driftCount: 2, correctedCount: 1, totalDrift: 480 });
+  });
+
+  test('reports without correcting when auto-correct is off', async () => {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([
+        { userId: 'user-1', actualBalance: 120, expectedBalance: 100, ledgerBalance: 120, hasLedgerHistory: true }
+      ])
+      .mockResolvedValueOnce([{ count: 1 }]);
+
+    const result = await runReconciliation({ trigger: 'cron' });
+
+    expect(prisma.reconciliationDrift.findMany).not.toHaveBeenCalled();
+    expect(tx.user.update).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'completed', driftCount: 1, correctedCount: 0 });
+  });
+
+  test('marks the run failed when the drift query fails', async () => {
+    prisma.$queryRaw.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(runReconciliation()).rejects.toThrow('connection lost');
+
+    expect(prisma.reconciliationRun.update).toHaveBeenCalledWith({
+      where: { id: 'run-1' },
+      data: expect.objectContaining({ status: 'failed', error: 'connection lost' })
+    });
+  });
+});